@@ -0,0 +1,325 @@
+/*
+  ==========================================
+  ANALYTICS TRANSPORT - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Delivers Analytics events to AppConfig.getAnalyticsTransportConfig().url
+  when features.analytics is on. Events are queued in IndexedDB as they
+  are tracked, so nothing is lost offline or when the tab closes, and sent
+  in batches: on an interval, as soon as a batch fills up or a critical
+  event arrives, and through sendBeacon when the page is hidden. Failed
+  sends back off exponentially. Event ids (Analytics.generateEventId) key
+  the queue and travel with every batch so the server can drop repeats.
+
+  Archivo: assets/js/analytics-transport.js
+
+  "The network is reliable" - first of the fallacies of distributed computing, L. Peter Deutsch
+
+  Architecture:
+  1. Queue (AppDB analyticsQueue, in memory without IndexedDB)
+  2. Batching (interval, full batch, critical events)
+  3. Delivery (fetch with timeout, sendBeacon on pagehide)
+  4. Retry & Backoff (exponential with jitter, reset on reconnect)
+  5. Deduplication (queue keyed by event id, recently sent ids)
+
+  With several tabs open only the leader tab (TabSync) sends the shared
+  IndexedDB queue; every tab still beacons its own events when it closes.
+
+  Usage: AnalyticsTransport.flush(); AnalyticsTransport.getStatus()
+*/
+
+(() => {
+  'use strict';
+
+  const QUEUE_STORE = 'analyticsQueue';
+
+  // Sent ids remembered so they are never queued again
+  const MAX_SENT_IDS = 2000;
+
+  // Fallback when AppConfig does not define technical.analytics
+  const TRANSPORT_DEFAULTS = {
+    enabled: false,
+    url: '/events',
+    timeout: 10000,
+    batchSize: 50,
+    flushInterval: 30000,
+    maxQueue: 5000,
+    retryDelay: 2000,
+    maxRetryDelay: 5 * 60 * 1000,
+    beaconMaxBytes: 60 * 1024
+  };
+
+  /*
+    ==========================================
+    ANALYTICS TRANSPORT
+    ==========================================
+  */
+
+  window.AnalyticsTransport = {
+    queue: new Map(),         // id → { id, event, queuedAt }: in-memory copy of the queue
+    sentIds: new Set(),
+    backend: null,            // 'indexedDB' | 'memory'
+    started: null,
+    flushing: null,
+    flushTimer: null,
+    retryTimer: null,
+    failures: 0,
+    retryAt: 0,
+    lastFlushAt: null,
+
+    getConfig() {
+      return { ...TRANSPORT_DEFAULTS, ...(window.AppConfig?.getAnalyticsTransportConfig?.() || {}) };
+    },
+
+    isEnabled() {
+      return this.getConfig().enabled;
+    },
+
+    init() {
+      if (!this.started) {
+        // Synchronous: Analytics queues events before the queue has finished loading
+        this.backend = window.AppDB?.isSupported() ? 'indexedDB' : 'memory';
+        this.started = this.start();
+      }
+      return this.started;
+    },
+
+    async start() {
+      if (!this.isEnabled()) return this.getStatus();
+
+      // Whatever was left queued by earlier sessions
+      await this.refreshQueue();
+
+      this.flushTimer = setInterval(() => this.flush({ reason: 'interval' }), this.getConfig().flushInterval);
+
+      // pagehide does not always fire on mobile: hiding the tab also sends
+      window.addEventListener('pagehide', () => this.flushWithBeacon());
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flushWithBeacon();
+      });
+
+      return this.getStatus();
+    },
+
+    getStatus() {
+      return {
+        enabled: this.isEnabled(),
+        backend: this.backend,
+        queued: this.queue.size,
+        failures: this.failures,
+        retryAt: this.retryAt || null,
+        lastFlushAt: this.lastFlushAt
+      };
+    },
+
+    /*
+      ==========================================
+      QUEUE
+      ==========================================
+    */
+
+    /**
+     * Queues an event for delivery. Returns false when it is not queued:
+     * analytics disabled, no id, or an id already queued or sent.
+     */
+    enqueue(event, { critical = false } = {}) {
+      if (!this.isEnabled() || !event?.id) return false;
+      if (this.queue.has(event.id) || this.sentIds.has(event.id)) return false;
+
+      const config = this.getConfig();
+      const record = { id: event.id, event, queuedAt: Date.now() };
+      this.queue.set(record.id, record);
+      this.persist([record], []);
+
+      // Queue full: the oldest events are dropped, not the new ones
+      if (this.queue.size > config.maxQueue) {
+        const dropped = [...this.queue.keys()].slice(0, this.queue.size - config.maxQueue);
+        dropped.forEach(id => this.queue.delete(id));
+        this.persist([], dropped);
+      }
+
+      if (critical || this.queue.size >= config.batchSize) {
+        this.flush({ reason: critical ? 'critical' : 'batch' });
+      }
+      return true;
+    },
+
+    persist(records, removedIds) {
+      if (this.backend !== 'indexedDB') return;
+
+      Promise.all([
+        records.length > 0 ? window.AppDB.putAll(QUEUE_STORE, records) : null,
+        removedIds.length > 0 ? window.AppDB.deleteAll(QUEUE_STORE, removedIds) : null
+      ]).catch(error => console.warn('📡 AnalyticsTransport: no se pudo actualizar la cola', error));
+    },
+
+    // Picks up what other tabs (or sessions) left in IndexedDB
+    async refreshQueue() {
+      if (this.backend !== 'indexedDB') return;
+
+      try {
+        const records = await window.AppDB.getAll(QUEUE_STORE);
+        records
+          .filter(record => record?.id && !this.sentIds.has(record.id))
+          .sort((a, b) => a.queuedAt - b.queuedAt)
+          .forEach(record => this.queue.set(record.id, record));
+      } catch (error) {
+        console.warn('📡 AnalyticsTransport: cola de IndexedDB no disponible', error);
+      }
+    },
+
+    markSent(ids) {
+      ids.forEach(id => {
+        this.queue.delete(id);
+        this.sentIds.add(id);
+      });
+      this.persist([], ids);
+
+      // Set keeps insertion order: the oldest ids are forgotten first
+      [...this.sentIds].slice(0, Math.max(0, this.sentIds.size - MAX_SENT_IDS)).forEach(id => this.sentIds.delete(id));
+    },
+
+    clear() {
+      const ids = [...this.queue.keys()];
+      this.queue.clear();
+      this.persist([], ids);
+    },
+
+    /*
+      ==========================================
+      DELIVERY
+      ==========================================
+    */
+
+    /**
+     * Sends the queue in batches. Resolves with { sent, queued, status }
+     * and never rejects. `force` skips the backoff wait (App calls it when
+     * the connection comes back).
+     */
+    flush({ reason = 'manual', force = false } = {}) {
+      if (this.flushing) return this.flushing;
+
+      const skip = status => Promise.resolve({ sent: 0, queued: this.queue.size, status });
+      if (!this.isEnabled()) return skip('disabled');
+      if (!navigator.onLine) return skip('offline');
+
+      // The IndexedDB queue is shared: only the leader tab sends it
+      if (this.backend === 'indexedDB' && window.AppState?.isLeader === false) return skip('follower');
+
+      if (force) {
+        clearTimeout(this.retryTimer);
+        this.retryAt = 0;
+      }
+      if (Date.now() < this.retryAt) return skip('backoff');
+
+      this.flushing = this.sendQueue(reason).finally(() => {
+        this.flushing = null;
+      });
+      return this.flushing;
+    },
+
+    async sendQueue(reason) {
+      const config = this.getConfig();
+      await this.refreshQueue();
+
+      let sent = 0;
+      try {
+        while (this.queue.size > 0) {
+          const batch = [...this.queue.values()].slice(0, config.batchSize);
+          await this.postBatch(config, batch.map(record => record.event), reason);
+          this.markSent(batch.map(record => record.id));
+          sent += batch.length;
+        }
+
+        this.failures = 0;
+        this.retryAt = 0;
+        this.lastFlushAt = Date.now();
+        return { sent, queued: this.queue.size, status: 'sent' };
+
+      } catch (error) {
+        // A batch the server rejects (4xx) will not get better by retrying it
+        if (error.retryable === false) {
+          console.warn('📡 AnalyticsTransport: lote rechazado, se descarta', error.message);
+          this.markSent([...this.queue.keys()].slice(0, config.batchSize));
+          return { sent, queued: this.queue.size, status: 'rejected' };
+        }
+
+        this.scheduleRetry(config);
+        console.warn(`📡 AnalyticsTransport: envío fallido (${this.failures}), reintento en ${Math.round((this.retryAt - Date.now()) / 1000)} s`, error.message);
+        return { sent, queued: this.queue.size, status: 'error', error: error.message };
+      }
+    },
+
+    // Exponential backoff with jitter: many users' tabs do not retry at the same time
+    scheduleRetry({ retryDelay, maxRetryDelay }) {
+      this.failures += 1;
+      const delay = Math.min(maxRetryDelay, retryDelay * 2 ** (this.failures - 1)) * (0.5 + Math.random() / 2);
+
+      this.retryAt = Date.now() + delay;
+      clearTimeout(this.retryTimer);
+      this.retryTimer = setTimeout(() => this.flush({ reason: 'retry', force: true }), delay);
+    },
+
+    async postBatch({ url, timeout }, events, reason) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sentAt: new Date().toISOString(), reason, events }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const error = new Error(`Events endpoint answered HTTP ${response.status}`);
+          error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+          throw error;
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`Events request timed out after ${timeout} ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    /**
+     * Last chance when the page goes away: sendBeacon survives the unload,
+     * fetch does not. Sends what fits in one beacon; the rest stays in
+     * IndexedDB for the next session.
+     */
+    flushWithBeacon() {
+      const config = this.getConfig();
+      if (!config.enabled || this.queue.size === 0 || !navigator.onLine || !navigator.sendBeacon) return false;
+
+      const events = [];
+      let size = 0;
+      for (const { event } of this.queue.values()) {
+        size += JSON.stringify(event).length + 1;
+        if (size > config.beaconMaxBytes) break;
+        events.push(event);
+      }
+      if (events.length === 0) return false;
+
+      // text/plain: a beacon with application/json to another origin would need a CORS preflight
+      const body = new Blob([JSON.stringify({ sentAt: new Date().toISOString(), reason: 'pagehide', events })], { type: 'text/plain;charset=UTF-8' });
+      const queued = navigator.sendBeacon(config.url, body);
+
+      if (queued) this.markSent(events.map(event => event.id));
+      return queued;
+    }
+  };
+
+  /*
+    ==========================================
+    AUTO-INITIALIZATION
+    ==========================================
+  */
+
+  window.AnalyticsTransport.init();
+
+})();
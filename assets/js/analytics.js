@@ -209,8 +209,8 @@
     },
 
     calculateMoneySaved(projectId) {
-      // Basado en la configuración de proyectos
-      const project = window.AppConfig?.EDUCATIONAL_PROJECTS?.find(p => p.id === projectId);
+      // Basado en el registro de proyectos de AppConfig
+      const project = window.AppConfig?.getProject(projectId);
       return project ? project.costImpact : 0;
     },
 
@@ -319,17 +319,45 @@
     },
 
     addEvent(event) {
+      this.bufferEvent(event);
+      
+      // Las demás pestañas abiertas lo añaden a su buffer
+      window.TabSync?.publish('analytics-event', { event });
+      
+      // Solo los eventos de esta pestaña se envían: los de otras ya los encoló ella
+      const critical = this.isCriticalEvent(event);
+      window.AnalyticsTransport?.enqueue(event, { critical });
+      
+      // Persistir eventos críticos inmediatamente
+      if (critical) {
+        this.saveEventsData();
+      }
+    },
+
+    // Evento de otra pestaña: ya lo persiste ella, aquí solo se incorpora al buffer
+    receiveEvent(event) {
+      if (!event?.id || this.state.eventsBuffer.some(existing => existing.id === event.id)) return;
+      this.bufferEvent(event);
+    },
+
+    // Eventos de un archivo de progreso (AppState.importProgress): unión por id y guardado inmediato
+    importEvents(events) {
+      const valid = (Array.isArray(events) ? events : []).filter(event => event && typeof event === 'object' && event.id);
+      const before = this.state.eventsBuffer.length;
+
+      this.state.eventsBuffer = this.mergeEvents(this.state.eventsBuffer, valid);
+      this.saveEventsData();
+
+      return this.state.eventsBuffer.length - before;
+    },
+
+    bufferEvent(event) {
       this.state.eventsBuffer.push(event);
       
       // Mantener buffer dentro del límite
       if (this.state.eventsBuffer.length > this.config.maxEvents) {
         this.state.eventsBuffer.shift(); // Eliminar el más antiguo
       }
-      
-      // Persistir eventos críticos inmediatamente
-      if (this.isCriticalEvent(event)) {
-        this.saveEventsData();
-      }
     },
 
     isCriticalEvent(event) {
@@ -507,9 +535,22 @@
     },
 
     saveEventsData() {
+      // Otras pestañas escriben la misma clave: se une con lo guardado en lugar de sobrescribirlo
+      const stored = this.getStoredData('events');
+      this.state.eventsBuffer = this.mergeEvents(Array.isArray(stored) ? stored : [], this.state.eventsBuffer);
       this.setStoredData('events', this.state.eventsBuffer);
     },
 
+    // Unión por id, en orden cronológico y dentro del límite
+    mergeEvents(...buffers) {
+      const byId = new Map();
+      buffers.flat().forEach(event => byId.set(event.id, event));
+      
+      return [...byId.values()]
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .slice(-this.config.maxEvents);
+    },
+
     saveAllData() {
       this.saveSessionData();
       this.saveEventsData();
@@ -589,6 +630,7 @@
       ['session', 'events', 'insights', 'progress'].forEach(key => {
         localStorage.removeItem(`bug_academy_${key}`);
       });
+      window.AnalyticsTransport?.clear();
       
       this.state = {
         sessionId: null,
@@ -671,9 +713,15 @@
   - Tiempo de respuesta de interacciones
   - Detección de problemas de performance
   
+  ✅ Delivery (AnalyticsTransport, con features.analytics):
+  - Lotes periódicos y sendBeacon al cerrar la pestaña
+  - Cola en IndexedDB mientras no hay conexión
+  - Reintentos con espera exponencial y deduplicación por id
+  
   ✅ Session Management:
   - Sesiones educativas inteligentes
   - Continuidad entre visitas
+  - Eventos compartidos entre pestañas (TabSync) y unidos al guardar
   - Detección de inactividad
   
   ✅ Error Tracking:
@@ -697,6 +745,9 @@
   // Obtener insights para UI
   const insights = window.Analytics.getInsights();
   
+  // Enviar ya la cola pendiente
+  window.AnalyticsTransport.flush();
+  
   // Debug durante desarrollo
   console.log(window.Analytics.debug());
 */
\ No newline at end of file
@@ -66,7 +66,8 @@
     optionalSystems: [
       'Analytics',
       'Components', 
-      'Router'
+      'Router',
+      'StateRecorder'
     ],
 
     /*
@@ -224,10 +225,8 @@
 
       // AppState (gestión de estado educativo)
       if (window.AppState) {
-        coreInits.push(this.initializeSystem('AppState', () => {
-          window.AppState.init();
-          return Promise.resolve();
-        }));
+        // init() resuelve cuando el estado persistido ya está cargado (IndexedDB es asíncrono)
+        coreInits.push(this.initializeSystem('AppState', () => window.AppState.init()));
       }
 
       await Promise.all(coreInits);
@@ -371,7 +370,7 @@
     attemptErrorRecovery(type, details) {
       switch (type) {
         case 'javascript':
-          if (details.message?.includes('localStorage')) {
+          if (details.message?.includes('localStorage') || /quota/i.test(details.message || '')) {
             this.recoverFromStorageError();
           }
           break;
@@ -384,11 +383,17 @@
       }
     },
 
+    // Nunca se borra todo: se desalojan entregas antiguas y el progreso se conserva
     recoverFromStorageError() {
-      console.log('🔄 Intentando recovery de localStorage...');
+      console.log('🔄 Liberando espacio de almacenamiento...');
       try {
-        localStorage.clear();
-        window.location.reload();
+        const evicted = window.AppState?.evictOldSubmissions('storage-error') || 0;
+        this.showUserNotification(
+          evicted > 0
+            ? `Se liberó espacio borrando ${evicted} entregas antiguas. Tu progreso se conserva.`
+            : 'El almacenamiento del navegador está lleno. Tu progreso se conserva, pero puede que no se guarden cambios nuevos.',
+          'warning'
+        );
       } catch (e) {
         console.error('❌ Recovery de storage falló:', e);
       }
@@ -808,8 +813,13 @@
 
     syncOfflineData() {
       // Sincronizar datos offline cuando se restaure conexión
-      if (window.Analytics && window.Analytics.syncOfflineData) {
-        window.Analytics.syncOfflineData();
+      if (window.AppState) {
+        window.AppState.syncWithServer();
+      }
+      
+      // Eventos encolados sin conexión: sin esperar al backoff de los fallos anteriores
+      if (window.AnalyticsTransport) {
+        window.AnalyticsTransport.flush({ reason: 'online', force: true });
       }
     },
 
@@ -916,6 +926,10 @@
       console.log('Systems:', this.getSystemsStatus());
       console.log('Performance:', this.getPerformanceMetrics());
       console.log('Browser:', this.state.browserCapabilities);
+      console.log('Time travel:', window.StateRecorder?.getStatus() || 'no disponible');
+      console.log('Pestañas:', window.TabSync?.getStatus() || 'no disponible');
+      console.log('Sincronización:', window.AppState?.getSyncInfo() || 'no disponible');
+      console.log('Envío de analytics:', window.AnalyticsTransport?.getStatus() || 'no disponible');
       console.groupEnd();
     },
 
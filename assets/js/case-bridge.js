@@ -0,0 +1,322 @@
+/*
+  ==========================================
+  CASE BRIDGE - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Connects the self-contained case pages (proyectos/*) with AppState.
+  Each page tracker reports its events here instead of writing its own
+  localStorage key; the bridge turns them into START_PROJECT,
+  SUBMIT_PROJECT_CODE and COMPLETE_PROJECT on the education tree.
+
+  Archivo: assets/js/case-bridge.js
+
+  "There should be one-- and preferably only one --obvious way to do it" - Tim Peters
+
+  Architecture:
+  1. Case Events (caseType → AppConfig project registry + legacy key)
+  2. Event Queue (trackers fire before AppState finishes loading)
+  3. AppState Dispatch (start / submit / complete)
+  4. One-time Legacy Migration (*-case-progress keys)
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.AppState === 'undefined') {
+    console.warn('🌉 CaseBridge: AppState no disponible. El progreso de los casos no se guardará.');
+    return;
+  }
+
+  /*
+    ==========================================
+    CASE BRIDGE CONTROLLER
+    ==========================================
+  */
+
+  window.CaseBridge = {
+    // Events of each tracker (caseType); the project comes from AppConfig's registry
+    cases: {
+      calculadora_interes: {
+        legacyKey: 'foundation-case-progress',
+        startEvent: 'foundation_case_started',
+        completeEvents: ['foundation_mastery_achieved']
+      },
+      naming_fundamentals: {
+        legacyKey: 'naming-case-progress',
+        startEvent: 'naming_case_started',
+        completeEvents: ['naming_case_complete']
+      },
+      evaluacion_recursiva: {
+        legacyKey: 'debugging-case-progress',
+        startEvent: 'debugging_case_started',
+        completeEvents: ['debugging_case_complete', 'debugging_mastery_achieved']
+      },
+      operador_coma: {
+        legacyKey: 'comma-case-progress',
+        startEvent: 'comma_case_started',
+        completeEvents: ['comma_case_complete', 'comma_stealth_mastery_achieved']
+      },
+      environment_laboratory: {
+        legacyKey: 'environment-case-progress',
+        startEvent: 'environment_case_started',
+        completeEvents: ['environment_mastery_achieved']
+      },
+      precedencia_operadores: {
+        legacyKey: 'precedencia-case-progress',
+        startEvent: 'precedencia_case_started',
+        completeEvents: ['precedencia_mastery_achieved']
+      },
+      desbordamiento_enteros: {
+        legacyKey: null,
+        startEvent: 'overflow_case_started',
+        completeEvents: ['overflow_case_complete']
+      },
+      simulador_evaluacion: {
+        legacyKey: null,
+        startEvent: 'simulator_case_started',
+        completeEvents: ['simulator_case_complete']
+      },
+      arquitectura_limpia: {
+        legacyKey: null,
+        startEvent: 'architecture_case_started',
+        completeEvents: ['architecture_case_complete']
+      },
+      sistema_prevencion: {
+        legacyKey: null,
+        startEvent: 'prevention_case_started',
+        completeEvents: ['prevention_case_complete']
+      }
+    },
+
+    state: {
+      ready: false,
+      queue: []
+    },
+
+    /*
+      ==========================================
+      INITIALIZATION
+      ==========================================
+    */
+
+    init() {
+      this.migrateLegacyProgress();
+
+      this.state.ready = true;
+
+      // Events fired by the trackers before AppState had loaded
+      const pending = this.state.queue.splice(0);
+      pending.forEach(({ method, args }) => this[method](...args));
+    },
+
+    // Trackers are built while the page is parsed: defer until AppState.init
+    whenReady(method, args) {
+      if (!this.state.ready) {
+        this.state.queue.push({ method, args });
+        return false;
+      }
+      return true;
+    },
+
+    /*
+      ==========================================
+      TRACKER API
+      ==========================================
+    */
+
+    record(caseType, eventType, data = {}) {
+      if (!this.whenReady('record', [caseType, eventType, data])) return;
+
+      const caseConfig = this.getCase(caseType);
+      if (!caseConfig) return;
+
+      if (eventType === caseConfig.startEvent) {
+        this.ensureStarted(caseConfig);
+      } else if (caseConfig.completeEvents.includes(eventType)) {
+        this.complete(caseType, data.engagementScore ?? data.score ?? 100, data.completionTime || 0);
+      }
+
+      if (window.Analytics) {
+        window.Analytics.trackEvent('case', eventType, {
+          caseType,
+          projectId: caseConfig.projectId,
+          costPrevented: data.costPrevented || 0
+        });
+      }
+    },
+
+    // Returns the rubric grade (or null) so the page can show the breakdown
+    submit(caseType, code, testResults = {}) {
+      // Only submissions with TestRunner results are graded against assessmentCriteria
+      const grade = Array.isArray(testResults.tests) ? window.Grader?.grade({ code, testResults }) ?? null : null;
+
+      if (!this.whenReady('submit', [caseType, code, testResults])) return grade;
+
+      const caseConfig = this.getCase(caseType);
+      if (!caseConfig) return grade;
+
+      window.AppState.submitProjectCode(caseConfig.stageId, caseConfig.projectId, code, {
+        score: 0,
+        ...testResults
+      });
+
+      if (grade) {
+        window.AppState.updateProjectScore(caseConfig.stageId, caseConfig.projectId, grade.score, grade.competencies);
+      }
+
+      return grade;
+    },
+
+    complete(caseType, finalScore, timeSpent) {
+      if (!this.whenReady('complete', [caseType, finalScore, timeSpent])) return;
+
+      const caseConfig = this.getCase(caseType);
+      if (!caseConfig || this.isCompleted(caseConfig)) return;
+
+      window.AppState.completeProject(caseConfig.stageId, caseConfig.projectId, Math.round(finalScore), timeSpent);
+    },
+
+    /*
+      ==========================================
+      LEGACY KEY MIGRATION
+      ==========================================
+    */
+
+    async migrateLegacyProgress() {
+      const migrated = [];
+
+      Object.keys(this.cases).forEach(caseType => {
+        const caseConfig = this.resolveCase(caseType);
+        if (!caseConfig?.legacyKey) return;
+
+        let events;
+        try {
+          events = JSON.parse(localStorage.getItem(caseConfig.legacyKey) || 'null');
+        } catch (error) {
+          console.warn(`🌉 CaseBridge: ${caseConfig.legacyKey} ilegible, se descarta`, error);
+          localStorage.removeItem(caseConfig.legacyKey);
+          return;
+        }
+
+        if (!events) return;
+
+        this.migrateCaseEvents(caseConfig, events);
+        migrated.push(caseConfig);
+      });
+
+      if (migrated.length === 0) return;
+
+      // The legacy keys are the only copy until AppState has written the migrated progress
+      if (!(await this.persistMigration())) {
+        console.warn('🌉 CaseBridge: progreso migrado sin guardar todavía, se conservan las claves antiguas');
+        return;
+      }
+
+      migrated.forEach(({ legacyKey, projectId }) => {
+        localStorage.removeItem(legacyKey);
+        console.log(`🌉 Progreso migrado: ${legacyKey} → ${projectId}`);
+      });
+    },
+
+    // Only the leader tab writes the shared state; elsewhere the next load migrates again (a no-op by then)
+    async persistMigration() {
+      const appState = window.AppState;
+      if (!appState.isLeader || !appState.storageBackend) return false;
+
+      await appState.persistState();
+      return !appState.persistFailed;
+    },
+
+    migrateCaseEvents(caseConfig, events) {
+      const { stageId, projectId } = caseConfig;
+      const project = this.getProject(caseConfig);
+      if (!project) return;
+
+      if (events[caseConfig.startEvent]) {
+        this.ensureStarted(caseConfig);
+      }
+
+      const completion = caseConfig.completeEvents.map(type => events[type]).find(Boolean);
+      if (completion && !project.completed) {
+        // Keep the original completion date
+        window.AppState.dispatch('COMPLETE_PROJECT', {
+          stageId,
+          projectId,
+          finalScore: Math.round(completion.engagementScore ?? 100),
+          timeSpent: completion.completionTime || 0,
+          timestamp: completion.timestamp || Date.now()
+        });
+      }
+    },
+
+    /*
+      ==========================================
+      UTILITIES
+      ==========================================
+    */
+
+    getCase(caseType) {
+      const caseConfig = this.resolveCase(caseType);
+
+      if (!caseConfig) {
+        console.warn(`🌉 CaseBridge: caso desconocido "${caseType}"`);
+      }
+
+      return caseConfig;
+    },
+
+    resolveCase(caseType) {
+      const events = this.cases[caseType];
+      const project = window.AppConfig?.findProject(candidate => candidate.caseType === caseType);
+      if (!events || !project) return null;
+
+      return { ...events, stageId: project.stage, projectId: project.id };
+    },
+
+    // The student's code for the case: the laboratory's, which keeps one history per project
+    getStudentCode(caseType) {
+      const caseConfig = this.resolveCase(caseType);
+      const editor = window.AppState.getState('session.editor');
+      if (!caseConfig || !editor) return null;
+
+      const code = editor.historyProject === caseConfig.projectId
+        ? editor.currentCode
+        : editor.histories?.[caseConfig.projectId]?.code;
+
+      return typeof code === 'string' && code.trim() ? code : null;
+    },
+
+    getProject({ stageId, projectId }) {
+      return window.AppState.getState(`education.stages.${stageId}.projects.${projectId}`);
+    },
+
+    isCompleted(caseConfig) {
+      return Boolean(this.getProject(caseConfig)?.completed);
+    },
+
+    // Trackers fire their start event on every page load: only the first one counts as an attempt
+    ensureStarted(caseConfig) {
+      const project = this.getProject(caseConfig);
+      if (!project || project.startedAt) return;
+
+      window.AppState.startProject(caseConfig.stageId, caseConfig.projectId);
+    }
+  };
+
+  /*
+    ==========================================
+    AUTO-INITIALIZATION
+    ==========================================
+  */
+
+  // Waits for AppState to load the persisted state (the backend may be asynchronous)
+  const start = () => window.AppState.whenInitialized().then(() => window.CaseBridge.init());
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+})();
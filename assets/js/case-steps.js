@@ -0,0 +1,95 @@
+/*
+  ==========================================
+  CASE STEP NAVIGATION - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Opens a case page at a given step (?step=N, 1-based).
+  Steps are the page blocks marked with [data-case-step], in document order.
+  Used by web+bugacademy deep links so instructors can point to one exercise.
+
+  Archivo: assets/js/case-steps.js
+
+  "Don't make me think" - Steve Krug
+
+  Architecture:
+  1. Step Discovery ([data-case-step] markers)
+  2. URL Step Resolution (?step=N)
+  3. Accessible Focus & Highlight
+*/
+
+(() => {
+  'use strict';
+
+  /*
+    ==========================================
+    CASE STEPS CONTROLLER
+    ==========================================
+  */
+
+  window.CaseSteps = {
+    config: {
+      selector: '[data-case-step]',
+      param: 'step',
+      highlightDuration: 2500,
+      highlightStyle: '3px solid #f6ad55'
+    },
+
+    init() {
+      const step = this.getRequestedStep();
+      if (step !== null) {
+        this.goTo(step);
+      }
+    },
+
+    getSteps() {
+      // Hidden blocks (solutions not yet revealed) do not count as a step
+      return Array.from(document.querySelectorAll(this.config.selector))
+        .filter(element => element.offsetParent !== null);
+    },
+
+    getRequestedStep() {
+      const value = parseInt(new URLSearchParams(window.location.search).get(this.config.param), 10);
+      return Number.isInteger(value) && value > 0 ? value : null;
+    },
+
+    goTo(step) {
+      const steps = this.getSteps();
+      if (steps.length === 0) return null;
+
+      const index = Math.min(step, steps.length) - 1;
+      const target = steps[index];
+
+      target.setAttribute('tabindex', '-1');
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      target.focus({ preventScroll: true });
+      this.highlight(target);
+
+      return index + 1;
+    },
+
+    highlight(element) {
+      const previousOutline = element.style.outline;
+      element.style.outline = this.config.highlightStyle;
+      element.style.outlineOffset = '4px';
+
+      setTimeout(() => {
+        element.style.outline = previousOutline;
+        element.style.outlineOffset = '';
+      }, this.config.highlightDuration);
+    },
+
+    getStepCount() {
+      return this.getSteps().length;
+    }
+  };
+
+  // Wait for the full layout: each case's scripts generate content on load
+  if (document.readyState === 'complete') {
+    window.CaseSteps.init();
+  } else {
+    window.addEventListener('load', () => {
+      window.CaseSteps.init();
+    });
+  }
+
+})();
@@ -0,0 +1,683 @@
+/*
+  ==========================================
+  CODE EDITOR - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Editable code editor for the laboratory, driven by
+  AppConfig.technical.codeEditor: line numbers, syntax highlighting,
+  error highlighting, autocomplete, tabSize, wordWrap and formatOnSave.
+  The <textarea> stays the real input (native caret, selection, IME,
+  screen readers); a highlighted <pre> mirrors it underneath and doubles
+  as the gutter, so line numbers and diagnostic markers follow wrapped
+  lines without measuring anything.
+
+  Archivo: assets/js/code-editor.js
+
+  "The editor is the programmer's most important tool" - Andy Hunt & Dave Thomas (The Pragmatic Programmer)
+
+  Architecture:
+  1. Editor Surface (textarea over a highlighted mirror, gutter via CSS counters)
+  2. Rendering (Highlighter spans + diagnostic ranges → one line span per line)
+  3. Editing Keys (Tab/Shift+Tab indent, Enter auto-indent, Ctrl+S save, Ctrl+Z/Ctrl+Y history)
+  4. Autocomplete (keywords, globals and identifiers from the document)
+  5. Diagnostics (per source: 'lint' from Linter, 'execution' from CodeRunner)
+  6. AppState Sync (updateEditorCode keeps currentCode, isModified, lastSaved and undo history)
+
+  Usage: const editor = CodeEditor.attach(textarea); editor.setDiagnostics('execution', [...])
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.JSTokenizer === 'undefined' || typeof window.Highlighter === 'undefined') {
+    console.warn('⌨️ CodeEditor: JSTokenizer o Highlighter no disponibles. El laboratorio usará un textarea simple.');
+    return;
+  }
+
+  // .code-error has padding and an icon: in the mirror it would throw the text out of line with the textarea
+  const MIRROR_CLASSES = { 'code-error': 'code-editor__mark--error' };
+
+  const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+  const SEVERITY_ICONS = { error: '✗', warning: '⚠', info: 'ℹ' };
+
+  const GLOBALS = [
+    'console', 'Math', 'Number', 'String', 'Array', 'Object', 'JSON', 'Promise', 'Date', 'Error',
+    'Map', 'Set', 'BigInt', 'parseInt', 'parseFloat', 'isNaN', 'setTimeout', 'clearTimeout', 'structuredClone'
+  ];
+
+  const OPENERS = new Set(['(', '[', '{']);
+  const CLOSERS = new Set([')', ']', '}']);
+
+  /*
+    ==========================================
+    CODE EDITOR CONTROLLER
+    ==========================================
+  */
+
+  window.CodeEditor = {
+    config: {
+      // Fallback if AppConfig does not load; the real values live in technical.codeEditor
+      defaults: {
+        tabSize: 2,
+        wordWrap: true,
+        lineNumbers: true,
+        syntaxHighlighting: true,
+        errorHighlighting: true,
+        autoComplete: true,
+        formatOnSave: true
+      },
+      lintDelay: 300,
+      syncDelay: 300,
+      minCompletionPrefix: 2,
+      maxCompletions: 8
+    },
+
+    getSettings() {
+      return { ...this.config.defaults, ...(window.AppConfig?.getCodeEditorConfig() || {}) };
+    },
+
+    /**
+     * Turns `textarea` into an editor. Returns the instance API:
+     * getValue, setValue, undo, redo, setDiagnostics, clearDiagnostics,
+     * format, save, focus, select and destroy.
+     */
+    attach(textarea, options = {}) {
+      const settings = { ...this.getSettings(), ...options };
+      const editor = this.createEditor(textarea, settings);
+
+      console.log('⌨️ Editor de código listo');
+      return editor;
+    },
+
+    /*
+      ==========================================
+      FORMATTING
+      ==========================================
+    */
+
+    /**
+     * Re-indents by bracket depth (one level per line that opens brackets,
+     * however many it opens), trims trailing whitespace and ends with one
+     * newline. Lines that start inside a multi-line string, template or
+     * comment are left untouched.
+     */
+    format(code, { tabSize = 2 } = {}) {
+      const text = String(code ?? '').replace(/\r\n?/g, '\n');
+      const tokens = window.JSTokenizer.tokenize(text);
+      const lines = text.split('\n');
+      const unit = ' '.repeat(tabSize);
+
+      // Offsets inside multi-line tokens: there whitespace is content, not formatting
+      const protectedRanges = tokens
+        .filter(token => token.value.includes('\n'))
+        .map(token => [token.start, token.end]);
+      const isProtected = offset => protectedRanges.some(([start, end]) => offset > start && offset < end);
+
+      const openedBy = [];
+      let tokenIndex = 0;
+      let lineStart = 0;
+
+      const result = lines.map(line => {
+        const lineEnd = lineStart + line.length;
+        const lineTokens = [];
+        while (tokenIndex < tokens.length && tokens[tokenIndex].start < lineEnd + 1) {
+          if (tokens[tokenIndex].start >= lineStart) lineTokens.push(tokens[tokenIndex]);
+          tokenIndex++;
+        }
+
+        const keepStart = isProtected(lineStart);
+        const keepEnd = isProtected(lineEnd);
+
+        // Closing brackets at the start of the line dedent before the indentation is computed
+        let leading = 0;
+        while (lineTokens[leading]?.type === 'punctuator' && CLOSERS.has(lineTokens[leading].value)) {
+          openedBy.pop();
+          leading++;
+        }
+        const depth = new Set(openedBy).size;
+
+        lineTokens.slice(leading).forEach(token => {
+          if (token.type !== 'punctuator') return;
+          if (OPENERS.has(token.value)) openedBy.push(lineStart);
+          else if (CLOSERS.has(token.value)) openedBy.pop();
+        });
+
+        lineStart = lineEnd + 1;
+
+        if (keepStart) return keepEnd ? line : line.trimEnd();
+        const content = keepEnd ? line.trimStart() : line.trim();
+        return content ? unit.repeat(depth) + content : '';
+      });
+
+      return result.join('\n').replace(/\n*$/, '\n');
+    },
+
+    /*
+      ==========================================
+      RENDERING
+      ==========================================
+    */
+
+    /**
+     * Highlighted HTML for `text`, one `.code-editor__line` span per line.
+     * `marks` are { start, end, severity } ranges; `lineSeverity` maps a
+     * 1-based line to the worst severity reported on it.
+     */
+    render(text, { highlight = true, marks = [], lineSeverity = new Map() } = {}) {
+      // When marks overlap, the most severe one wins
+      const severityMarks = [...marks]
+        .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+        .map(mark => ({ start: mark.start, end: mark.end, className: `code-editor__mark--${mark.severity}` }));
+
+      // A trailing "\n" in the textarea creates a visible line: the mirror draws it the same way,
+      // and the filler space keeps empty lines at full height
+      return window.Highlighter.highlight(text, {
+        language: highlight ? 'javascript' : 'plain',
+        marks: severityMarks,
+        classMap: MIRROR_CLASSES,
+        fillEmptyLines: true,
+        lineClass: line => {
+          const severity = lineSeverity.get(line);
+          return severity ? `code-editor__line code-editor__line--${severity}` : 'code-editor__line';
+        }
+      });
+    },
+
+    /*
+      ==========================================
+      INSTANCE
+      ==========================================
+    */
+
+    createEditor(textarea, settings) {
+      const controller = this;
+      const diagnostics = new Map();
+      const cleanups = [];
+      let completion = null;
+      let tabEscapes = false;
+      let lintTimer = null;
+      let syncTimer = null;
+
+      /*
+        ----- SURFACE -----
+      */
+
+      const surface = document.createElement('div');
+      surface.className = 'code-editor__surface';
+      surface.classList.toggle('code-editor__surface--wrap', Boolean(settings.wordWrap));
+      surface.classList.toggle('code-editor__surface--numbered', Boolean(settings.lineNumbers));
+      surface.style.setProperty('--code-editor-tab-size', settings.tabSize);
+      if (settings.fontSize) surface.style.setProperty('--code-editor-font-size', `${settings.fontSize}px`);
+
+      const mirror = document.createElement('pre');
+      mirror.className = 'code-editor__mirror';
+      mirror.setAttribute('aria-hidden', 'true');
+      const mirrorCode = document.createElement('code');
+      mirror.appendChild(mirrorCode);
+
+      const completions = document.createElement('ul');
+      completions.className = 'code-editor__completions';
+      completions.id = `${textarea.id || 'code-editor'}-completions`;
+      completions.setAttribute('role', 'listbox');
+      completions.hidden = true;
+
+      const status = document.createElement('div');
+      status.className = 'code-editor__status';
+      const statusMessage = document.createElement('span');
+      statusMessage.className = 'code-editor__status-message';
+      statusMessage.setAttribute('aria-live', 'polite');
+      const statusPosition = document.createElement('span');
+      statusPosition.className = 'code-editor__status-position';
+      status.append(statusMessage, statusPosition);
+
+      textarea.classList.add('code-editor__input');
+      textarea.setAttribute('wrap', settings.wordWrap ? 'soft' : 'off');
+      textarea.setAttribute('aria-autocomplete', settings.autoComplete ? 'list' : 'none');
+      textarea.setAttribute('aria-controls', completions.id);
+      textarea.setAttribute('aria-describedby', [textarea.getAttribute('aria-describedby'), `${completions.id}-status`].filter(Boolean).join(' '));
+      statusMessage.id = `${completions.id}-status`;
+
+      textarea.before(surface);
+      surface.append(mirror, textarea, completions);
+      surface.after(status);
+
+      /*
+        ----- RENDER -----
+      */
+
+      function allDiagnostics() {
+        return [...diagnostics.values()].flat();
+      }
+
+      function renderMirror() {
+        const text = textarea.value;
+        const marks = [];
+        const lineSeverity = new Map();
+
+        if (settings.errorHighlighting) {
+          allDiagnostics().forEach(diagnostic => {
+            const current = lineSeverity.get(diagnostic.line);
+            if (!current || SEVERITY_ORDER[diagnostic.severity] < SEVERITY_ORDER[current]) {
+              lineSeverity.set(diagnostic.line, diagnostic.severity);
+            }
+            if (Number.isInteger(diagnostic.start) && diagnostic.end > diagnostic.start) {
+              marks.push({ start: diagnostic.start, end: diagnostic.end, severity: diagnostic.severity });
+            }
+          });
+        }
+
+        mirrorCode.innerHTML = controller.render(text, { highlight: settings.syntaxHighlighting, marks, lineSeverity });
+        surface.style.setProperty('--code-editor-gutter-digits', String(text.split('\n').length).length);
+      }
+
+      function caretPosition() {
+        const before = textarea.value.slice(0, textarea.selectionStart);
+        const lines = before.split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+      }
+
+      function updateStatus() {
+        const { line, column } = caretPosition();
+        const onLine = allDiagnostics()
+          .filter(diagnostic => diagnostic.line === line)
+          .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+        const first = onLine[0];
+        statusMessage.className = `code-editor__status-message${first ? ` code-editor__status-message--${first.severity}` : ''}`;
+        statusMessage.textContent = first ?
+          `${SEVERITY_ICONS[first.severity]} ${first.message}${onLine.length > 1 ? ` (+${onLine.length - 1})` : ''}` :
+          '';
+
+        const editorState = window.AppState?.getState('session.editor');
+        let saveLabel = '';
+        if (editorState?.isModified) saveLabel = ' · Sin guardar';
+        else if (editorState?.lastSaved) saveLabel = ` · Guardado ${new Date(editorState.lastSaved).toLocaleTimeString()}`;
+        statusPosition.textContent = `Ln ${line}, Col ${column}${saveLabel}`;
+      }
+
+      /*
+        ----- EDITING -----
+      */
+
+      // setRangeText does not fire "input": notify by hand so everything goes through the same path
+      function replaceRange(start, end, text, selectionMode = 'end') {
+        textarea.setRangeText(text, start, end, selectionMode);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+
+      function lineStartOf(offset) {
+        return textarea.value.lastIndexOf('\n', offset - 1) + 1;
+      }
+
+      function indentSelection(outdent) {
+        const unit = ' '.repeat(settings.tabSize);
+        const { selectionStart, selectionEnd, value } = textarea;
+
+        // No multi-line selection: Tab inserts spaces up to the next tab stop
+        if (!outdent && !value.slice(selectionStart, selectionEnd).includes('\n')) {
+          const column = selectionStart - lineStartOf(selectionStart);
+          replaceRange(selectionStart, selectionEnd, ' '.repeat(settings.tabSize - (column % settings.tabSize)));
+          return;
+        }
+
+        const blockStart = lineStartOf(selectionStart);
+        const block = value.slice(blockStart, selectionEnd);
+        const lines = block.split('\n');
+        const changed = lines.map(line => {
+          if (!outdent) return line ? unit + line : line;
+          return line.replace(new RegExp(`^ {1,${settings.tabSize}}`), '');
+        });
+
+        const removedFirst = lines[0].length - changed[0].length;
+        replaceRange(blockStart, selectionEnd, changed.join('\n'), 'select');
+        if (blockStart !== selectionStart) {
+          textarea.setSelectionRange(Math.max(blockStart, selectionStart - removedFirst), textarea.selectionEnd);
+        }
+      }
+
+      function newlineWithIndent() {
+        const { selectionStart, selectionEnd, value } = textarea;
+        const line = value.slice(lineStartOf(selectionStart), selectionStart);
+        const indent = line.match(/^\s*/)[0];
+        const opens = /[[({]\s*$/.test(line);
+        const closes = /^\s*[\])}]/.test(value.slice(selectionEnd));
+        const extra = opens ? ' '.repeat(settings.tabSize) : '';
+
+        // {|} → {\n  |\n}
+        if (opens && closes) {
+          replaceRange(selectionStart, selectionEnd, `\n${indent}${extra}\n${indent}`, 'start');
+          const caret = selectionStart + 1 + indent.length + extra.length;
+          textarea.setSelectionRange(caret, caret);
+          return;
+        }
+        replaceRange(selectionStart, selectionEnd, `\n${indent}${extra}`);
+      }
+
+      /*
+        ----- AUTOCOMPLETE -----
+      */
+
+      function currentWord() {
+        const { selectionStart, selectionEnd, value } = textarea;
+        if (selectionStart !== selectionEnd) return null;
+        const match = value.slice(0, selectionStart).match(/[A-Za-z_$][\w$]*$/);
+        // After a "." only properties would make sense: no guessing
+        if (!match || value[selectionStart - match[0].length - 1] === '.') return null;
+        return { prefix: match[0], start: selectionStart - match[0].length };
+      }
+
+      function candidates(prefix) {
+        const words = new Set([...window.JSTokenizer.KEYWORDS, ...GLOBALS]);
+        window.JSTokenizer.tokenize(textarea.value, { comments: false }).forEach(token => {
+          if (token.type === 'identifier' && token.value !== prefix) words.add(token.value);
+        });
+
+        const lower = prefix.toLowerCase();
+        return [...words]
+          .filter(word => word !== prefix && word.toLowerCase().startsWith(lower))
+          .sort((a, b) => Number(!b.startsWith(prefix)) - Number(!a.startsWith(prefix)) || a.length - b.length || a.localeCompare(b))
+          .slice(0, controller.config.maxCompletions);
+      }
+
+      function closeCompletions() {
+        completion = null;
+        completions.hidden = true;
+        completions.replaceChildren();
+        textarea.removeAttribute('aria-activedescendant');
+      }
+
+      function highlightCompletion(index) {
+        completion.index = (index + completion.items.length) % completion.items.length;
+        [...completions.children].forEach((option, optionIndex) => {
+          option.setAttribute('aria-selected', String(optionIndex === completion.index));
+        });
+        textarea.setAttribute('aria-activedescendant', completions.children[completion.index].id);
+      }
+
+      function acceptCompletion(index = completion.index) {
+        const word = completion.items[index];
+        const { start, prefix } = completion;
+        closeCompletions();
+        replaceRange(start, start + prefix.length, word);
+      }
+
+      function openCompletions() {
+        const word = currentWord();
+        if (!word || word.prefix.length < controller.config.minCompletionPrefix) {
+          closeCompletions();
+          return;
+        }
+
+        const items = candidates(word.prefix);
+        if (items.length === 0) {
+          closeCompletions();
+          return;
+        }
+
+        completion = { ...word, items, index: 0 };
+        completions.replaceChildren(...items.map((item, index) => {
+          const option = document.createElement('li');
+          option.className = 'code-editor__completion';
+          option.id = `${completions.id}-${index}`;
+          option.setAttribute('role', 'option');
+          option.textContent = item;
+          // mousedown: the click would arrive after the textarea's blur
+          option.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            acceptCompletion(index);
+          });
+          return option;
+        }));
+
+        // Below the cursor's line, at the column's offset (in ch: monospaced font)
+        const { line, column } = caretPosition();
+        const lineElement = mirrorCode.children[line - 1];
+        completions.style.top = `${(lineElement?.offsetTop ?? 0) + (lineElement?.offsetHeight ?? 0)}px`;
+        completions.style.setProperty('--code-editor-completion-column', column - 1 - word.prefix.length);
+        completions.hidden = false;
+        highlightCompletion(0);
+      }
+
+      /*
+        ----- EVENTS -----
+      */
+
+      function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        cleanups.push(() => target.removeEventListener(type, handler));
+      }
+
+      function syncState() {
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(flushSync, controller.config.syncDelay);
+      }
+
+      // Undo needs an up-to-date history: the pending burst is sent first
+      function flushSync() {
+        if (syncTimer === null) return;
+        clearTimeout(syncTimer);
+        syncTimer = null;
+        window.AppState?.updateEditorCode(textarea.value);
+      }
+
+      function scheduleLint() {
+        if (!settings.errorHighlighting || !window.Linter) return;
+        clearTimeout(lintTimer);
+        lintTimer = setTimeout(() => {
+          api.setDiagnostics('lint', window.Linter.lint(textarea.value).diagnostics);
+        }, controller.config.lintDelay);
+      }
+
+      listen(textarea, 'input', (event) => {
+        renderMirror();
+        // After an edit, the last run's errors no longer describe this code
+        if (diagnostics.has('execution')) api.clearDiagnostics('execution');
+        scheduleLint();
+        syncState();
+        updateStatus();
+
+        if (settings.autoComplete && event.inputType?.startsWith('insert') && event.inputType !== 'insertLineBreak') {
+          openCompletions();
+        } else {
+          closeCompletions();
+        }
+      });
+
+      listen(textarea, 'keydown', (event) => {
+        if (completion) {
+          const handled = {
+            ArrowDown: () => highlightCompletion(completion.index + 1),
+            ArrowUp: () => highlightCompletion(completion.index - 1),
+            Enter: () => acceptCompletion(),
+            Tab: () => acceptCompletion(),
+            Escape: () => closeCompletions()
+          }[event.key];
+          if (handled) {
+            event.preventDefault();
+            handled();
+            return;
+          }
+        }
+
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+          event.preventDefault();
+          api.save();
+          return;
+        }
+
+        // Undo/redo from AppState's history (the textarea's native one does not know it)
+        const key = event.key.toLowerCase();
+        if (window.AppState && (event.ctrlKey || event.metaKey) && !event.altKey && (key === 'z' || key === 'y')) {
+          event.preventDefault();
+          if (key === 'y' || event.shiftKey) api.redo();
+          else api.undo();
+          return;
+        }
+
+        // Escape then Tab leaves the editor (WCAG 2.1.2: no keyboard trap)
+        if (event.key === 'Escape') {
+          tabEscapes = true;
+          return;
+        }
+        if (event.key === 'Tab' && !tabEscapes && !event.ctrlKey && !event.altKey && !event.metaKey) {
+          event.preventDefault();
+          indentSelection(event.shiftKey);
+          return;
+        }
+        tabEscapes = false;
+
+        if (event.key === 'Enter' && !event.ctrlKey && !event.metaKey && !event.shiftKey && !event.isComposing) {
+          event.preventDefault();
+          newlineWithIndent();
+        }
+      });
+
+      listen(textarea, 'keyup', updateStatus);
+      listen(textarea, 'click', () => {
+        closeCompletions();
+        updateStatus();
+      });
+      listen(textarea, 'blur', closeCompletions);
+
+      // External changes (file opened, fix applied, another tab)
+      if (window.AppState) {
+        const showExternalCode = ({ state }) => {
+          const code = state.session.editor.currentCode;
+          if (textarea.value !== code) api.setValue(code, { sync: false });
+          updateStatus();
+        };
+        cleanups.push(window.AppState.observe('action:update_editor_code', showExternalCode));
+        // Time travel (StateRecorder) replaces the whole state
+        cleanups.push(window.AppState.observe('state:replaced', showExternalCode));
+
+        // After undo/redo the cursor goes to the end of the range that changed
+        const showHistoryStep = ({ state }) => {
+          const previous = textarea.value;
+          const code = state.session.editor.currentCode;
+          if (previous === code) return;
+
+          let suffix = 0;
+          while (suffix < previous.length && suffix < code.length &&
+            previous[previous.length - 1 - suffix] === code[code.length - 1 - suffix]) suffix++;
+
+          api.setValue(code, { sync: false });
+          textarea.setSelectionRange(code.length - suffix, code.length - suffix);
+          updateStatus();
+        };
+        cleanups.push(window.AppState.observe('action:undo_edit', showHistoryStep));
+        cleanups.push(window.AppState.observe('action:redo_edit', showHistoryStep));
+      }
+
+      /*
+        ----- API -----
+      */
+
+      const api = {
+        element: surface,
+        textarea,
+        settings,
+
+        getValue() {
+          return textarea.value;
+        },
+
+        // Full replacement (fix, file): its own history entry
+        setValue(code, { sync = true, saved = false } = {}) {
+          clearTimeout(syncTimer);
+          syncTimer = null;
+          textarea.value = code;
+          renderMirror();
+          scheduleLint();
+          if (sync) window.AppState?.updateEditorCode(code, { saved, coalesce: false });
+          updateStatus();
+        },
+
+        undo() {
+          flushSync();
+          window.AppState?.undoEdit();
+        },
+
+        redo() {
+          flushSync();
+          window.AppState?.redoEdit();
+        },
+
+        /**
+         * Replaces the diagnostics of one source ('lint', 'execution', …).
+         * Each diagnostic needs line and severity; start/end offsets make
+         * it underline the exact range as well.
+         */
+        setDiagnostics(source, list) {
+          diagnostics.set(source, list.filter(diagnostic => Number.isInteger(diagnostic.line)));
+          renderMirror();
+          updateStatus();
+        },
+
+        clearDiagnostics(source) {
+          if (source) diagnostics.delete(source);
+          else diagnostics.clear();
+          renderMirror();
+          updateStatus();
+        },
+
+        getDiagnostics() {
+          return allDiagnostics();
+        },
+
+        // Reformat keeping the cursor on the same line
+        format() {
+          const { line } = caretPosition();
+          const formatted = controller.format(textarea.value, { tabSize: settings.tabSize });
+          if (formatted === textarea.value) return false;
+
+          textarea.value = formatted;
+          const lines = formatted.split('\n');
+          const caret = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0) +
+            (lines[line - 1]?.match(/^\s*/)[0].length ?? 0);
+          textarea.setSelectionRange(caret, caret);
+          renderMirror();
+          scheduleLint();
+          return true;
+        },
+
+        save() {
+          clearTimeout(syncTimer);
+          syncTimer = null;
+          if (settings.formatOnSave) api.format();
+          window.AppState?.updateEditorCode(textarea.value, { saved: true });
+          updateStatus();
+          settings.onSave?.(textarea.value);
+        },
+
+        focus() {
+          textarea.focus();
+        },
+
+        select(start, end) {
+          textarea.focus();
+          textarea.setSelectionRange(start, end);
+          updateStatus();
+        },
+
+        destroy() {
+          flushSync();
+          clearTimeout(lintTimer);
+          cleanups.forEach(cleanup => cleanup());
+          closeCompletions();
+          surface.before(textarea);
+          surface.remove();
+          status.remove();
+          textarea.classList.remove('code-editor__input');
+        }
+      };
+
+      renderMirror();
+      scheduleLint();
+      updateStatus();
+
+      return api;
+    }
+  };
+
+})();
@@ -0,0 +1,379 @@
+/*
+  ==========================================
+  CODE RUNNER WORKER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Dedicated worker that runs one student submission and reports back.
+  CodeRunner creates a fresh worker per run and terminates it when the
+  result arrives or the time budget runs out, so an infinite loop or a
+  runaway recursion only ever blocks this thread, never the page.
+
+  Archivo: assets/js/code-runner-worker.js
+
+  "Make it work, make it right, make it fast" - Kent Beck
+
+  Architecture:
+  1. Lockdown (network, loading, nested workers and string-to-code APIs
+     removed from self and its whole prototype chain before student code
+     runs; import() rejected in the source; the worker refuses to start if
+     any of them is still reachable)
+  2. Console Capture (streamed to the page, survives a timeout)
+  3. Execution (Function body, awaited if it returns a promise)
+  4. Test Mode (student code first, then describe/it specs over its exports)
+  5. Structured Results (value, error with stack and line, duration)
+
+  Protocol: READY → EXECUTE_CODE { code } → CONSOLE* → RESULT { results }
+            READY → RUN_TESTS { code, tests, options } → TEST_PLAN →
+                    (TEST_START | CONSOLE | TEST_END)* → RESULT { results }
+  One job per worker. The job carries a `nonce` that every later message
+  echoes; CodeRunner drops anything without it.
+*/
+
+(() => {
+  'use strict';
+
+  /*
+    ==========================================
+    CONFIGURATION
+    ==========================================
+  */
+
+  const MAX_CONSOLE_ENTRIES = 100;
+  const MAX_TEXT_LENGTH = 500;
+  const MAX_STACK_LINES = 10;
+  const MAX_INSPECT_DEPTH = 3;
+  const MAX_INSPECT_ITEMS = 50;
+
+  // Function prepends "function anonymous(\n) {\n": the student's line 1 is line 3
+  const FUNCTION_HEADER_LINES = 2;
+
+  /*
+    ==========================================
+    LOCKDOWN
+    ==========================================
+  */
+
+  // The test runner and the parser load before importScripts is removed
+  importScripts('test-runner.js', 'js-tokenizer.js', 'js-parser.js');
+
+  // Own references taken before student code can touch them; the IIFE keeps them out of its reach
+  const postMessage = self.postMessage.bind(self);
+
+  // The job's nonce lives only in this closure, so a message student code forged could not carry it
+  let nonce = null;
+  const post = message => postMessage({ ...message, nonce });
+  const { TestRunner, JSParser } = self;
+  Object.freeze(TestRunner.config);
+  Object.freeze(TestRunner);
+
+  // The runner is not left as a global; the parser is (it reads self.JSTokenizer), but it only runs before student code
+  Object.defineProperty(self, 'TestRunner', { value: undefined, writable: false, configurable: false });
+
+  // Only the worker compiles code; without eval or Function an import() built as text never gets to run
+  const compile = Function;
+  const timers = { setTimeout: self.setTimeout.bind(self), setInterval: self.setInterval.bind(self) };
+
+  // Network, script loading and nested workers, and everything that turns text into code
+  const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts',
+    'Worker', 'SharedWorker', 'indexedDB', 'caches', 'postMessage', 'eval', 'Function'
+  ];
+
+  // (function () {}).constructor is Function as well, and likewise for async and generators
+  const FUNCTION_PROTOTYPES = [compile, async function () {}.constructor, function* () {}.constructor, async function* () {}.constructor]
+    .map(constructor => constructor.prototype);
+
+  // The worker APIs may live on DedicatedWorkerGlobalScope.prototype, WorkerGlobalScope.prototype
+  // and further up rather than on self: an own property only shadows them, so every link is cleared
+  const SCOPE_PROTOTYPES = [];
+  for (let prototype = Object.getPrototypeOf(self); prototype; prototype = Object.getPrototypeOf(prototype)) {
+    SCOPE_PROTOTYPES.push(prototype);
+  }
+
+  const describePrototype = prototype => `${prototype.constructor?.name || prototype[Symbol.toStringTag] || 'Object'}.prototype`;
+  const LOCKED_GLOBALS = [...BLOCKED_GLOBALS, ...Object.keys(timers)];
+
+  const lockdownFailures = [];
+  const lock = (target, name, value, label = name) => {
+    try {
+      Object.defineProperty(target, name, { value, writable: false, configurable: false });
+      if (target[name] !== value) lockdownFailures.push(label);
+    } catch {
+      lockdownFailures.push(label);
+    }
+  };
+
+  SCOPE_PROTOTYPES.forEach(prototype => {
+    LOCKED_GLOBALS.forEach(name => Reflect.deleteProperty(prototype, name));
+  });
+
+  BLOCKED_GLOBALS.forEach(name => lock(self, name, undefined));
+  FUNCTION_PROTOTYPES.forEach(prototype => lock(prototype, 'constructor', undefined, `${prototype[Symbol.toStringTag] || 'Function'}.prototype.constructor`));
+
+  // setTimeout("code") compiles text too
+  Object.entries(timers).forEach(([name, schedule]) => {
+    lock(self, name, (handler, ...rest) => {
+      if (typeof handler !== 'function') throw new TypeError(`${name} only accepts a function in the code runner`);
+      return schedule(handler, ...rest);
+    });
+  });
+
+  // A name still defined anywhere up the chain is reachable through Object.getPrototypeOf(self)
+  SCOPE_PROTOTYPES.forEach(prototype => {
+    LOCKED_GLOBALS
+      .filter(name => Object.prototype.hasOwnProperty.call(prototype, name))
+      .forEach(name => lockdownFailures.push(`${describePrototype(prototype)}.${name}`));
+  });
+
+  // Fail closed: a half-locked sandbox runs no code (CodeRunner reports it as a sandbox error)
+  if (lockdownFailures.length > 0) {
+    throw new Error(`Code runner lockdown failed: could not remove ${lockdownFailures.join(', ')}`);
+  }
+
+  /*
+    ==========================================
+    CONSOLE CAPTURE
+    ==========================================
+  */
+
+  let startedAt = 0;
+  let consoleEntries = 0;
+
+  function truncate(text) {
+    return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}…` : text;
+  }
+
+  // Formatted like the Node/DevTools console, always as cloneable text
+  function inspect(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return depth === 0 ? value : JSON.stringify(value);
+    if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (value === null || typeof value !== 'object') return Object.is(value, -0) ? '-0' : String(value);
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_INSPECT_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+    seen.add(value);
+
+    const isArray = Array.isArray(value);
+    const keys = isArray ? [...value.keys()] : Object.keys(value);
+    const items = keys.slice(0, MAX_INSPECT_ITEMS).map(key =>
+      isArray ? inspect(value[key], depth + 1, seen) : `${key}: ${inspect(value[key], depth + 1, seen)}`
+    );
+
+    if (keys.length > MAX_INSPECT_ITEMS) {
+      items.push(`… ${keys.length - MAX_INSPECT_ITEMS} más`);
+    }
+
+    if (items.length === 0) return isArray ? '[]' : '{}';
+    return isArray ? `[ ${items.join(', ')} ]` : `{ ${items.join(', ')} }`;
+  }
+
+  function capture(level) {
+    return (...args) => {
+      consoleEntries++;
+
+      if (consoleEntries > MAX_CONSOLE_ENTRIES) {
+        if (consoleEntries === MAX_CONSOLE_ENTRIES + 1) {
+          post({ type: 'CONSOLE', entry: { level: 'warn', text: `… salida truncada tras ${MAX_CONSOLE_ENTRIES} mensajes`, time: elapsed() } });
+        }
+        return;
+      }
+
+      // Sent right away: if a timeout comes later, what was printed is not lost
+      post({ type: 'CONSOLE', entry: { level, text: truncate(args.map(arg => inspect(arg)).join(' ')), time: elapsed() } });
+    };
+  }
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    console[level] = capture(level);
+  });
+  console.table = capture('log');
+  console.dir = capture('log');
+
+  /*
+    ==========================================
+    EXECUTION
+    ==========================================
+  */
+
+  function elapsed() {
+    return Math.round((performance.now() - startedAt) * 10) / 10;
+  }
+
+  function describeError(error, phase) {
+    const isError = error instanceof Error;
+    const stack = isError && error.stack ? error.stack.split('\n').slice(0, MAX_STACK_LINES).join('\n') : null;
+    const position = stack?.match(/<anonymous>:(\d+):(\d+)/);
+
+    return {
+      // throw "text" is valid too: no name, the way DevTools shows it
+      name: isError ? error.name : null,
+      message: isError ? error.message : inspect(error, 1),
+      stack,
+      line: position ? Number(position[1]) - FUNCTION_HEADER_LINES : null,
+      phase
+    };
+  }
+
+  // import() is not a global that can be removed: it is rejected in the source
+  function findDynamicImport(code) {
+    try {
+      let found = null;
+      JSParser.walk(JSParser.parse(code), node => {
+        if (node.type === 'ImportExpression') found = found || node;
+        return !found;
+      });
+      return found ? found.loc.start.line : null;
+    } catch {
+      // Code the parser does not understand: looking like one is enough
+      const match = /\bimport\s*\(/.exec(code);
+      return match ? code.slice(0, match.index).split('\n').length : null;
+    }
+  }
+
+  function sandboxViolation(code) {
+    const line = findDynamicImport(code);
+    return line === null ? null : {
+      name: 'SecurityError',
+      message: 'import() no está permitido: el código no puede cargar módulos ni acceder a la red',
+      stack: null,
+      line,
+      phase: 'sandbox'
+    };
+  }
+
+  async function execute(code) {
+    startedAt = performance.now();
+    consoleEntries = 0;
+
+    let run;
+    try {
+      run = compile(code);
+    } catch (error) {
+      return { status: 'error', value: null, valueType: null, error: describeError(error, 'compile'), duration: elapsed() };
+    }
+
+    const violation = sandboxViolation(code);
+    if (violation) {
+      return { status: 'error', value: null, valueType: null, error: violation, duration: elapsed() };
+    }
+
+    try {
+      let value = run();
+      if (value && typeof value.then === 'function') {
+        value = await value;
+      }
+      return { status: 'success', value: inspect(value, 1), valueType: typeof value, error: null, duration: elapsed() };
+    } catch (error) {
+      return { status: 'error', value: null, valueType: null, error: describeError(error, 'runtime'), duration: elapsed() };
+    }
+  }
+
+  /*
+    ==========================================
+    TEST MODE
+    ==========================================
+  */
+
+  // Names declared at the top level of the code (function, class, var/let/const with destructuring)
+  function topLevelNames(code) {
+    const names = [];
+    const collect = pattern => {
+      if (!pattern) return;
+      if (pattern.type === 'Identifier') names.push(pattern.name);
+      if (pattern.type === 'ObjectPattern') pattern.properties.forEach(property => collect(property.type === 'RestElement' ? property.argument : property.value));
+      if (pattern.type === 'ArrayPattern') pattern.elements.forEach(collect);
+      if (pattern.type === 'RestElement') collect(pattern.argument);
+      if (pattern.type === 'AssignmentPattern') collect(pattern.left);
+    };
+
+    JSParser.parse(code).body.forEach(node => {
+      if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') collect(node.id);
+      if (node.type === 'VariableDeclaration') node.declarations.forEach(declaration => collect(declaration.id));
+    });
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * The student code runs first in its own function and returns what it
+   * declares; the specs run in a second function that receives those
+   * exports and a frozen test API as parameters. Student code never sees
+   * describe/it/expect, so it cannot replace them to make specs pass.
+   */
+  async function runTests(code, tests, options) {
+    startedAt = performance.now();
+    consoleEntries = 0;
+
+    const suite = TestRunner.createSuite({ testTimeout: TestRunner.config.testTimeout, ...options });
+    const api = Object.freeze({ ...suite.api, it: Object.freeze(suite.api.it), test: Object.freeze(suite.api.test) });
+    const failed = (error, phase) => ({
+      status: 'error',
+      testResults: TestRunner.summarize([], { duration: elapsed(), error: phase === 'sandbox' ? error : describeError(error, phase) })
+    });
+
+    let student;
+    let define;
+    let names;
+    try {
+      // V8 decides first whether the code compiles; the parser only provides the names
+      compile(code);
+      names = topLevelNames(code).filter(name => !(name in api));
+      student = compile(`${code}\n;\nreturn { ${names.join(', ')} };`);
+      define = compile(...Object.keys(api), ...names, tests);
+    } catch (error) {
+      return failed(error, 'compile');
+    }
+
+    const violation = sandboxViolation(code);
+    if (violation) return failed(violation, 'sandbox');
+
+    let exports;
+    try {
+      exports = student() || {};
+    } catch (error) {
+      return failed(error, 'runtime');
+    }
+
+    try {
+      define(...Object.values(api), ...names.map(name => exports[name]));
+    } catch (error) {
+      return failed(error, 'runtime');
+    }
+
+    // The plan arrives before running: if the budget runs out, the page knows what was missing
+    post({ type: 'TEST_PLAN', tests: suite.plan() });
+
+    const testResults = await suite.run({
+      onTestStart: fullName => post({ type: 'TEST_START', fullName }),
+      onTestEnd: result => post({ type: 'TEST_END', result })
+    });
+
+    return { status: 'success', testResults };
+  }
+
+  /*
+    ==========================================
+    MESSAGING
+    ==========================================
+  */
+
+  self.addEventListener('message', async (event) => {
+    const { type, code, tests, options, nonce: jobNonce } = event.data || {};
+    if (nonce !== null || typeof jobNonce !== 'string') return;
+    nonce = jobNonce;
+
+    if (type === 'EXECUTE_CODE') {
+      post({ type: 'RESULT', results: await execute(String(code ?? '')) });
+    }
+
+    if (type === 'RUN_TESTS') {
+      post({ type: 'RESULT', results: await runTests(String(code ?? ''), String(tests ?? ''), options || {}) });
+    }
+  });
+
+  post({ type: 'READY' });
+
+})();
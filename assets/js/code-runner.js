@@ -0,0 +1,261 @@
+/*
+  ==========================================
+  CODE RUNNER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Execution service for student code. Every run gets its own dedicated
+  Worker (code-runner-worker.js), a time budget taken from
+  AppConfig.ux.performance.budgets.codeExecution and a hard terminate()
+  when the budget runs out: an infinite loop costs one worker, not the tab.
+  Results are structured and dispatched to AppState as EXECUTE_CODE.
+
+  Archivo: assets/js/code-runner.js
+
+  "Fail fast" - Jim Shore
+  "A program that never stops is still a program that fails" - Edsger W. Dijkstra
+
+  Architecture:
+  1. Worker Lifecycle (one per run: READY handshake, per-run nonce,
+     terminate on finish)
+  2. Time Budget (clock starts after startup, timeout kills the worker)
+  3. Console Stream (entries kept even when the run times out)
+  4. Test Mode (TestRunner specs against student code, partial report on timeout)
+  5. Results → AppState.executeCode + Analytics
+*/
+
+(() => {
+  'use strict';
+
+  // The worker URL is relative to this script: it works from index.html and from proyectos/* alike
+  const scriptUrl = document.currentScript?.src || location.href;
+
+  /*
+    ==========================================
+    CODE RUNNER CONTROLLER
+    ==========================================
+  */
+
+  window.CodeRunner = {
+    config: {
+      workerUrl: new URL('code-runner-worker.js', scriptUrl).href,
+      defaultBudget: 100,       // ms, when AppConfig is not loaded
+      defaultTestBudget: 2000,  // ms for a whole test suite
+      startupTimeout: 5000      // ms for the worker to start; not counted in the budget
+    },
+
+    isSupported() {
+      return typeof Worker !== 'undefined';
+    },
+
+    getBudget() {
+      return window.AppConfig?.getPerformanceBudget('codeExecution') ?? this.config.defaultBudget;
+    },
+
+    getTestBudget() {
+      return window.AppConfig?.getTestingConfig().runBudget ?? this.config.defaultTestBudget;
+    },
+
+    /**
+     * Runs code in a fresh worker and resolves (never rejects) with
+     * { status: 'success' | 'error' | 'timeout', value, valueType, error,
+     *   errors, console, duration, budget, timestamp }.
+     * `error` is { name, message, stack, line, phase: 'compile' | 'runtime' | 'sandbox' }.
+     */
+    run(code, { budget = this.getBudget() } = {}) {
+      const consoleEntries = [];
+
+      return this.spawn({ type: 'EXECUTE_CODE', code: String(code ?? '') }, budget, {
+        onMessage: data => {
+          if (data.type === 'CONSOLE') consoleEntries.push(data.entry);
+        },
+        onResult: results => this.createResults(results.status, consoleEntries, budget, results),
+        onFailure: (status, details) => this.createResults(status, consoleEntries, budget, details)
+      });
+    },
+
+    /**
+     * Runs a case's describe/it specs against student code in the sandbox.
+     * Both sources share one function body, so the tests see the student's
+     * declarations. Resolves with TestRunner's testResults plus the console
+     * and budget; when the budget runs out, finished tests keep their result,
+     * the running one fails with the timeout and the rest fail as not run.
+     */
+    runTests(code, tests, { budget = this.getTestBudget(), filter = null } = {}) {
+      const consoleEntries = [];
+      const finished = new Map();
+      let plan = [];
+      let running = null;
+
+      const withContext = testResults => ({ ...testResults, console: consoleEntries, budget, timestamp: Date.now() });
+
+      const options = {
+        filter,
+        testTimeout: window.AppConfig?.getTestingConfig().testTimeout ?? window.TestRunner?.config.testTimeout
+      };
+
+      return this.spawn({ type: 'RUN_TESTS', code: String(code ?? ''), tests: String(tests ?? ''), options }, budget, {
+        onMessage: data => {
+          switch (data.type) {
+            case 'CONSOLE':
+              consoleEntries.push(data.entry);
+              break;
+            case 'TEST_PLAN':
+              plan = data.tests;
+              break;
+            case 'TEST_START':
+              running = data.fullName;
+              break;
+            case 'TEST_END':
+              finished.set(data.result.fullName, data.result);
+              running = null;
+              break;
+          }
+        },
+        onResult: results => withContext(results.testResults),
+        onFailure: (status, { error, duration = null }) => {
+          // Rebuilds the report from what arrived before the worker was stopped
+          const tests = plan.map(test => {
+            if (finished.has(test.fullName)) return finished.get(test.fullName);
+
+            const base = { name: test.name, suite: test.suite, fullName: test.fullName, duration: 0 };
+            if (test.skip) return { ...base, status: 'skipped', error: null };
+
+            const message = test.fullName === running ?
+              error.message :
+              'No se ejecutó: el sandbox se detuvo antes de llegar a este test';
+            return { ...base, status: 'failed', error: { name: error.name, message, matcher: null, diff: null } };
+          });
+
+          return withContext(window.TestRunner.summarize(tests, { duration, error, status }));
+        }
+      });
+    },
+
+    /*
+      Worker lifecycle shared by run() and runTests(): fresh worker, READY
+      handshake, budget clock, terminate on finish. The job goes out with a
+      random nonce and only messages that echo it are read, so student code
+      cannot forge a RESULT or a second READY. `onResult` builds the
+      value for a RESULT message, `onFailure(status, { error, duration })`
+      the one for a timeout or a sandbox that could not run.
+    */
+    spawn(message, budget, { onMessage, onResult, onFailure }) {
+      return new Promise(resolve => {
+        if (!this.isSupported()) {
+          resolve(onFailure('error', {
+            error: this.createError('Error', 'Este navegador no soporta Web Workers: no se puede ejecutar código aislado', 'sandbox')
+          }));
+          return;
+        }
+
+        let worker;
+        let timer = null;
+        let startedAt = 0;
+        let jobSent = false;
+        const nonce = this.createNonce();
+
+        const finish = results => {
+          clearTimeout(timer);
+          worker.terminate();
+          resolve(results);
+        };
+
+        try {
+          worker = new Worker(this.config.workerUrl, { name: 'code-runner' });
+        } catch (error) {
+          resolve(onFailure('error', {
+            error: this.createError(error.name, `No se pudo iniciar el sandbox: ${error.message}`, 'sandbox')
+          }));
+          return;
+        }
+
+        timer = setTimeout(() => {
+          finish(onFailure('error', {
+            error: this.createError('Error', 'El sandbox no respondió al arrancar', 'sandbox')
+          }));
+        }, this.config.startupTimeout);
+
+        worker.addEventListener('message', ({ data }) => {
+          if (!jobSent) {
+            if (data?.type !== 'READY') return;
+
+            // The clock starts here: the worker's load time is not the student's
+            clearTimeout(timer);
+            startedAt = performance.now();
+            jobSent = true;
+            worker.postMessage({ ...message, nonce });
+            timer = setTimeout(() => {
+              finish(onFailure('timeout', {
+                duration: Math.round(performance.now() - startedAt),
+                error: this.createError('TimeoutError',
+                  `La ejecución superó el presupuesto de ${budget} ms y el worker fue detenido (¿un bucle infinito?)`, 'runtime')
+              }));
+            }, budget);
+            return;
+          }
+
+          if (data?.nonce !== nonce) return;
+
+          switch (data.type) {
+            case 'RESULT':
+              finish(onResult(data.results));
+              break;
+
+            default:
+              onMessage(data);
+          }
+        });
+
+        // Errors that escape the worker's try/catch (e.g. the script failing to load)
+        worker.addEventListener('error', event => {
+          event.preventDefault();
+          finish(onFailure('error', {
+            error: this.createError('Error', event.message || 'El sandbox falló', 'sandbox')
+          }));
+        });
+      });
+    },
+
+    // Runs the code and records the result in AppState (EXECUTE_CODE)
+    async execute(code, options = {}) {
+      const results = await this.run(code, options);
+
+      window.AppState?.executeCode(code, results);
+
+      if (window.Analytics) {
+        window.Analytics.trackEvent('code_execution', results.status, {
+          duration: results.duration,
+          budget: results.budget,
+          errorName: results.error?.name ?? null
+        });
+      }
+
+      return results;
+    },
+
+    createResults(status, consoleEntries, budget, { value = null, valueType = null, error = null, duration = null } = {}) {
+      return {
+        status,
+        value,
+        valueType,
+        error,
+        // AppState.reduceExecuteCode counts the errors of each run
+        errors: error ? [error] : [],
+        console: consoleEntries,
+        duration,
+        budget,
+        timestamp: Date.now()
+      };
+    },
+
+    createError(name, message, phase) {
+      return { name, message, stack: null, line: null, phase };
+    },
+
+    // getRandomValues, unlike randomUUID, also exists on insecure origins
+    createNonce() {
+      return [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+  };
+
+})();
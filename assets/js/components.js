@@ -61,6 +61,9 @@
         // Editor de código
         this.initCodeEditor();
         
+        // Laboratorio (editor editable sincronizado con AppState)
+        this.initLaboratory();
+        
         // Barras de progreso
         this.initProgressBars();
         
@@ -281,6 +284,11 @@
     },
 
     enhanceCodeBlock(codeBlock) {
+      // Resaltado bajo demanda: <pre><code data-highlight="css|html|json|javascript">
+      if (window.Highlighter && codeBlock.dataset.highlight && !codeBlock.dataset.highlighted) {
+        window.Highlighter.highlightElement(codeBlock);
+      }
+
       // Hacer código focusable para accesibilidad
       if (!codeBlock.hasAttribute('tabindex')) {
         codeBlock.setAttribute('tabindex', '0');
@@ -393,33 +401,117 @@
       }
     },
 
+    // Diagnósticos del Linter (AST): { type, severity, message, suggestion, fix, line, column, … }
     detectCodePatterns(code) {
-      const patterns = [];
-      
-      // Detectar errores comunes que se enseñan
-      if (code.includes('base + mult * fee')) {
-        patterns.push({
-          type: 'precedence_error',
-          message: 'Error de precedencia: debería usar paréntesis (base + mult) * fee',
-          severity: 'critical'
-        });
-      }
-      
-      if (code.includes('var ')) {
-        patterns.push({
-          type: 'var_usage',
-          message: 'Recomendación: usar let/const en lugar de var',
-          severity: 'warning'
-        });
-      }
-      
-      return patterns;
+      if (!window.Linter) return [];
+
+      return window.Linter.lint(code).diagnostics.map(diagnostic => ({
+        type: diagnostic.ruleId,
+        ...diagnostic
+      }));
     },
 
+    // Panel en línea bajo el bloque analizado; sustituye al análisis anterior del mismo bloque
     showCodeAnalysis(codeBlock, patterns) {
-      // Mostrar análisis en un tooltip o modal
-      const tooltip = this.createAnalysisTooltip(patterns);
-      this.showTooltip(codeBlock, tooltip);
+      if (!codeBlock) return;
+
+      const anchor = codeBlock.closest('pre') || codeBlock;
+      const previous = anchor.nextElementSibling;
+      if (previous?.classList.contains('code-analysis')) {
+        previous.remove();
+      }
+
+      if (patterns.length === 0) return;
+
+      anchor.after(this.createAnalysisPanel(codeBlock, patterns));
+    },
+
+    createAnalysisPanel(codeBlock, patterns) {
+      const icons = { error: '✗', warning: '⚠', info: 'ℹ' };
+      const input = codeBlock.querySelector('[data-lab-editor-input]');
+
+      const panel = document.createElement('section');
+      panel.className = 'code-analysis';
+      panel.setAttribute('aria-label', 'Análisis del código');
+
+      const title = document.createElement('h3');
+      title.className = 'code-analysis__title';
+      title.textContent = `🔍 ${patterns.length} ${patterns.length === 1 ? 'hallazgo' : 'hallazgos'} en el código`;
+      panel.appendChild(title);
+
+      const list = document.createElement('ul');
+      list.className = 'code-analysis__list';
+      list.setAttribute('role', 'list');
+
+      patterns.forEach(pattern => {
+        const item = document.createElement('li');
+        item.className = `code-analysis__item code-analysis__item--${pattern.severity}`;
+
+        const location = document.createElement('span');
+        location.className = 'code-analysis__location';
+        location.textContent = `${icons[pattern.severity] || '•'} ${pattern.line}:${pattern.column}`;
+
+        const message = document.createElement('span');
+        message.className = 'code-analysis__message';
+        message.textContent = pattern.message;
+
+        const suggestion = document.createElement('p');
+        suggestion.className = 'code-analysis__suggestion';
+        suggestion.textContent = pattern.suggestion;
+
+        item.append(location, message, suggestion);
+
+        // Caso de la academia que enseña este bug
+        const project = pattern.bugClass && window.AppConfig?.findProject(candidate => candidate.caseType === pattern.bugClass);
+        if (project) {
+          const link = document.createElement('a');
+          link.className = 'code-analysis__case';
+          link.href = project.page;
+          link.textContent = `Caso: ${project.title}`;
+          item.appendChild(link);
+        }
+
+        // En el laboratorio: seleccionar el rango y aplicar la corrección
+        if (input) {
+          location.setAttribute('role', 'button');
+          location.tabIndex = 0;
+          const select = () => {
+            input.focus();
+            input.setSelectionRange(pattern.start, pattern.end);
+          };
+          location.addEventListener('click', select);
+          location.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') select();
+          });
+
+          if (pattern.fix) {
+            const apply = document.createElement('button');
+            apply.type = 'button';
+            apply.className = 'code-analysis__fix';
+            apply.textContent = 'Aplicar corrección';
+            apply.addEventListener('click', () => this.applyCodeFix(codeBlock, input, pattern.fix));
+            item.appendChild(apply);
+          }
+        }
+
+        list.appendChild(item);
+      });
+
+      panel.appendChild(list);
+      return panel;
+    },
+
+    // Un fix cambia los offsets del resto: se aplica uno y se vuelve a analizar
+    applyCodeFix(codeBlock, input, fix) {
+      const code = window.Linter.applyFix(input.value, fix);
+      if (this.labEditor?.textarea === input) {
+        this.labEditor.setValue(code);
+      } else {
+        input.value = code;
+        window.AppState?.updateEditorCode(code);
+      }
+
+      this.showCodeAnalysis(codeBlock, this.detectCodePatterns(code));
     },
 
     async copyCodeToClipboard(codeBlock) {
@@ -433,6 +525,142 @@
       }
     },
 
+    /*
+      ==========================================
+      LABORATORIO DE CÓDIGO
+      ==========================================
+    */
+
+    initLaboratory() {
+      const input = document.querySelector('[data-lab-editor-input]');
+      if (!input || input.dataset.labBound) return;
+      
+      input.dataset.labBound = 'true';
+
+      // CodeEditor: resaltado, gutter, diagnósticos y sincronización con AppState
+      if (window.CodeEditor) {
+        this.labEditor = window.CodeEditor.attach(input);
+        this.labEditor.setValue(window.AppState?.getState('session.editor.currentCode') || '', { sync: false });
+      } else {
+        // Estado → editor (archivos compartidos, importaciones, deshacer/rehacer, etc.)
+        input.value = window.AppState?.getState('session.editor.currentCode') || '';
+
+        ['action:update_editor_code', 'action:undo_edit', 'action:redo_edit', 'state:replaced'].forEach(eventType => {
+          window.AppState?.observe(eventType, ({ state }) => {
+            const code = state.session.editor.currentCode;
+            if (input.value !== code) {
+              input.value = code;
+            }
+          });
+        });
+
+        // Editor → estado
+        const syncCode = window.AppUtils?.performance.debounce(() => {
+          window.AppState?.updateEditorCode(input.value);
+        }, 300) || (() => window.AppState?.updateEditorCode(input.value));
+
+        input.addEventListener('input', syncCode);
+      }
+
+      // Historial de edición: botones activos solo si hay algo que deshacer/rehacer
+      document.querySelector('[data-lab-undo]')?.addEventListener('click', () => this.undoEdit());
+      document.querySelector('[data-lab-redo]')?.addEventListener('click', () => this.redoEdit());
+      window.AppState?.observe('state:changed', () => this.updateHistoryButtons());
+      this.updateHistoryButtons();
+
+      // Ejecución aislada en un Worker (CodeRunner)
+      const runButton = document.querySelector('[data-lab-run]');
+      runButton?.addEventListener('click', () => this.runLaboratoryCode(input.value));
+
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+          event.preventDefault();
+          this.runLaboratoryCode(input.value);
+        }
+      });
+      
+      this.initialized.add('laboratory');
+      console.log('🔬 Laboratorio inicializado');
+    },
+
+    undoEdit() {
+      if (this.labEditor) this.labEditor.undo();
+      else window.AppState?.undoEdit();
+    },
+
+    redoEdit() {
+      if (this.labEditor) this.labEditor.redo();
+      else window.AppState?.redoEdit();
+    },
+
+    updateHistoryButtons() {
+      const history = window.AppState?.getEditHistory();
+      const undoButton = document.querySelector('[data-lab-undo]');
+      const redoButton = document.querySelector('[data-lab-redo]');
+
+      if (undoButton) undoButton.disabled = !history?.canUndo;
+      if (redoButton) redoButton.disabled = !history?.canRedo;
+    },
+
+    async runLaboratoryCode(code) {
+      const output = document.querySelector('[data-lab-output]');
+      const runButton = document.querySelector('[data-lab-run]');
+      if (!output || !window.CodeRunner || runButton?.disabled) return;
+
+      output.hidden = false;
+      output.className = 'code-output code-output--loading';
+      output.querySelector('[data-lab-output-meta]').textContent = 'Ejecutando en el sandbox…';
+      output.querySelector('[data-lab-output-content]').textContent = '';
+      if (runButton) runButton.disabled = true;
+
+      try {
+        const results = await window.CodeRunner.execute(code);
+        this.renderExecutionResults(output, results);
+        this.showExecutionDiagnostics(results);
+      } finally {
+        if (runButton) runButton.disabled = false;
+      }
+    },
+
+    renderExecutionResults(output, results) {
+      const levelPrefix = { warn: '⚠ ', error: '✗ ', info: 'ℹ ', debug: '· ', log: '' };
+      const lines = results.console.map(entry => `${levelPrefix[entry.level] ?? ''}${entry.text}`);
+
+      if (results.error) {
+        const { name, message, line } = results.error;
+        lines.push(`Uncaught ${name ? `${name}: ` : ''}${message}${line ? ` (línea ${line})` : ''}`);
+      } else {
+        lines.push(`← ${results.value}`);
+      }
+
+      const duration = results.duration === null ? '—' : `${results.duration} ms`;
+      output.className = `code-output code-output--${results.status === 'success' ? 'success' : 'error'}`;
+      output.querySelector('[data-lab-output-meta]').textContent =
+        `${new Date(results.timestamp).toLocaleTimeString()} · ${duration} de ${results.budget} ms de presupuesto`;
+      output.querySelector('[data-lab-output-content]').textContent = lines.join('\n');
+    },
+
+    // El error de la ejecución, marcado en el gutter del editor en su línea
+    showExecutionDiagnostics(results) {
+      if (!this.labEditor) return;
+
+      const { error } = results;
+      this.labEditor.setDiagnostics('execution', error?.line ? [{
+        severity: 'error',
+        line: error.line,
+        column: 1,
+        message: `${error.name ? `${error.name}: ` : ''}${error.message}`
+      }] : []);
+    },
+
+    // Muestra el nombre del archivo activo en la cabecera del laboratorio
+    setLabFileName(fileName) {
+      const title = document.querySelector('[data-lab-editor-title]');
+      if (title) {
+        title.textContent = fileName || 'laboratorio.js';
+      }
+    },
+
     /*
       ==========================================
       BARRAS DE PROGRESO ANIMADAS
@@ -504,7 +732,9 @@
       console.log('🔔 Sistema de notificaciones inicializado');
     },
 
-    showNotification(message, type = 'info', duration = 5000) {
+    // duration 0 = persistente hasta que el usuario actúe
+    // actions: [{ label, onClick }] renderizadas como botones
+    showNotification(message, type = 'info', duration = 5000, actions = []) {
       const container = document.getElementById('notifications-container');
       if (!container) return;
 
@@ -525,27 +755,34 @@
         <button class="notification__close" aria-label="Cerrar notificación">×</button>
       `;
 
+      // Acciones (ej. "Recargar" en actualizaciones de la app)
+      if (actions.length > 0) {
+        this.addNotificationActions(notification, actions);
+      }
+
       // Evento de cierre
       const closeBtn = notification.querySelector('.notification__close');
       closeBtn.addEventListener('click', () => {
         this.removeNotification(notification);
       });
 
-      // Auto-remover después del duration
-      const autoRemove = setTimeout(() => {
-        this.removeNotification(notification);
-      }, duration);
+      if (duration > 0) {
+        // Auto-remover después del duration
+        const autoRemove = setTimeout(() => {
+          this.removeNotification(notification);
+        }, duration);
 
-      // Cancelar auto-remover si el usuario hace hover
-      notification.addEventListener('mouseenter', () => {
-        clearTimeout(autoRemove);
-      });
+        // Cancelar auto-remover si el usuario hace hover
+        notification.addEventListener('mouseenter', () => {
+          clearTimeout(autoRemove);
+        });
 
-      notification.addEventListener('mouseleave', () => {
-        setTimeout(() => {
-          this.removeNotification(notification);
-        }, 1000);
-      });
+        notification.addEventListener('mouseleave', () => {
+          setTimeout(() => {
+            this.removeNotification(notification);
+          }, 1000);
+        });
+      }
 
       container.appendChild(notification);
 
@@ -561,6 +798,26 @@
       }
     },
 
+    addNotificationActions(notification, actions) {
+      const actionsContainer = document.createElement('div');
+      actionsContainer.className = 'notification__actions';
+
+      actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = 'notification__action btn btn--small';
+        button.textContent = action.label;
+
+        button.addEventListener('click', () => {
+          this.removeNotification(notification);
+          action.onClick?.();
+        });
+
+        actionsContainer.appendChild(button);
+      });
+
+      notification.insertBefore(actionsContainer, notification.querySelector('.notification__close'));
+    },
+
     removeNotification(notification) {
       if (!notification.parentElement) return;
       
@@ -768,31 +1025,6 @@
       tooltip.style.zIndex = '1070';
     },
 
-    createAnalysisTooltip(patterns) {
-      const tooltip = document.createElement('div');
-      tooltip.className = 'code-analysis-tooltip';
-      
-      const content = patterns.map(pattern => 
-        `<div class="analysis-item analysis-item--${pattern.severity}">
-          <strong>${pattern.type}:</strong> ${pattern.message}
-        </div>`
-      ).join('');
-      
-      tooltip.innerHTML = content;
-      return tooltip;
-    },
-
-    showTooltip(element, tooltip) {
-      document.body.appendChild(tooltip);
-      this.positionTooltip(element, tooltip);
-      
-      setTimeout(() => {
-        if (tooltip.parentElement) {
-          tooltip.parentElement.removeChild(tooltip);
-        }
-      }, 5000);
-    },
-
     /*
       ==========================================
       ANIMACIONES Y TRANSICIONES
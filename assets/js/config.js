@@ -48,13 +48,19 @@
           enabled: true,
           verbose: true,
           showPerformance: true,
-          mockData: true
+          mockData: true,
+          timeTravel: true // StateRecorder graba las acciones de AppState
         },
         features: {
           analytics: false,
           errorReporting: false,
           serviceWorker: false,
-          offlineMode: false
+          offlineMode: false,
+          // Mock local: node tools/mock-sync-server.js y ?sync=true
+          sync: {
+            enabled: false,
+            periodicSync: false
+          }
         },
         education: {
           skipIntros: true,
@@ -74,13 +80,19 @@
           enabled: true,
           verbose: false,
           showPerformance: true,
-          mockData: false
+          mockData: false,
+          timeTravel: true
         },
         features: {
           analytics: true,
           errorReporting: true,
           serviceWorker: true,
-          offlineMode: true
+          offlineMode: true,
+          // Off until the sync backend is deployed; ?sync=true turns it on
+          sync: {
+            enabled: false,
+            periodicSync: false
+          }
         },
         education: {
           skipIntros: false,
@@ -100,13 +112,19 @@
           enabled: false,
           verbose: false,
           showPerformance: false,
-          mockData: false
+          mockData: false,
+          timeTravel: false // soporte: StateRecorder.start() desde la consola
         },
         features: {
           analytics: true,
           errorReporting: true,
           serviceWorker: true,
-          offlineMode: true
+          offlineMode: true,
+          // Off until the sync backend is deployed; ?sync=true turns it on
+          sync: {
+            enabled: false,
+            periodicSync: false
+          }
         },
         education: {
           skipIntros: false,
@@ -143,7 +161,7 @@
             icon: '🔍',
             difficulty: 'intermediate',
             requiredScore: 80,
-            projects: ['recursion-overflow', 'comma-operator'],
+            projects: ['recursion-overflow', 'comma-operator', 'environment-memory'],
             estimatedHours: 12,
             preventionValue: 500000
           },
@@ -153,7 +171,7 @@
             icon: '⚡',
             difficulty: 'expert',
             requiredScore: 160,
-            projects: ['precedence-disaster', 'integer-overflow'],
+            projects: ['precedence-disaster', 'integer-overflow', 'evaluation-chaos'],
             estimatedHours: 16,
             preventionValue: 2300000
           },
@@ -169,6 +187,111 @@
           }
         ],
 
+        // Project Registry: single source for every case page (Router, AppState, Analytics)
+        // Al renombrar un id, añade previousIds: ['id-anterior'] para que AppState migre su progreso
+        projects: {
+          'calculator-interest': {
+            id: 'calculator-interest',
+            stage: 'foundations',
+            title: 'Calculadora de Interés Compuesto',
+            page: 'proyectos/calculadora-interes/index.html',
+            caseType: 'calculadora_interes',
+            bugType: 'logic',
+            estimatedMinutes: 90,
+            costImpact: 2300000
+          },
+          'naming-conventions': {
+            id: 'naming-conventions',
+            stage: 'foundations',
+            title: 'Calculadora de Seguros - Números Mágicos',
+            page: 'proyectos/naming/index.html',
+            caseType: 'naming_fundamentals',
+            bugType: 'logic',
+            estimatedMinutes: 60,
+            costImpact: 180000
+          },
+          'recursion-overflow': {
+            id: 'recursion-overflow',
+            stage: 'debugging',
+            title: 'El Misterio del Sistema de Calificaciones',
+            page: 'proyectos/evaluacion-recursiva/index.html',
+            caseType: 'evaluacion_recursiva',
+            bugType: 'logic',
+            estimatedMinutes: 120,
+            costImpact: 847000
+          },
+          'comma-operator': {
+            id: 'comma-operator',
+            stage: 'debugging',
+            title: 'Operador Coma - El Error Invisible',
+            page: 'proyectos/operador-coma/index.html',
+            caseType: 'operador_coma',
+            bugType: 'logic',
+            estimatedMinutes: 90,
+            costImpact: 500000
+          },
+          'environment-memory': {
+            id: 'environment-memory',
+            stage: 'debugging',
+            title: 'Laboratorio del Environment',
+            page: 'proyectos/environment/index.html',
+            caseType: 'environment_laboratory',
+            bugType: 'memory',
+            estimatedMinutes: 120,
+            costImpact: 2500000
+          },
+          'precedence-disaster': {
+            id: 'precedence-disaster',
+            stage: 'millionaire',
+            title: 'Precedencia de Operadores - El Error de $2.3M',
+            page: 'proyectos/precedencia-operadores/index.html',
+            caseType: 'precedencia_operadores',
+            bugType: 'logic',
+            estimatedMinutes: 120,
+            costImpact: 2300000
+          },
+          'integer-overflow': {
+            id: 'integer-overflow',
+            stage: 'millionaire',
+            title: 'Desbordamiento de Enteros - Ariane 5',
+            page: 'proyectos/desbordamiento-enteros/index.html',
+            caseType: 'desbordamiento_enteros',
+            bugType: 'memory',
+            estimatedMinutes: 120,
+            costImpact: 370000000
+          },
+          'evaluation-chaos': {
+            id: 'evaluation-chaos',
+            stage: 'millionaire',
+            title: 'Simulador de Caos en Evaluación',
+            page: 'proyectos/simulador/index.html',
+            caseType: 'simulador_evaluacion',
+            bugType: 'logic',
+            estimatedMinutes: 60,
+            costImpact: 23000
+          },
+          'clean-architecture': {
+            id: 'clean-architecture',
+            stage: 'mastery',
+            title: 'Arquitectura Limpia - Knight Capital',
+            page: 'proyectos/arquitectura-limpia/index.html',
+            caseType: 'arquitectura_limpia',
+            bugType: 'integration',
+            estimatedMinutes: 180,
+            costImpact: 440000000
+          },
+          'prevention-system': {
+            id: 'prevention-system',
+            stage: 'mastery',
+            title: 'Sistema de Prevención de Bugs',
+            page: 'proyectos/sistema-prevencion/index.html',
+            caseType: 'sistema_prevencion',
+            bugType: 'integration',
+            estimatedMinutes: 180,
+            costImpact: 5000000
+          }
+        },
+
         // Bug Categories (Robert C. Martin's classification)
         bugTypes: {
           logic: {
@@ -325,12 +448,48 @@
         syntaxHighlighting: true,
         errorHighlighting: true,
         autoComplete: true,
-        formatOnSave: true
+        formatOnSave: true,
+
+        // Deshacer/rehacer: ráfagas de escritura de menos de coalesceWindow ms = una entrada
+        history: {
+          maxEntries: 100,
+          coalesceWindow: 1000,
+          maxProjects: 10
+        }
+      },
+
+      // Persistencia de AppState (StateStorage): 'auto' usa IndexedDB si existe
+      storage: {
+        backend: 'auto',
+        quotaThreshold: 0.8,   // a partir de este uso de la cuota se desalojan entregas antiguas
+        keepPerProject: 3,     // entregas recientes que se conservan siempre (más la de mejor nota)
+        localStorageQuota: 5 * 1024 * 1024
+      },
+
+      // Sincronización con el servidor (AppState.syncWithServer); timeout y reintentos salen de api
+      sync: {
+        endpoint: '/sync',
+        debounce: 2000,        // ms entre la última acción y el envío
+        retryDelay: 1000,      // primer reintento; se dobla en cada uno
+        maxLogEntries: 500     // acciones pendientes de enviar que se conservan
+      },
+
+      // Envío de eventos de Analytics (AnalyticsTransport); solo con features.analytics
+      analytics: {
+        endpoint: '/events',
+        batchSize: 50,                  // eventos por petición
+        flushInterval: 30000,           // ms entre envíos periódicos
+        maxQueue: 5000,                 // eventos en cola; se descartan los más antiguos
+        retryDelay: 2000,               // primera espera tras un fallo; se dobla en cada uno
+        maxRetryDelay: 5 * 60 * 1000,
+        beaconMaxBytes: 60 * 1024       // sendBeacon admite unos 64 KB por llamada
       },
 
       // Testing Configuration (Kent Beck's TDD)
       testing: {
         framework: 'jest',
+        runBudget: 2000,     // ms para toda una suite en el sandbox (CodeRunner.runTests)
+        testTimeout: 1000,   // ms por test asíncrono (TestRunner)
         coverage: {
           threshold: 80,
           statements: 80,
@@ -508,6 +667,10 @@
         this.runtime.education.unlockAllLevels = urlParams.get('unlock-all') === 'true';
       }
       
+      if (urlParams.has('sync')) {
+        this.runtime.features.sync.enabled = urlParams.get('sync') === 'true';
+      }
+      
       this.log('🔧 URL overrides applied');
     },
 
@@ -584,6 +747,65 @@
       return path ? this.getNestedValue(base, path) : base;
     },
 
+    // Roadmap & project registry (static, shared by every environment)
+    getRoadmapStages() {
+      return this.education.roadmap.stages;
+    },
+
+    getProject(projectId) {
+      return this.education.roadmap.projects[projectId] || null;
+    },
+
+    getProjects(stageId = null) {
+      const projects = Object.values(this.education.roadmap.projects);
+      return stageId ? projects.filter(project => project.stage === stageId) : projects;
+    },
+
+    findProject(predicate) {
+      return this.getProjects().find(predicate) || null;
+    },
+
+    getAssessmentCriteria() {
+      return this.education.roadmap.assessmentCriteria;
+    },
+
+    // Static sections: get() only reads the per-environment runtime config
+    getPerformanceBudget(name) {
+      return this.ux.performance.budgets[name] ?? null;
+    },
+
+    getTestingConfig() {
+      return this.technical.testing;
+    },
+
+    getCodeEditorConfig() {
+      return this.technical.codeEditor;
+    },
+
+    getStorageConfig() {
+      return this.technical.storage;
+    },
+
+    getAnalyticsTransportConfig() {
+      return {
+        ...this.technical.analytics,
+        enabled: this.isFeatureEnabled('analytics'),
+        url: this.getApiUrl(this.technical.analytics.endpoint),
+        timeout: this.get('api.timeout', 10000)
+      };
+    },
+
+    getSyncConfig() {
+      return {
+        ...this.technical.sync,
+        enabled: this.isFeatureEnabled('sync.enabled'),
+        periodicSync: this.isFeatureEnabled('sync.periodicSync'),
+        url: this.getApiUrl(this.technical.sync.endpoint),
+        timeout: this.get('api.timeout', 10000),
+        retries: this.get('api.retries', 0)
+      };
+    },
+
     isDevelopment() {
       return this.currentEnvironment === 'development';
     },
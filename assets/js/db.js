@@ -0,0 +1,170 @@
+/*
+  ==========================================
+  INDEXEDDB ACCESS LAYER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Minimal promise-based IndexedDB wrapper shared by the page and the service worker.
+  Owns the database name, version and the ordered list of schema upgrades.
+
+  Archivo: assets/js/db.js
+
+  "Data outlives code" - Martin Kleppmann
+  "Make the change easy, then make the easy change" - Kent Beck
+
+  Architecture:
+  1. Single Connection per Context (lazy, cached)
+  2. Versioned Schema Upgrades (append-only)
+  3. Promise API over IDBRequest / IDBTransaction
+
+  Loaded with <script> in pages and importScripts() in sw.js, so it attaches
+  to `self` (window in pages, ServiceWorkerGlobalScope in the worker).
+*/
+
+(() => {
+  'use strict';
+
+  /*
+    ==========================================
+    DATABASE CONTROLLER
+    ==========================================
+  */
+
+  self.AppDB = {
+    config: {
+      name: 'mdb_academy',
+      version: 4
+    },
+
+    // Schema upgrades indexed by the version they introduce (never edit, only append)
+    upgrades: {
+      1(db) {
+        // Bug cases shared from other apps through manifest share_target
+        db.createObjectStore('sharedCases', { keyPath: 'id' });
+      },
+      2(db) {
+        // FileSystemFileHandles from file_handlers launches, to reopen recent files
+        db.createObjectStore('fileHandles', { keyPath: 'name' });
+      },
+      3(db) {
+        // AppState persistence (StateStorage): the state envelope and one record per code submission
+        db.createObjectStore('appState', { keyPath: 'key' });
+        const submissions = db.createObjectStore('submissions', { keyPath: 'id' });
+        submissions.createIndex('projectId', 'projectId');
+        submissions.createIndex('timestamp', 'timestamp');
+      },
+      4(db) {
+        // Analytics events waiting to be sent (AnalyticsTransport), keyed by event id
+        const queue = db.createObjectStore('analyticsQueue', { keyPath: 'id' });
+        queue.createIndex('queuedAt', 'queuedAt');
+      }
+    },
+
+    connection: null,
+
+    /*
+      ==========================================
+      CONNECTION MANAGEMENT
+      ==========================================
+    */
+
+    isSupported() {
+      return 'indexedDB' in self;
+    },
+
+    open() {
+      if (this.connection) {
+        return this.connection;
+      }
+
+      if (!this.isSupported()) {
+        return Promise.reject(new Error('IndexedDB not supported'));
+      }
+
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.config.name, this.config.version);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          for (let version = event.oldVersion + 1; version <= this.config.version; version++) {
+            this.upgrades[version]?.(db, request.transaction);
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+
+          // Another context upgraded the schema: drop our stale connection
+          db.onversionchange = () => {
+            db.close();
+            this.connection = null;
+          };
+
+          resolve(db);
+        };
+
+        request.onerror = () => {
+          this.connection = null;
+          reject(request.error);
+        };
+      });
+
+      return this.connection;
+    },
+
+    /*
+      ==========================================
+      CRUD OPERATIONS
+      ==========================================
+    */
+
+    async get(storeName, key) {
+      return this.request(storeName, 'readonly', store => store.get(key));
+    },
+
+    async getAll(storeName) {
+      return this.request(storeName, 'readonly', store => store.getAll());
+    },
+
+    async put(storeName, value) {
+      return this.request(storeName, 'readwrite', store => store.put(value));
+    },
+
+    async delete(storeName, key) {
+      return this.request(storeName, 'readwrite', store => store.delete(key));
+    },
+
+    // Several records in a single transaction
+    async putAll(storeName, values) {
+      return this.request(storeName, 'readwrite', store => values.map(value => store.put(value)).pop());
+    },
+
+    async deleteAll(storeName, keys) {
+      return this.request(storeName, 'readwrite', store => keys.map(key => store.delete(key)).pop());
+    },
+
+    async clear(storeName) {
+      return this.request(storeName, 'readwrite', store => store.clear());
+    },
+
+    /*
+      ==========================================
+      REQUEST HELPERS
+      ==========================================
+    */
+
+    async request(storeName, mode, operation) {
+      const db = await this.open();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        // Resolve on commit so readwrite results are durable
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+  };
+
+})();
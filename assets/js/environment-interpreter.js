@@ -0,0 +1,776 @@
+/*
+  ==========================================
+  ENVIRONMENT INTERPRETER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Statement interpreter for the Environment lab. Runs a small JavaScript
+  subset (let/const/var, blocks, if/else, function declarations, return)
+  over a real chain of environment records, so block scopes, shadowing,
+  hoisting, the temporal dead zone and closures behave as they do in V8.
+  Scripts run in sloppy mode, as a classic <script> does: assigning an
+  undeclared name creates a global, and a function declared in a block
+  is also copied to a var of the enclosing function (Annex B.3.3).
+  Expressions are delegated to ExpressionEvaluator through its
+  `environment` hook; nothing is ever handed to eval().
+
+  The whole program runs up front and every statement is recorded with a
+  snapshot of the frame chain, so the lab can replay it one step at a time.
+
+  Archivo: assets/js/environment-interpreter.js
+
+  "An environment is a sequence of frames" - Abelson & Sussman (SICP 3.2)
+  "A closure is the combination of a function and the lexical environment within which it was declared" - MDN
+
+  Architecture:
+  1. Statement Parser (ASI, blocks, functions, expression hand-off to parseAt)
+  2. Scope Analysis (early errors: redeclaration, const without initializer)
+  3. Environment Records (frames, bindings, TDZ, implicit globals)
+  4. Recording Executor (one snapshot per step, call depth and step budgets)
+
+  Requires js-tokenizer.js and expression-evaluator.js loaded first.
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof self.ExpressionEvaluator === 'undefined') {
+    console.warn('🧠 EnvironmentInterpreter: ExpressionEvaluator no disponible.');
+    return;
+  }
+
+  /*
+    ==========================================
+    GRAMMAR
+    ==========================================
+  */
+
+  const DECLARATION_KEYWORDS = new Set(['let', 'const', 'var']);
+
+  // Still valid binding names in a sloppy script
+  const CONTEXTUAL_KEYWORDS = new Set(['let', 'yield', 'await']);
+
+  // Cannot be binding names: the tokenizer's keywords plus the reserved enum
+  const RESERVED_WORDS = new Set([...self.JSTokenizer.KEYWORDS, 'enum'].filter(word => !CONTEXTUAL_KEYWORDS.has(word)));
+
+  const NORMAL_COMPLETION = Object.freeze({ type: 'normal' });
+
+  function lineAt(source, position) {
+    return source.slice(0, position).split('\n').length;
+  }
+
+  // V8's literal messages: what the student will later see in the console
+  function createV8Error(ErrorType, code, message, line) {
+    const error = new ErrorType(message);
+    error.code = code;
+    if (line !== undefined) error.line = line;
+    return error;
+  }
+
+  /*
+    ==========================================
+    STATEMENT PARSER
+    ==========================================
+  */
+
+  function createProgramParser(source, tokens) {
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isPunctuator = (value, token = peek()) => token?.type === 'punctuator' && token.value === value;
+    const isKeyword = (value, token = peek()) => token?.type === 'identifier' && token.value === value;
+    const lineOf = token => lineAt(source, token ? token.start : source.length);
+
+    function unexpected(token = peek()) {
+      if (!token) {
+        return createV8Error(SyntaxError, 'syntax', 'Unexpected end of input', lineOf(token));
+      }
+      const description = token.type === 'identifier' && !RESERVED_WORDS.has(token.value) ? `identifier '${token.value}'` :
+                          token.type === 'number' ? 'number' :
+                          token.type === 'string' ? 'string' :
+                          `token '${token.value}'`;
+      return createV8Error(SyntaxError, 'syntax', `Unexpected ${description}`, lineOf(token));
+    }
+
+    function expect(value) {
+      const token = next();
+      if (!isPunctuator(value, token)) throw unexpected(token);
+      return token;
+    }
+
+    function bindingName() {
+      const token = next();
+      if (token?.type !== 'identifier' || RESERVED_WORDS.has(token.value)) throw unexpected(token);
+      return token.value;
+    }
+
+    // Places the node in the code: line and first line of the source text
+    function finish(node, startToken) {
+      const end = tokens[position - 1].end;
+      node.line = lineOf(startToken);
+      node.source = source.slice(startToken.start, end).split('\n')[0].trim();
+      return node;
+    }
+
+    function parseExpression(sequence = true) {
+      const { ast, position: end } = ExpressionEvaluator.parseAt(tokens, position, { sequence });
+      position = end;
+      return ast;
+    }
+
+    // ASI: a line break, "}" or the end of the program also close the statement
+    function consumeSemicolon() {
+      if (isPunctuator(';')) {
+        next();
+        return;
+      }
+      const token = peek();
+      if (!token || isPunctuator('}') || lineOf(token) > lineOf(tokens[position - 1])) return;
+      throw unexpected(token);
+    }
+
+    function parseStatement(context) {
+      const token = peek();
+
+      if (isPunctuator('{')) return parseBlock(context);
+      if (isPunctuator(';')) {
+        next();
+        return finish({ type: 'Empty' }, token);
+      }
+      if (isKeyword('function')) return parseFunction();
+      if (token.type === 'identifier' && DECLARATION_KEYWORDS.has(token.value)) return parseVariableDeclaration();
+      if (isKeyword('if')) return parseIf(context);
+      if (isKeyword('return')) return parseReturn(context);
+
+      const expression = parseExpression();
+      consumeSemicolon();
+      return finish({ type: 'Expression', expression }, token);
+    }
+
+    // Body of an if without braces: lexical declarations do not fit there
+    function parseSubStatement(context) {
+      const token = peek();
+      if (isKeyword('let') || isKeyword('const')) {
+        throw createV8Error(SyntaxError, 'syntax', 'Lexical declaration cannot appear in a single-statement context', lineOf(token));
+      }
+      if (isKeyword('function')) {
+        // Annex B: behaves as if it were inside braces
+        const declaration = parseFunction();
+        return { type: 'Block', body: [declaration], line: declaration.line, source: declaration.source, implicit: true };
+      }
+      return parseStatement(context);
+    }
+
+    function parseBlock(context) {
+      const start = expect('{');
+      const body = parseStatementList(context);
+      expect('}');
+      return finish({ type: 'Block', body }, start);
+    }
+
+    function parseStatementList(context) {
+      const body = [];
+      while (peek() && !isPunctuator('}')) {
+        body.push(parseStatement(context));
+      }
+      return body;
+    }
+
+    function parseVariableDeclaration() {
+      const start = next();
+      const kind = start.value;
+      const declarations = [];
+
+      for (;;) {
+        const nameToken = peek();
+        const name = bindingName();
+        let init = null;
+
+        if (isPunctuator('=')) {
+          next();
+          init = parseExpression(false);
+        } else if (kind === 'const') {
+          throw createV8Error(SyntaxError, 'const_initializer', 'Missing initializer in const declaration', lineOf(nameToken));
+        }
+
+        declarations.push({ name, init, line: lineOf(nameToken) });
+
+        if (!isPunctuator(',')) break;
+        next();
+      }
+
+      consumeSemicolon();
+      return finish({ type: 'VariableDeclaration', kind, declarations }, start);
+    }
+
+    function parseFunction() {
+      const start = next();
+      const name = bindingName();
+      const params = [];
+
+      expect('(');
+      while (!isPunctuator(')')) {
+        params.push(bindingName());
+        if (!isPunctuator(')')) expect(',');
+      }
+      expect(')');
+
+      const bodyStart = expect('{');
+      const body = parseStatementList({ inFunction: true });
+      expect('}');
+
+      const declaration = finish({ type: 'FunctionDeclaration', name, params, body }, start);
+      declaration.bodyLine = lineOf(bodyStart);
+      return declaration;
+    }
+
+    function parseIf(context) {
+      const start = next();
+      expect('(');
+      const test = parseExpression();
+      const close = expect(')');
+
+      const consequent = parseSubStatement(context);
+      let alternate = null;
+
+      if (isKeyword('else')) {
+        next();
+        alternate = parseSubStatement(context);
+      }
+
+      const node = finish({ type: 'If', test, consequent, alternate }, start);
+      // Only the header: the body is shown in its own steps
+      node.source = source.slice(start.start, close.end);
+      return node;
+    }
+
+    function parseReturn(context) {
+      const start = next();
+      if (!context.inFunction) {
+        throw createV8Error(SyntaxError, 'syntax', 'Illegal return statement', lineOf(start));
+      }
+
+      let argument = null;
+      const token = peek();
+      // "return" + line break returns undefined (restricted ASI)
+      if (token && !isPunctuator(';') && !isPunctuator('}') && lineOf(token) === lineOf(start)) {
+        argument = parseExpression();
+      }
+
+      consumeSemicolon();
+      return finish({ type: 'Return', argument }, start);
+    }
+
+    return {
+      parseProgram() {
+        const body = parseStatementList({ inFunction: false });
+        if (peek()) throw unexpected();
+        return { type: 'Program', body, line: 1, source: '' };
+      }
+    };
+  }
+
+  /*
+    ==========================================
+    SCOPE ANALYSIS
+    ==========================================
+  */
+
+  function createScopeInfo(kind, parent, params = []) {
+    return {
+      kind,
+      parent,
+      params: new Set(params),
+      lexical: new Map(),      // let / const / block functions → TDZ or created on entry
+      varNames: new Set(),     // var declared here or passing through this scope
+      functions: [],           // declarations instantiated on entering the scope
+      blockFunctions: new Set() // Annex B: block functions that also have a var in this scope
+    };
+  }
+
+  function redeclared(name, line) {
+    return createV8Error(SyntaxError, 'redeclaration', `Identifier '${name}' has already been declared`, line);
+  }
+
+  // Early errors: V8 rejects the whole script before running a single line
+  function analyzeScopes(program) {
+    const declareLexical = (scope, name, kind, line) => {
+      const existing = scope.lexical.get(name);
+      const duplicateBlockFunction = existing === 'function' && kind === 'function';
+
+      if ((existing && !duplicateBlockFunction) || scope.varNames.has(name) || scope.params.has(name)) {
+        throw redeclared(name, line);
+      }
+      scope.lexical.set(name, kind);
+    };
+
+    // var climbs up to the function scope and clashes with any let/const on the way
+    const declareVar = (scope, name, line) => {
+      for (let current = scope; current; current = current.parent) {
+        if (current.lexical.has(name)) throw redeclared(name, line);
+        current.varNames.add(name);
+        if (current.kind !== 'block') return;
+      }
+    };
+
+    const visitList = (statements, scope) => statements.forEach(statement => visit(statement, scope));
+
+    // Block functions; Annex B is decided at the end, once every let/const is known
+    const blockFunctions = [];
+
+    function visit(node, scope) {
+      switch (node.type) {
+        case 'VariableDeclaration':
+          node.declarations.forEach(({ name, line }) => {
+            if (node.kind === 'var') {
+              declareVar(scope, name, line);
+            } else {
+              declareLexical(scope, name, node.kind, line);
+            }
+          });
+          break;
+
+        case 'FunctionDeclaration': {
+          if (scope.kind === 'block') {
+            declareLexical(scope, node.name, 'function', node.line);
+            blockFunctions.push({ node, scope });
+          } else {
+            // At the top level of a function or the script, a function is like a var
+            declareVar(scope, node.name, node.line);
+          }
+          scope.functions.push(node);
+
+          node.scope = createScopeInfo('function', scope, node.params);
+          visitList(node.body, node.scope);
+          break;
+        }
+
+        case 'Block':
+          node.scope = createScopeInfo('block', scope);
+          visitList(node.body, node.scope);
+          break;
+
+        case 'If':
+          visit(node.consequent, scope);
+          if (node.alternate) visit(node.alternate, scope);
+          break;
+      }
+    }
+
+    program.scope = createScopeInfo('global', null);
+    visitList(program.body, program.scope);
+
+    // Annex B (B.3.3): in sloppy mode a block function is also a var of the function scope,
+    // as long as a var with that name would not clash with a let/const or a parameter
+    blockFunctions.forEach(({ node, scope }) => {
+      let current = scope.parent;
+      while (current.kind === 'block') {
+        if (current.lexical.has(node.name)) return;
+        current = current.parent;
+      }
+      if (current.lexical.has(node.name) || current.params.has(node.name)) return;
+
+      current.blockFunctions.add(node.name);
+      node.annexB = true;
+    });
+
+    return program;
+  }
+
+  /*
+    ==========================================
+    ENVIRONMENT RECORDS & EXECUTOR
+    ==========================================
+  */
+
+  function createExecution(program, config) {
+    const steps = [];
+    const closures = new WeakMap();
+    const callStack = [];
+    const touched = new Set();
+    const globals = ExpressionEvaluator.config.globals;
+    const { formatValue } = ExpressionEvaluator;
+    let frameCounter = 0;
+
+    function createFrame(kind, label, parent) {
+      return { id: ++frameCounter, kind, label, parent, bindings: new Map() };
+    }
+
+    function bind(frame, name, kind, value, initialized = true) {
+      const binding = { kind, value, initialized };
+      frame.bindings.set(name, binding);
+      return binding;
+    }
+
+    function findBinding(frame, name) {
+      for (let current = frame; current; current = current.parent) {
+        if (current.bindings.has(name)) return current.bindings.get(name);
+      }
+      return null;
+    }
+
+    const globalFrame = createFrame('global', 'Global', null);
+
+    /* ---- Closures ---- */
+
+    // A real function so ExpressionEvaluator can call it; keeps the environment where it was declared
+    function createClosure(declaration, frame) {
+      const closure = function (...args) {
+        return callFunction(closure, args);
+      };
+      Object.defineProperty(closure, 'name', { value: declaration.name });
+      closures.set(closure, { declaration, frame });
+      return closure;
+    }
+
+    function callFunction(closure, args) {
+      const { declaration, frame: definitionFrame } = closures.get(closure);
+
+      if (callStack.length >= config.maxCallDepth) {
+        throw createV8Error(RangeError, 'stack_overflow', 'Maximum call stack size exceeded');
+      }
+
+      // The parent is the environment of the DECLARATION, not the caller's
+      const frame = createFrame('function', `${declaration.name}()`, definitionFrame);
+      declaration.params.forEach((param, index) => bind(frame, param, 'param', args[index]));
+      instantiate(declaration.scope, frame);
+
+      callStack.push(frame);
+      try {
+        const formattedArgs = args.map(formatValue).join(', ');
+        record(declaration, frame, 'call',
+          `Llamada a ${declaration.name}(${formattedArgs}): nuevo environment cuyo padre es "${definitionFrame.label}", donde se declaró la función`);
+
+        const completion = executeList(declaration.body, frame);
+        if (completion.type === 'return') return completion.value;
+
+        record(declaration, frame, 'return', `${declaration.name} termina sin return: devuelve undefined`);
+        return undefined;
+      } finally {
+        callStack.pop();
+      }
+    }
+
+    /* ---- Hoisting ---- */
+
+    // What exists BEFORE the scope's first statement runs
+    function instantiate(scope, frame) {
+      if (scope.kind !== 'block') {
+        [...scope.varNames, ...scope.blockFunctions].forEach(name => {
+          if (!frame.bindings.has(name)) bind(frame, name, 'var', undefined);
+        });
+      }
+
+      scope.lexical.forEach((kind, name) => {
+        if (kind !== 'function') bind(frame, name, kind, undefined, false);
+      });
+
+      scope.functions.forEach(declaration => {
+        bind(frame, declaration.name, 'function', createClosure(declaration, frame));
+      });
+    }
+
+    /* ---- Expression hand-off ---- */
+
+    function createEnvironment(frame) {
+      const tdz = name => createV8Error(ReferenceError, 'tdz', `Cannot access '${name}' before initialization`);
+
+      return {
+        has: name => Boolean(findBinding(frame, name)) || Object.prototype.hasOwnProperty.call(globals, name),
+
+        lookup(name) {
+          const binding = findBinding(frame, name);
+          if (!binding) {
+            if (Object.prototype.hasOwnProperty.call(globals, name)) return globals[name];
+            throw createV8Error(ReferenceError, 'not_defined', `${name} is not defined`);
+          }
+          if (!binding.initialized) throw tdz(name);
+          return binding.value;
+        },
+
+        assign(name, value) {
+          const binding = findBinding(frame, name);
+
+          if (!binding) {
+            // Sloppy mode: assigning an undeclared name creates an implicit global
+            touched.add(bind(globalFrame, name, 'implicit', value));
+            return;
+          }
+          if (!binding.initialized) throw tdz(name);
+          if (binding.kind === 'const') {
+            throw createV8Error(TypeError, 'const_assignment', 'Assignment to constant variable.');
+          }
+
+          binding.value = value;
+          touched.add(binding);
+        }
+      };
+    }
+
+    function evaluate(ast, frame) {
+      return ExpressionEvaluator.evaluate(ast, { environment: createEnvironment(frame) });
+    }
+
+    /* ---- Recording ---- */
+
+    function snapshot(frame) {
+      const frames = [];
+
+      for (let current = frame; current; current = current.parent) {
+        frames.push({
+          id: current.id,
+          kind: current.kind,
+          label: current.label,
+          bindings: [...current.bindings].map(([name, binding]) => ({
+            name,
+            kind: binding.kind,
+            initialized: binding.initialized,
+            value: binding.initialized ? formatValue(binding.value) : null,
+            closure: closures.has(binding.value) ? describeFrame(closures.get(binding.value).frame) : null,
+            changed: touched.has(binding)
+          }))
+        });
+      }
+
+      return frames;
+    }
+
+    function record(node, frame, event, message, reductions = []) {
+      if (steps.length >= config.maxSteps) {
+        throw createV8Error(RangeError, 'step_budget', `El programa superó ${config.maxSteps} pasos`);
+      }
+
+      steps.push({
+        step: steps.length + 1,
+        line: node.line,
+        source: node.source,
+        event,
+        message,
+        reductions,
+        frames: snapshot(frame),
+        callStack: ['Global', ...callStack.map(active => active.label)]
+      });
+      touched.clear();
+    }
+
+    /* ---- Statements ---- */
+
+    function executeList(statements, frame) {
+      for (const statement of statements) {
+        const completion = execute(statement, frame);
+        if (completion.type === 'return') return completion;
+      }
+      return NORMAL_COMPLETION;
+    }
+
+    function execute(node, frame) {
+      try {
+        return executeNode(node, frame);
+      } catch (error) {
+        // The innermost failing step fixes the line and the state of the frames
+        if (error.line === undefined) error.line = node.line;
+        if (error.frames === undefined) error.frames = snapshot(frame);
+        throw error;
+      }
+    }
+
+    function executeNode(node, frame) {
+      switch (node.type) {
+        case 'Empty':
+          return NORMAL_COMPLETION;
+
+        case 'VariableDeclaration': {
+          const reductions = [];
+          const summary = [];
+
+          node.declarations.forEach(({ name, init }) => {
+            // let x = x + 1 reads x while still in the TDZ: it is evaluated before initializing
+            const result = init ? evaluate(init, frame) : { value: undefined, steps: [] };
+            reductions.push(...result.steps);
+
+            if (node.kind === 'var') {
+              const binding = findBinding(frame, name);
+              if (init) {
+                binding.value = result.value;
+                touched.add(binding);
+              }
+            } else {
+              const binding = frame.bindings.get(name);
+              binding.value = result.value;
+              binding.initialized = true;
+              touched.add(binding);
+            }
+
+            summary.push(`${name} = ${formatValue(node.kind === 'var' && !init ? findBinding(frame, name).value : result.value)}`);
+          });
+
+          const message = node.kind === 'var' ?
+            `var ${summary.join(', ')} en el environment de "${functionFrameOf(frame).label}" (hoisting: ya existía)` :
+            `${node.kind} ${summary.join(', ')}: sale de la TDZ en "${frame.label}"`;
+
+          record(node, frame, 'declaration', message, reductions);
+          return NORMAL_COMPLETION;
+        }
+
+        case 'FunctionDeclaration': {
+          if (!node.annexB) {
+            record(node, frame, 'function',
+              `function ${node.name} ya existía desde la entrada a "${frame.label}" (hoisting): no se hace nada`);
+            return NORMAL_COMPLETION;
+          }
+
+          // Annex B: on reaching the declaration, the block's function is copied to the outer var
+          const target = functionFrameOf(frame);
+          const binding = target.bindings.get(node.name);
+          binding.value = frame.bindings.get(node.name).value;
+          touched.add(binding);
+
+          record(node, frame, 'function',
+            `function ${node.name} se copia al environment de "${target.label}" (Annex B: las funciones de bloque también son var en modo sloppy)`);
+          return NORMAL_COMPLETION;
+        }
+
+        case 'Block': {
+          const blockFrame = createFrame('block', `Bloque (línea ${node.line})`, frame);
+          instantiate(node.scope, blockFrame);
+
+          const pending = [...node.scope.lexical].filter(([, kind]) => kind !== 'function').map(([name]) => name);
+          record(node, blockFrame, 'block_enter', pending.length > 0 ?
+            `Nuevo environment de bloque; ${pending.join(', ')} en TDZ hasta su declaración` :
+            'Nuevo environment de bloque');
+
+          const completion = executeList(node.body, blockFrame);
+          if (completion.type === 'normal') {
+            record({ line: node.line, source: '}' }, frame, 'block_exit',
+              `Fin del bloque: su environment sale de la cadena${node.implicit ? '' : ' (sigue vivo solo si una closure lo referencia)'}`);
+          }
+          return completion;
+        }
+
+        case 'If': {
+          const { value, steps: reductions } = evaluate(node.test, frame);
+          const branch = value ? node.consequent : node.alternate;
+
+          record(node, frame, 'condition',
+            `Condición ${formatValue(value)} → ${value ? 'se ejecuta el if' : branch ? 'se ejecuta el else' : 'no se ejecuta nada'}`,
+            reductions);
+
+          return branch ? execute(branch, frame) : NORMAL_COMPLETION;
+        }
+
+        case 'Return': {
+          const { value, steps: reductions } = node.argument ? evaluate(node.argument, frame) : { value: undefined, steps: [] };
+          record(node, frame, 'return', `return ${formatValue(value)}: el environment de "${functionFrameOf(frame).label}" sale de la pila`, reductions);
+          return { type: 'return', value };
+        }
+
+        case 'Expression': {
+          const { value, steps: reductions } = evaluate(node.expression, frame);
+          record(node, frame, 'expression', `Expresión evaluada = ${formatValue(value)}`, reductions);
+          return NORMAL_COMPLETION;
+        }
+
+        default:
+          throw new TypeError(`Sentencia desconocida: ${node.type}`);
+      }
+    }
+
+    // Several calls share a label ("makeCounter()"): the id tells each activation apart
+    function describeFrame(frame) {
+      return `${frame.label} #${frame.id}`;
+    }
+
+    function functionFrameOf(frame) {
+      let current = frame;
+      while (current.kind === 'block') current = current.parent;
+      return current;
+    }
+
+    return {
+      run() {
+        instantiate(program.scope, globalFrame);
+
+        const hoisted = [...globalFrame.bindings.keys()];
+        record(program, globalFrame, 'program_start', hoisted.length > 0 ?
+          `Environment global creado antes de ejecutar: ${hoisted.join(', ')} (hoisting)` :
+          'Environment global creado');
+
+        executeList(program.body, globalFrame);
+        return steps;
+      },
+
+      get steps() {
+        return steps;
+      }
+    };
+  }
+
+  /*
+    ==========================================
+    ENVIRONMENT INTERPRETER API
+    ==========================================
+  */
+
+  self.EnvironmentInterpreter = {
+    config: {
+      maxLength: 5000,
+      maxSteps: 500,
+      maxCallDepth: 50
+    },
+
+    /**
+     * Parses a program and runs the scope analysis.
+     * Throws the early errors V8 would report before running anything
+     * (SyntaxError with `code` and `line`).
+     */
+    parse(source) {
+      try {
+        const tokens = ExpressionEvaluator.tokenize(source, { maxLength: this.config.maxLength });
+        return analyzeScopes(createProgramParser(source, tokens).parseProgram());
+      } catch (error) {
+        if (error.line === undefined && error.position !== undefined) {
+          error.line = lineAt(source, error.position);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Runs a whole program and returns { steps, error }.
+     * Each step is { step, line, source, event, message, reductions, frames, callStack };
+     * `frames` is the scope chain from the innermost environment out to Global.
+     * A failing program keeps the steps recorded so far; `error` is
+     * { name, message, code, line, phase: 'compile' | 'runtime', frames }.
+     */
+    run(source) {
+      let program;
+
+      try {
+        program = this.parse(source);
+      } catch (error) {
+        return { steps: [], error: describeError(error, 'compile') };
+      }
+
+      const execution = createExecution(program, this.config);
+
+      try {
+        return { steps: execution.run(), error: null };
+      } catch (error) {
+        return { steps: execution.steps, error: describeError(error, 'runtime') };
+      }
+    }
+  };
+
+  function describeError(error, phase) {
+    return {
+      name: error.name,
+      message: error.message,
+      code: error.code ?? null,
+      line: error.line ?? null,
+      phase,
+      frames: error.frames ?? []
+    };
+  }
+
+})();
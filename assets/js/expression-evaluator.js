@@ -0,0 +1,769 @@
+/*
+  ==========================================
+  EXPRESSION EVALUATOR - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Sandboxed evaluator for the expressions students type in the case labs.
+  Replaces eval(): source is tokenized, parsed into an AST and interpreted
+  node by node, so nothing outside the given scope is ever reachable.
+  Every reduction is recorded, which lets the labs show how JavaScript
+  actually rewrote "2 + 3 * 4" or "60,000" on its way to a value.
+
+  Archivo: assets/js/expression-evaluator.js
+
+  "Programs must be written for people to read, and only incidentally for machines to execute" - Abelson & Sussman
+  "eval is evil" - Douglas Crockford
+
+  Architecture:
+  1. Tokenizer (numbers incl. legacy octal, strings, identifiers, operators, comments)
+  2. Precedence-Climbing Parser (comma → assignment → ?: → binary → unary → member/call)
+  3. Tracing Interpreter (post-order reduction, one step per operator)
+  4. Printer (minimal or fully parenthesized source from an AST)
+
+  Loaded with <script> in the case pages after js-tokenizer.js, whose
+  KEYWORDS it shares; attaches to `self` so a worker can importScripts()
+  it as well.
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof self.JSTokenizer === 'undefined') {
+    console.warn('🧮 ExpressionEvaluator: JSTokenizer no disponible.');
+    return;
+  }
+
+  /*
+    ==========================================
+    GRAMMAR TABLES
+    ==========================================
+  */
+
+  // MDN precedence levels; higher binds tighter
+  const BINARY_PRECEDENCE = {
+    '||': 3, '??': 3,
+    '&&': 4,
+    '|': 5,
+    '^': 6,
+    '&': 7,
+    '==': 8, '!=': 8, '===': 8, '!==': 8,
+    '<': 9, '>': 9, '<=': 9, '>=': 9,
+    '<<': 10, '>>': 10, '>>>': 10,
+    '+': 11, '-': 11,
+    '*': 12, '/': 12, '%': 12,
+    '**': 13
+  };
+
+  const PRECEDENCE = {
+    Sequence: 1,
+    Assignment: 2,
+    Conditional: 2,
+    Unary: 14,
+    Member: 17,
+    Call: 17,
+    Literal: 20,
+    Identifier: 20
+  };
+
+  const RIGHT_ASSOCIATIVE = new Set(['**']);
+  const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+  const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=']);
+  const UNARY_OPERATORS = new Set(['!', '-', '+', '~', 'typeof', 'void']);
+
+  // Longest first so ">>>" wins over ">>" and ">"
+  const PUNCTUATORS = [
+    '>>>', '===', '!==', '**=',
+    '**', '==', '!=', '<=', '>=', '&&', '||', '??', '<<', '>>', '+=', '-=', '*=', '/=', '%=',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '|', '^', '?', ':', ',', '(', ')', '.',
+    // Only a statement parser uses them (parseAt): in an expression they are an unexpected token
+    '{', '}', ';'
+  ];
+
+  const KEYWORD_LITERALS = { true: true, false: false, null: null };
+
+  // Still valid names in a sloppy script
+  const CONTEXTUAL_KEYWORDS = new Set(['let', 'yield', 'await']);
+
+  // The tokenizer's keywords that are neither a literal nor a unary operator here: never a name
+  const RESERVED_WORDS = new Set([...self.JSTokenizer.KEYWORDS].filter(word =>
+    !CONTEXTUAL_KEYWORDS.has(word) && !UNARY_OPERATORS.has(word) &&
+    !Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, word)
+  ));
+
+  // Never readable through member access: the way out of any JS sandbox
+  const BLOCKED_PROPERTIES = new Set(['constructor', '__proto__', 'prototype']);
+
+  const BINARY_OPERATIONS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '**': (a, b) => a ** b,
+    '==': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+    '<<': (a, b) => a << b,
+    '>>': (a, b) => a >> b,
+    '>>>': (a, b) => a >>> b,
+    '&': (a, b) => a & b,
+    '|': (a, b) => a | b,
+    '^': (a, b) => a ^ b
+  };
+
+  const UNARY_OPERATIONS = {
+    '!': value => !value,
+    '-': value => -value,
+    '+': value => +value,
+    '~': value => ~value,
+    typeof: value => typeof value,
+    void: () => undefined
+  };
+
+  /*
+    ==========================================
+    TOKENIZER
+    ==========================================
+  */
+
+  const NUMBER_PATTERN = /^(?:0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+  const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*/;
+  const COMMENT_PATTERN = /^(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/)/;
+  const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0' };
+
+  function parseNumber(raw) {
+    // Sloppy code: "000" and "012" are legacy octals, as in eval()
+    if (/^0\d+$/.test(raw)) {
+      return /^[0-7]+$/.test(raw) ? parseInt(raw, 8) : parseInt(raw, 10);
+    }
+    return Number(raw);
+  }
+
+  function readString(source, start) {
+    const quote = source[start];
+    let value = '';
+    let index = start + 1;
+
+    while (index < source.length && source[index] !== quote) {
+      if (source[index] === '\\') {
+        index++;
+        value += STRING_ESCAPES[source[index]] ?? source[index];
+      } else {
+        value += source[index];
+      }
+      index++;
+    }
+
+    if (index >= source.length) {
+      throw createError(SyntaxError, 'Cadena sin cerrar', start);
+    }
+
+    return { value, end: index + 1 };
+  }
+
+  /*
+    ==========================================
+    PARSER
+    ==========================================
+  */
+
+  function createParser(tokens, config) {
+    let position = 0;
+    let depth = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isPunctuator = (value, token = peek()) => token?.type === 'punctuator' && token.value === value;
+
+    function expect(value) {
+      const token = next();
+      if (!isPunctuator(value, token)) {
+        throw unexpected(token, `se esperaba "${value}"`);
+      }
+      return token;
+    }
+
+    function unexpected(token, hint = '') {
+      if (!token) {
+        return createError(SyntaxError, `Fin de la expresión inesperado${hint ? `: ${hint}` : ''}`, tokens.at(-1)?.end ?? 0);
+      }
+      return createError(SyntaxError, `Token inesperado "${token.value}"${hint ? `: ${hint}` : ''}`, token.start);
+    }
+
+    function enter(token) {
+      if (++depth > config.maxDepth) {
+        throw createError(RangeError, 'Expresión demasiado anidada', token?.start ?? 0);
+      }
+    }
+
+    function parseSequence() {
+      const first = parseAssignment();
+      if (!isPunctuator(',')) return first;
+
+      const expressions = [first];
+      while (isPunctuator(',')) {
+        next();
+        expressions.push(parseAssignment());
+      }
+      return { type: 'Sequence', expressions };
+    }
+
+    function parseAssignment() {
+      const target = parseConditional();
+      const token = peek();
+
+      if (token?.type !== 'punctuator' || !ASSIGNMENT_OPERATORS.has(token.value)) {
+        return target;
+      }
+
+      if (target.type !== 'Identifier') {
+        throw createError(SyntaxError, 'Lado izquierdo inválido en la asignación', token.start);
+      }
+
+      next();
+      return { type: 'Assignment', operator: token.value, name: target.name, value: parseAssignment() };
+    }
+
+    function parseConditional() {
+      const test = parseBinary(1);
+      if (!isPunctuator('?')) return test;
+
+      next();
+      const consequent = parseAssignment();
+      expect(':');
+      const alternate = parseAssignment();
+      return { type: 'Conditional', test, consequent, alternate };
+    }
+
+    // Precedence climbing: each loop level only accepts operators at or above minPrecedence
+    function parseBinary(minPrecedence) {
+      let left = parseUnary();
+
+      for (;;) {
+        const token = peek();
+        const precedence = token?.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] : undefined;
+        if (precedence === undefined || precedence < minPrecedence) return left;
+
+        const operator = token.value;
+
+        if (operator === '**' && left.type === 'Unary' && !left.parenthesized) {
+          throw createError(SyntaxError, 'El operando izquierdo de "**" no puede ser una expresión unaria sin paréntesis', token.start);
+        }
+
+        next();
+        const right = parseBinary(RIGHT_ASSOCIATIVE.has(operator) ? precedence : precedence + 1);
+
+        // "a ?? b || c" as well: ?? and || share precedence, so the ?? arrives as the left operand
+        const mixesCoalesce = operator === '??'
+          ? [left, right].some(isUnparenthesizedAndOr)
+          : (operator === '||' || operator === '&&') && isUnparenthesizedCoalesce(left);
+        if (mixesCoalesce) {
+          throw createError(SyntaxError, '"??" no se puede mezclar con "&&" o "||" sin paréntesis', token.start);
+        }
+
+        left = {
+          type: LOGICAL_OPERATORS.has(operator) ? 'Logical' : 'Binary',
+          operator,
+          left,
+          right
+        };
+      }
+    }
+
+    function parseUnary() {
+      const token = peek();
+      const operator = token?.value;
+
+      if ((token?.type === 'punctuator' || token?.type === 'identifier') && UNARY_OPERATORS.has(operator)) {
+        next();
+        enter(token);
+        const argument = parseUnary();
+        depth--;
+        return { type: 'Unary', operator, argument };
+      }
+
+      return parsePostfix();
+    }
+
+    function parsePostfix() {
+      let expression = parsePrimary();
+
+      for (;;) {
+        if (isPunctuator('.')) {
+          next();
+          const property = next();
+          if (property?.type !== 'identifier') {
+            throw unexpected(property, 'se esperaba un nombre de propiedad');
+          }
+          expression = { type: 'Member', object: expression, property: property.value };
+        } else if (isPunctuator('(')) {
+          next();
+          const args = [];
+          while (!isPunctuator(')')) {
+            args.push(parseAssignment());
+            if (!isPunctuator(')')) expect(',');
+          }
+          expect(')');
+          expression = { type: 'Call', callee: expression, arguments: args };
+        } else {
+          return expression;
+        }
+      }
+    }
+
+    function parsePrimary() {
+      const token = next();
+
+      if (!token) throw unexpected(token);
+
+      if (token.type === 'number' || token.type === 'string') {
+        return { type: 'Literal', value: token.literal, raw: token.value };
+      }
+
+      if (token.type === 'identifier') {
+        if (Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, token.value)) {
+          return { type: 'Literal', value: KEYWORD_LITERALS[token.value], raw: token.value };
+        }
+        if (RESERVED_WORDS.has(token.value)) throw unexpected(token);
+        return { type: 'Identifier', name: token.value };
+      }
+
+      if (isPunctuator('(', token)) {
+        enter(token);
+        const expression = parseSequence();
+        depth--;
+        expect(')');
+        return { ...expression, parenthesized: true };
+      }
+
+      throw unexpected(token);
+    }
+
+    return {
+      // Expression inside a program: stops at the first token that does not belong to it
+      parseAt(start, { sequence = true } = {}) {
+        position = start;
+        const ast = sequence ? parseSequence() : parseAssignment();
+        return { ast, position };
+      },
+
+      parse() {
+        if (tokens.length === 0) {
+          throw createError(SyntaxError, 'La expresión está vacía', 0);
+        }
+
+        const ast = parseSequence();
+        if (position < tokens.length) {
+          throw unexpected(peek());
+        }
+        return ast;
+      }
+    };
+  }
+
+  function isNegative(node) {
+    return node.type === 'Unary' || (node.type === 'Literal' && (node.value < 0 || Object.is(node.value, -0)));
+  }
+
+  function isUnparenthesizedAndOr(node) {
+    return node.type === 'Logical' && node.operator !== '??' && !node.parenthesized;
+  }
+
+  function isUnparenthesizedCoalesce(node) {
+    return node.type === 'Logical' && node.operator === '??' && !node.parenthesized;
+  }
+
+  /*
+    ==========================================
+    PRINTER
+    ==========================================
+  */
+
+  function getPrecedence(node) {
+    if (node.type === 'Binary' || node.type === 'Logical') {
+      return BINARY_PRECEDENCE[node.operator];
+    }
+    return PRECEDENCE[node.type];
+  }
+
+  function formatValue(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'function') return `[función ${value.name || 'anónima'}]`;
+    if (value !== null && typeof value === 'object') return Array.isArray(value) ? '[array]' : '[objeto]';
+    if (Object.is(value, -0)) return '-0';
+    return String(value);
+  }
+
+  function print(node, parenthesize) {
+    // "parenthesize" mode: every operation with its parentheses, as the engine sees it
+    const wrap = (child, needsParens) => {
+      const source = print(child, parenthesize);
+      const isOperation = !['Literal', 'Identifier', 'Member', 'Call'].includes(child.type);
+      return (parenthesize ? isOperation && (child.type !== 'Unary' || needsParens) : needsParens) ? `(${source})` : source;
+    };
+
+    const child = (node, childNode, side) => {
+      const parentPrecedence = getPrecedence(node);
+      const childPrecedence = getPrecedence(childNode);
+      const rightAssociative = RIGHT_ASSOCIATIVE.has(node.operator) || node.type === 'Assignment' || node.type === 'Conditional';
+      const samePrecedenceNeedsParens = side === (rightAssociative ? 'left' : 'right');
+
+      return wrap(childNode, childPrecedence < parentPrecedence ||
+        (childPrecedence === parentPrecedence && samePrecedenceNeedsParens) ||
+        // "-x ** 2" is a SyntaxError: keep the parentheses (also on already reduced values)
+        (node.operator === '**' && side === 'left' && isNegative(childNode)));
+    };
+
+    switch (node.type) {
+      case 'Literal':
+        return node.raw ?? formatValue(node.value);
+      case 'Identifier':
+        return node.name;
+      case 'Sequence':
+        return node.expressions.map(expression => wrap(expression, getPrecedence(expression) <= PRECEDENCE.Sequence)).join(', ');
+      case 'Assignment':
+        return `${node.name} ${node.operator} ${child(node, node.value, 'right')}`;
+      case 'Conditional':
+        return `${child(node, node.test, 'left')} ? ${wrap(node.consequent, getPrecedence(node.consequent) <= PRECEDENCE.Sequence)} : ${child(node, node.alternate, 'right')}`;
+      case 'Binary':
+      case 'Logical':
+        return `${child(node, node.left, 'left')} ${node.operator} ${child(node, node.right, 'right')}`;
+      case 'Unary': {
+        const separator = /^[a-z]/.test(node.operator) ? ' ' : '';
+        return `${node.operator}${separator}${child(node, node.argument, 'right')}`;
+      }
+      case 'Member':
+        return `${child(node, node.object, 'left')}.${node.property}`;
+      case 'Call':
+        return `${child(node, node.callee, 'left')}(${node.arguments.map(arg => wrap(arg, getPrecedence(arg) <= PRECEDENCE.Sequence)).join(', ')})`;
+      default:
+        throw new TypeError(`Nodo desconocido: ${node.type}`);
+    }
+  }
+
+  /*
+    ==========================================
+    INTERPRETER
+    ==========================================
+  */
+
+  const has = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+  // Default environment: a flat scope and, behind it, the allowed globals
+  function createScopeEnvironment(scope, globals) {
+    return {
+      has: name => has(scope, name) || has(globals, name),
+
+      lookup(name) {
+        if (has(scope, name)) return scope[name];
+        if (has(globals, name)) return globals[name];
+        throw new ReferenceError(`${name} no está definida`);
+      },
+
+      assign(name, value) {
+        scope[name] = value;
+      }
+    };
+  }
+
+  function createInterpreter(root, environment, trace) {
+    const steps = [];
+    const lookup = name => environment.lookup(name);
+
+    // Replaces the node with its value: the root tree always reflects the current state
+    function reduce(node, value, description) {
+      const before = print(node, false);
+      const { type, operator = null } = node;
+
+      Object.keys(node).forEach(key => delete node[key]);
+      Object.assign(node, { type: 'Literal', value, raw: undefined });
+
+      if (trace) {
+        steps.push({
+          step: steps.length + 1,
+          type,
+          operator,
+          before,
+          value,
+          after: formatValue(value),
+          expression: print(root, false),
+          description
+        });
+      }
+
+      return value;
+    }
+
+    function readMember(object, property) {
+      if (object === null || object === undefined) {
+        throw new TypeError(`No se puede leer "${property}" de ${formatValue(object)}`);
+      }
+      if (BLOCKED_PROPERTIES.has(property)) {
+        throw new TypeError(`Acceso a "${property}" no permitido`);
+      }
+      if (typeof object === 'string' && property === 'length') {
+        return object.length;
+      }
+      // Own properties only: nothing from the prototype chain
+      return Object(object) === object && has(object, property) ? object[property] : undefined;
+    }
+
+    // Objects and functions keep their name in the trace: "Math.max(1, 2)"
+    function resolve(node) {
+      return node.type === 'Identifier' ? lookup(node.name) : evaluate(node);
+    }
+
+    function evaluate(node) {
+      switch (node.type) {
+        case 'Literal':
+          return node.value;
+
+        case 'Identifier': {
+          const value = lookup(node.name);
+          return reduce(node, value, `Resolver ${node.name} en el environment`);
+        }
+
+        case 'Sequence': {
+          let value;
+          node.expressions.forEach(expression => { value = evaluate(expression); });
+          const discarded = node.expressions.length - 1;
+          return reduce(node, value, `Operador coma: se descarta${discarded > 1 ? `n ${discarded} valores` : ' 1 valor'} y queda el último`);
+        }
+
+        case 'Assignment': {
+          let value = evaluate(node.value);
+          if (node.operator !== '=') {
+            value = BINARY_OPERATIONS[node.operator.slice(0, -1)](lookup(node.name), value);
+          }
+          environment.assign(node.name, value);
+          return reduce(node, value, `Asignar ${formatValue(value)} a ${node.name}`);
+        }
+
+        case 'Conditional': {
+          const test = evaluate(node.test);
+          const value = evaluate(test ? node.consequent : node.alternate);
+          return reduce(node, value, `Condición ${test ? 'verdadera' : 'falsa'}: se elige la rama ${test ? 'tras "?"' : 'tras ":"'}`);
+        }
+
+        case 'Logical': {
+          const left = evaluate(node.left);
+          const shortCircuit = node.operator === '&&' ? !left :
+                               node.operator === '||' ? Boolean(left) :
+                               left !== null && left !== undefined;
+
+          if (shortCircuit) {
+            return reduce(node, left, `Cortocircuito de "${node.operator}": el lado derecho no se evalúa`);
+          }
+
+          const right = evaluate(node.right);
+          return reduce(node, right, `"${node.operator}" devuelve el operando derecho`);
+        }
+
+        case 'Binary': {
+          // Left always before right, whatever the precedence
+          const left = evaluate(node.left);
+          const right = evaluate(node.right);
+          const value = BINARY_OPERATIONS[node.operator](left, right);
+          return reduce(node, value, `Aplicar "${node.operator}" (precedencia ${BINARY_PRECEDENCE[node.operator]})`);
+        }
+
+        case 'Unary': {
+          if (node.operator === 'typeof' && node.argument.type === 'Identifier' &&
+              !environment.has(node.argument.name)) {
+            return reduce(node, 'undefined', `typeof de una variable no declarada`);
+          }
+          const argument = evaluate(node.argument);
+          return reduce(node, UNARY_OPERATIONS[node.operator](argument), `Aplicar "${node.operator}" unario`);
+        }
+
+        case 'Member': {
+          const object = resolve(node.object);
+          return reduce(node, readMember(object, node.property), `Leer la propiedad ${node.property}`);
+        }
+
+        case 'Call': {
+          const calleeNode = node.callee;
+          const calleeSource = print(calleeNode, false);
+          let thisArg;
+          let callee;
+
+          if (calleeNode.type === 'Member') {
+            thisArg = resolve(calleeNode.object);
+            callee = readMember(thisArg, calleeNode.property);
+          } else {
+            callee = resolve(calleeNode);
+          }
+
+          if (typeof callee !== 'function') {
+            throw new TypeError(`${calleeSource} no es una función`);
+          }
+
+          const args = node.arguments.map(evaluate);
+          return reduce(node, callee.apply(thisArg, args), `Llamar a ${callee.name || 'la función'}`);
+        }
+
+        default:
+          throw new TypeError(`Nodo desconocido: ${node.type}`);
+      }
+    }
+
+    return {
+      run() {
+        return { value: evaluate(root), steps };
+      }
+    };
+  }
+
+  function createError(ErrorType, message, position) {
+    const error = new ErrorType(`${message} (posición ${position + 1})`);
+    error.position = position;
+    return error;
+  }
+
+  /*
+    ==========================================
+    EXPRESSION EVALUATOR API
+    ==========================================
+  */
+
+  self.ExpressionEvaluator = {
+    config: {
+      maxLength: 1000,
+      maxDepth: 100,
+      // The only thing reachable besides the scope each laboratory passes in
+      globals: Object.freeze({
+        Math,
+        Number,
+        parseInt,
+        parseFloat,
+        isNaN,
+        isFinite,
+        NaN,
+        Infinity,
+        undefined
+      })
+    },
+
+    tokenize(source, { maxLength = this.config.maxLength } = {}) {
+      if (typeof source !== 'string') {
+        throw new TypeError('La expresión debe ser un texto');
+      }
+      if (source.length > maxLength) {
+        throw new RangeError(`La expresión supera ${maxLength} caracteres`);
+      }
+
+      const tokens = [];
+      let index = 0;
+
+      while (index < source.length) {
+        const rest = source.slice(index);
+        const whitespace = rest.match(/^\s+/);
+
+        if (whitespace) {
+          index += whitespace[0].length;
+          continue;
+        }
+
+        const comment = rest.match(COMMENT_PATTERN);
+        if (comment) {
+          index += comment[0].length;
+          continue;
+        }
+
+        if (rest.startsWith('/*')) {
+          throw createError(SyntaxError, 'Comentario sin cerrar', index);
+        }
+
+        const number = rest.match(NUMBER_PATTERN);
+        if (number) {
+          const raw = number[0];
+          tokens.push({ type: 'number', value: raw, literal: parseNumber(raw), start: index, end: index + raw.length });
+          index += raw.length;
+          continue;
+        }
+
+        if (rest[0] === '"' || rest[0] === '\'') {
+          const { value, end } = readString(source, index);
+          tokens.push({ type: 'string', value: source.slice(index, end), literal: value, start: index, end });
+          index = end;
+          continue;
+        }
+
+        const identifier = rest.match(IDENTIFIER_PATTERN);
+        if (identifier) {
+          tokens.push({ type: 'identifier', value: identifier[0], start: index, end: index + identifier[0].length });
+          index += identifier[0].length;
+          continue;
+        }
+
+        const punctuator = PUNCTUATORS.find(candidate => rest.startsWith(candidate));
+        if (punctuator) {
+          tokens.push({ type: 'punctuator', value: punctuator, start: index, end: index + punctuator.length });
+          index += punctuator.length;
+          continue;
+        }
+
+        throw createError(SyntaxError, `Carácter no permitido "${rest[0]}"`, index);
+      }
+
+      return tokens;
+    },
+
+    parse(source) {
+      return createParser(this.tokenize(source), this.config).parse();
+    },
+
+    /**
+     * Parses one expression out of a longer token stream, starting at `position`.
+     * Returns { ast, position } with the index of the first token left unconsumed.
+     * With `sequence: false` a top-level comma ends the expression (declarators, arguments).
+     */
+    parseAt(tokens, position = 0, options) {
+      return createParser(tokens, this.config).parseAt(position, options);
+    },
+
+    /**
+     * Evaluates an expression (source or AST) against an explicit scope.
+     * Assignments write back into `scope`; an `environment` of
+     * { has(name), lookup(name), assign(name, value) } replaces scope and
+     * globals altogether, which is how a statement interpreter plugs in its
+     * scope chain. With `trace`, every reduction is returned as
+     * { step, type, operator, before, value, after, expression, description },
+     * in evaluation order: post-order, left operand before right.
+     */
+    evaluate(source, { scope = {}, environment, trace = true } = {}) {
+      const ast = typeof source === 'string' ? this.parse(source) : source;
+      // The interpreter reduces a copy; the returned AST stays intact
+      const working = structuredClone(ast);
+      const resolver = environment ?? createScopeEnvironment(scope, this.config.globals);
+
+      const { value, steps } = createInterpreter(working, resolver, trace).run();
+
+      return { value, ast, steps };
+    },
+
+    // Source with every operation explicitly grouped: "2 + 3 * 4" → "(2 + (3 * 4))"
+    parenthesize(source) {
+      return this.format(this.parse(source), { parenthesize: true });
+    },
+
+    format(ast, { parenthesize = false } = {}) {
+      const source = print(ast, parenthesize);
+      const isOperation = !['Literal', 'Identifier', 'Member', 'Call', 'Unary'].includes(ast.type);
+      return parenthesize && isOperation ? `(${source})` : source;
+    },
+
+    formatValue,
+
+    getPrecedence(operator) {
+      return BINARY_PRECEDENCE[operator] ?? null;
+    }
+  };
+
+})();
@@ -0,0 +1,216 @@
+/*
+  ==========================================
+  FILE HANDLER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Opens local .js/.json/.html/.css files in the laboratory when the installed
+  PWA is chosen from the OS file manager (manifest file_handlers).
+  Files arrive through window.launchQueue; each one is analyzed right away
+  with Components.detectCodePatterns and remembered in AppState.user.recentFiles.
+
+  Archivo: assets/js/file-handler.js
+
+  "Programs must be written for people to read" - Harold Abelson
+
+  Architecture:
+  1. Launch Queue Consumer (FileSystemFileHandle)
+  2. Laboratory Loading + Pattern Analysis
+  3. Recent Files (metadata in AppState, handles in IndexedDB)
+*/
+
+(() => {
+  'use strict';
+
+  /*
+    ==========================================
+    FILE HANDLER CONTROLLER
+    ==========================================
+  */
+
+  window.FileHandler = {
+    config: {
+      storeName: 'fileHandles',
+      labRoute: '#laboratorio',
+      acceptedExtensions: ['.js', '.json', '.html', '.css'],
+      maxFileSize: 512 * 1024 // Same limit as shared cases
+    },
+
+    /*
+      ==========================================
+      INITIALIZATION
+      ==========================================
+    */
+
+    init() {
+      this.initRecentFiles();
+
+      if (!('launchQueue' in window)) {
+        console.log('📂 FileHandler: launchQueue no soportado en este navegador');
+        return;
+      }
+
+      window.launchQueue.setConsumer(launchParams => {
+        this.handleLaunch(launchParams);
+      });
+    },
+
+    async handleLaunch({ files = [] }) {
+      if (files.length === 0) return;
+
+      // All of them go to recent files; the first one opens in the editor
+      for (const handle of [...files].reverse()) {
+        await this.openHandle(handle, { analyze: handle === files[0] });
+      }
+
+      if (window.Router) {
+        window.Router.navigateTo(this.config.labRoute, 'file_handler');
+      } else {
+        document.getElementById('laboratorio')?.scrollIntoView();
+      }
+
+      if (window.Analytics) {
+        window.Analytics.trackEvent('file_handler', 'files_launched', { files: files.length });
+      }
+    },
+
+    /*
+      ==========================================
+      LOADING INTO THE LABORATORY
+      ==========================================
+    */
+
+    async openHandle(handle, { analyze = true } = {}) {
+      try {
+        const file = await handle.getFile();
+
+        if (!this.isAcceptedFile(file)) {
+          window.Components?.notify(`No se puede abrir ${file.name} en el laboratorio`, 'warning');
+          return null;
+        }
+
+        const code = await file.text();
+        const patterns = window.Components?.detectCodePatterns(code) || [];
+
+        if (analyze) {
+          this.loadIntoLaboratory(file.name, code, patterns);
+        }
+
+        window.AppState?.addRecentFile({
+          name: file.name,
+          size: file.size,
+          type: file.type,
+          lastModified: file.lastModified,
+          issues: patterns.length
+        });
+
+        await this.storeHandle(handle);
+
+        return { file, patterns };
+
+      } catch (error) {
+        console.error('❌ Error abriendo archivo local:', error);
+        window.Components?.notify('No se pudo leer el archivo', 'error');
+        return null;
+      }
+    },
+
+    loadIntoLaboratory(fileName, code, patterns) {
+      // Freshly opened matches the disk: no unsaved changes
+      window.AppState?.updateEditorCode(code, { saved: true });
+      window.Components?.setLabFileName(fileName);
+
+      const editor = document.querySelector('[data-lab-editor]');
+
+      if (patterns.length > 0 && editor) {
+        window.Components.showCodeAnalysis(editor, patterns);
+      } else {
+        window.Components?.notify(`${fileName} abierto en el laboratorio`, 'success');
+      }
+    },
+
+    isAcceptedFile(file) {
+      const name = file.name.toLowerCase();
+      return this.config.acceptedExtensions.some(ext => name.endsWith(ext)) &&
+             file.size <= this.config.maxFileSize;
+    },
+
+    /*
+      ==========================================
+      RECENT FILES
+      ==========================================
+    */
+
+    initRecentFiles() {
+      this.renderRecentFiles(window.AppState?.getState('user.recentFiles') || []);
+
+      window.AppState?.observe('action:add_recent_file', ({ state }) => {
+        this.renderRecentFiles(state.user.recentFiles);
+      });
+    },
+
+    renderRecentFiles(recentFiles) {
+      const container = document.querySelector('[data-lab-recent]');
+      const list = container?.querySelector('[data-lab-recent-files]');
+      if (!list) return;
+
+      list.innerHTML = '';
+
+      recentFiles.forEach(recent => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn--secondary btn--small';
+        button.textContent = recent.issues > 0 ? `📄 ${recent.name} (${recent.issues} ⚠️)` : `📄 ${recent.name}`;
+        button.addEventListener('click', () => this.reopen(recent.name));
+
+        item.appendChild(button);
+        list.appendChild(item);
+      });
+
+      container.hidden = recentFiles.length === 0;
+    },
+
+    async reopen(fileName) {
+      const record = await window.AppDB?.get(this.config.storeName, fileName).catch(() => null);
+
+      if (!record) {
+        window.Components?.notify(`Vuelve a abrir ${fileName} desde tu explorador de archivos`, 'info');
+        return;
+      }
+
+      // Read permission does not survive between sessions: ask for it inside the click
+      const permission = await record.handle.queryPermission({ mode: 'read' });
+      if (permission !== 'granted' &&
+          await record.handle.requestPermission({ mode: 'read' }) !== 'granted') {
+        window.Components?.notify('Permiso de lectura denegado', 'warning');
+        return;
+      }
+
+      await this.openHandle(record.handle);
+    },
+
+    async storeHandle(handle) {
+      try {
+        await window.AppDB?.put(this.config.storeName, { name: handle.name, handle });
+      } catch (error) {
+        // Without IndexedDB the list still works, just without direct reopening
+        console.warn('📂 No se pudo guardar el acceso al archivo:', error);
+      }
+    }
+  };
+
+  /*
+    ==========================================
+    AUTO-INITIALIZATION
+    ==========================================
+  */
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      window.FileHandler.init();
+    });
+  } else {
+    window.FileHandler.init();
+  }
+
+})();
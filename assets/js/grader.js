@@ -0,0 +1,442 @@
+/*
+  ==========================================
+  GRADER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Rubric-based auto-grading against AppConfig.education.roadmap.assessmentCriteria.
+  Each criterion gets a 0-100 score and a level of its 4-step rubric:
+  correctness from the TestRunner pass rate, readability and
+  maintainability from static metrics over JSTokenizer tokens, efficiency
+  from the measured run time against the code execution budget.
+  CaseBridge.submit stores the result with AppState.updateProjectScore.
+
+  Archivo: assets/js/grader.js
+
+  "Any fool can write code that a computer can understand. Good programmers write code that humans can understand" - Martin Fowler
+  "Functions should do one thing. They should do it well. They should do it only" - Robert C. Martin
+
+  Architecture:
+  1. Static Metrics (naming, magic numbers, function length, nesting)
+  2. Criterion Scoring (0-100 per criterion + evidence for the student)
+  3. Rubric Levels (score → rubric step)
+  4. Weighted Grade (score + competencies for AppState)
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.JSTokenizer === 'undefined') {
+    console.warn('📐 Grader: JSTokenizer no disponible. Las entregas no se calificarán con la rúbrica.');
+    return;
+  }
+
+  /*
+    ==========================================
+    METRIC TABLES
+    ==========================================
+  */
+
+  // Loop counters and the "_" placeholder: short by convention, not by laziness
+  const SHORT_NAMES_ALLOWED = new Set(['i', 'j', 'k', '_']);
+  const GENERIC_NAMES = new Set([
+    'data', 'temp', 'tmp', 'foo', 'bar', 'baz', 'obj', 'thing', 'stuff', 'info', 'val', 'aux', 'arr', 'str'
+  ]);
+
+  // 0, 1, 2 and 100 (percentages) read on their own; any other literal should have a name
+  const SELF_EXPLANATORY_NUMBERS = new Set([0, 1, 2, 100]);
+
+  const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with']);
+  const BLOCK_KEYWORDS = new Set(['else', 'do', 'try', 'finally']);
+
+  const RUBRIC_LABELS = {
+    no_solution: 'Sin solución',
+    partial: 'Parcial',
+    working: 'Funciona',
+    optimal: 'Óptimo',
+    unclear: 'Confuso',
+    basic: 'Básico',
+    clean: 'Limpio',
+    exemplary: 'Ejemplar',
+    brittle: 'Frágil',
+    flexible: 'Flexible',
+    robust: 'Robusto',
+    inefficient: 'Ineficiente',
+    acceptable: 'Aceptable',
+    good: 'Bueno'
+  };
+
+  const CRITERION_NAMES = {
+    correctness: 'Corrección',
+    readability: 'Legibilidad',
+    maintainability: 'Mantenibilidad',
+    efficiency: 'Eficiencia'
+  };
+
+  const clamp = score => Math.max(0, Math.min(100, Math.round(score)));
+  const average = scores => scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 100;
+
+  /*
+    ==========================================
+    STATIC METRICS
+    ==========================================
+  */
+
+  function isPoorName(name, kind) {
+    if (SHORT_NAMES_ALLOWED.has(name)) return null;
+    if (name.length === 1) return 'una sola letra';
+    if (GENERIC_NAMES.has(name.toLowerCase())) return 'genérico';
+    if (/^[a-z]+\d+$/i.test(name)) return 'numerado';
+    // UPPER_SNAKE is for constants; snake_case in variables breaks the JS convention
+    if (name.includes('_') && !(kind === 'const' && name === name.toUpperCase())) return 'snake_case';
+    return null;
+  }
+
+  // Identifiers of a parameter list: the ones after "(", "," or "..." at the first level
+  function collectParams(tokens, openIndex, closeIndex) {
+    const params = [];
+    let depth = 0;
+
+    for (let index = openIndex + 1; index < closeIndex; index++) {
+      const token = tokens[index];
+      const previous = tokens[index - 1];
+      if (token.type === 'punctuator' && ['(', '[', '{'].includes(token.value)) depth++;
+      if (token.type === 'punctuator' && [')', ']', '}'].includes(token.value)) depth--;
+
+      if (depth === 0 && token.type === 'identifier' &&
+          (index === openIndex + 1 || [',', '...'].includes(previous.value))) {
+        params.push(token);
+      }
+    }
+
+    return params;
+  }
+
+  function analyzeFunctions(tokens) {
+    const { findClosing } = window.JSTokenizer;
+    const functions = [];
+    const params = [];
+
+    const addFunction = (name, headIndex, bodyOpen) => {
+      const bodyClose = findClosing(tokens, bodyOpen);
+      if (bodyClose === -1) return;
+      const head = tokens[headIndex];
+      functions.push({ name, line: head.line, lines: tokens[bodyClose].line - head.line + 1 });
+    };
+
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+
+      // function name(...) {  ·  function (...) {  ·  method(...) {
+      const isFunctionKeyword = token.type === 'keyword' && token.value === 'function';
+      const isMethodName = token.type === 'identifier' && next?.value === '(' &&
+                           !(tokens[index - 1]?.type === 'keyword' && tokens[index - 1].value === 'function');
+
+      if (isFunctionKeyword || isMethodName) {
+        let openIndex = index + 1;
+        if (isFunctionKeyword && tokens[openIndex]?.value === '*') openIndex++;
+        const name = isFunctionKeyword && tokens[openIndex]?.type === 'identifier' ? tokens[openIndex++].value :
+                     isMethodName ? token.value : '(anónima)';
+
+        if (tokens[openIndex]?.value !== '(') return;
+        const closeIndex = findClosing(tokens, openIndex);
+        // A call is never followed by "{": if it is, it was a definition
+        if (closeIndex === -1 || tokens[closeIndex + 1]?.value !== '{') return;
+
+        params.push(...collectParams(tokens, openIndex, closeIndex));
+        addFunction(name, index, closeIndex + 1);
+        return;
+      }
+
+      // (...) => { ... }  ·  x => { ... }
+      if (token.type === 'punctuator' && token.value === '=>') {
+        const previous = tokens[index - 1];
+        let headIndex = index - 1;
+
+        if (previous?.type === 'identifier') {
+          params.push(previous);
+        } else if (previous?.value === ')') {
+          headIndex = tokens.findLastIndex((candidate, candidateIndex) =>
+            candidateIndex < index && candidate.value === '(' && findClosing(tokens, candidateIndex) === index - 1);
+          if (headIndex !== -1) params.push(...collectParams(tokens, headIndex, index - 1));
+        }
+
+        // const nombre = (...) => …
+        const assigned = tokens[headIndex - 1]?.value === '=' && tokens[headIndex - 2]?.type === 'identifier';
+        const name = assigned ? tokens[headIndex - 2].value : '(flecha)';
+        if (next?.value === '{' && headIndex !== -1) addFunction(name, headIndex, index + 1);
+      }
+    });
+
+    return { functions, params };
+  }
+
+  function analyzeDeclarations(tokens, params) {
+    const declared = [];
+
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      if (next?.type !== 'identifier') return;
+
+      if (token.type === 'keyword' && ['let', 'const', 'var', 'class'].includes(token.value)) {
+        declared.push({ name: next.value, line: next.line, kind: token.value });
+      }
+      if (token.type === 'keyword' && token.value === 'function') {
+        declared.push({ name: next.value, line: next.line, kind: 'function' });
+      }
+    });
+
+    params.forEach(param => declared.push({ name: param.value, line: param.line, kind: 'param' }));
+
+    const poor = declared
+      .map(declaration => ({ ...declaration, reason: isPoorName(declaration.name, declaration.kind) }))
+      .filter(declaration => declaration.reason);
+
+    return { declared, poor };
+  }
+
+  function analyzeMagicNumbers(tokens) {
+    const magic = [];
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'number') return;
+
+      const value = Number(token.value.replace(/_/g, '').replace(/n$/, ''));
+      if (SELF_EXPLANATORY_NUMBERS.has(value)) return;
+
+      // const NAME = 12; → that is the remedy, not the problem
+      const previous = tokens[index - 1];
+      const isNamedConstant = previous?.value === '=' &&
+                              tokens[index - 2]?.type === 'identifier' &&
+                              tokens[index - 3]?.value === 'const';
+      if (isNamedConstant) return;
+
+      magic.push({ value: token.value, line: token.line });
+    });
+
+    return magic;
+  }
+
+  // Maximum depth of nested control blocks (if/for/while/switch/try…)
+  function analyzeNesting(tokens) {
+    const { findClosing } = window.JSTokenizer;
+    const parenOwners = new Map();
+    const stack = [];
+    let controlDepth = 0;
+    let max = 0;
+    let deepestLine = null;
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'punctuator') return;
+
+      if (token.value === '(') {
+        const owner = tokens[index - 1];
+        const closeIndex = findClosing(tokens, index);
+        if (closeIndex !== -1) parenOwners.set(closeIndex, owner?.type === 'keyword' ? owner.value : null);
+      }
+
+      if (token.value === '{') {
+        const previous = tokens[index - 1];
+        const isControl = (previous?.type === 'keyword' && BLOCK_KEYWORDS.has(previous.value)) ||
+                          (previous?.value === ')' && CONTROL_KEYWORDS.has(parenOwners.get(index - 1)));
+        stack.push(isControl);
+        if (isControl) {
+          controlDepth++;
+          if (controlDepth > max) {
+            max = controlDepth;
+            deepestLine = token.line;
+          }
+        }
+      }
+
+      if (token.value === '}' && stack.length) {
+        if (stack.pop()) controlDepth--;
+      }
+    });
+
+    return { max, line: deepestLine };
+  }
+
+  /*
+    ==========================================
+    GRADER CONTROLLER
+    ==========================================
+  */
+
+  window.Grader = {
+    config: {
+      levelThresholds: [40, 70, 90],  // minimum score for the 2nd, 3rd and 4th level of each rubric
+      maxFunctionLines: 20,           // Clean Code: funciones cortas
+      functionLinePenalty: 4,         // points per extra line
+      maxNesting: 3,                  // nested control blocks without penalty
+      nestingPenalty: 25,             // points per extra level
+      magicNumberPenalty: 20,         // points per distinct magic number
+      fastRatio: 0.25                 // fraction of the budget that counts as optimal efficiency
+    },
+
+    getCriteria() {
+      return window.AppConfig?.getAssessmentCriteria() || {};
+    },
+
+    /**
+     * Static metrics over the submitted source. Every list keeps the line
+     * so the breakdown can point the student at the exact spot.
+     */
+    analyze(code) {
+      const tokens = window.JSTokenizer.tokenize(code, { comments: false });
+      const { functions, params } = analyzeFunctions(tokens);
+      const naming = analyzeDeclarations(tokens, params);
+
+      return {
+        naming,
+        magicNumbers: analyzeMagicNumbers(tokens),
+        functions,
+        nesting: analyzeNesting(tokens)
+      };
+    },
+
+    /**
+     * Grades one submission. `testResults` is TestRunner's shape (score,
+     * status, duration); `budget` defaults to the code execution budget.
+     * Returns { score, criteria: [...], competencies, metrics, timestamp }
+     * or null when AppConfig has no assessment criteria.
+     */
+    grade({ code, testResults, budget = null }) {
+      const criteria = this.getCriteria();
+      if (Object.keys(criteria).length === 0) return null;
+
+      const metrics = this.analyze(code);
+      const scorers = {
+        correctness: () => this.scoreCorrectness(testResults),
+        readability: () => this.scoreReadability(metrics),
+        maintainability: () => this.scoreMaintainability(metrics),
+        efficiency: () => this.scoreEfficiency(testResults, budget ?? this.getBudget())
+      };
+
+      const results = Object.entries(criteria)
+        .filter(([id]) => scorers[id])
+        .map(([id, criterion]) => {
+          const { score, evidence } = scorers[id]();
+          const levelIndex = this.getLevelIndex(score, criterion.rubric.length);
+          const level = criterion.rubric[levelIndex];
+
+          return {
+            id,
+            name: CRITERION_NAMES[id] || id,
+            description: criterion.description,
+            weight: criterion.weight,
+            score,
+            level,
+            levelLabel: RUBRIC_LABELS[level] || level,
+            levelIndex,
+            levels: criterion.rubric.length,
+            evidence
+          };
+        });
+
+      const totalWeight = results.reduce((sum, criterion) => sum + criterion.weight, 0) || 1;
+
+      return {
+        score: clamp(results.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / totalWeight),
+        criteria: results,
+        competencies: Object.fromEntries(results.map(criterion => [criterion.id, criterion.score])),
+        metrics,
+        timestamp: Date.now()
+      };
+    },
+
+    /*
+      ==========================================
+      CRITERIA
+      ==========================================
+    */
+
+    scoreCorrectness(testResults = {}) {
+      const total = testResults.total ?? 0;
+
+      if (testResults.status === 'error' || total === 0) {
+        const reason = testResults.error?.message ? `: ${testResults.error.message}` : '';
+        return { score: 0, evidence: [`Ningún test pudo ejecutarse${reason}`] };
+      }
+
+      const evidence = [`${testResults.passed}/${total} tests pasan`];
+      if (testResults.status === 'timeout') evidence.push('La suite superó el presupuesto de tiempo');
+
+      return { score: clamp(testResults.score ?? 0), evidence };
+    },
+
+    scoreReadability({ naming, magicNumbers }) {
+      const { declared, poor } = naming;
+      const namingScore = declared.length ? (100 * (declared.length - poor.length)) / declared.length : 100;
+
+      const distinctMagic = [...new Set(magicNumbers.map(magic => magic.value))];
+      const magicScore = 100 - distinctMagic.length * this.config.magicNumberPenalty;
+
+      const evidence = [
+        poor.length ?
+          `Nombres poco descriptivos: ${poor.map(({ name, line, reason }) => `${name} (línea ${line}, ${reason})`).join(', ')}` :
+          declared.length ? `${declared.length} nombres declarados, todos descriptivos` : 'Sin declaraciones que evaluar',
+        distinctMagic.length ?
+          `Números mágicos: ${distinctMagic.map(value => `${value} (línea ${magicNumbers.find(magic => magic.value === value).line})`).join(', ')} → extráelos a constantes con nombre` :
+          'Sin números mágicos'
+      ];
+
+      return { score: clamp(average([namingScore, clamp(magicScore)])), evidence };
+    },
+
+    scoreMaintainability({ functions, nesting }) {
+      const { maxFunctionLines, functionLinePenalty, maxNesting, nestingPenalty } = this.config;
+
+      const lengthScores = functions.map(({ lines }) =>
+        clamp(100 - Math.max(0, lines - maxFunctionLines) * functionLinePenalty));
+      const nestingScore = clamp(100 - Math.max(0, nesting.max - maxNesting) * nestingPenalty);
+
+      const longFunctions = functions.filter(({ lines }) => lines > maxFunctionLines);
+      const evidence = [
+        longFunctions.length ?
+          `Funciones largas (máx. ${maxFunctionLines} líneas): ${longFunctions.map(({ name, lines, line }) => `${name} ${lines} líneas (línea ${line})`).join(', ')}` :
+          functions.length ? `${functions.length} funciones, todas de ${maxFunctionLines} líneas o menos` : 'Sin funciones que evaluar',
+        nesting.max > maxNesting ?
+          `Anidamiento de ${nesting.max} niveles (línea ${nesting.line}, máx. ${maxNesting}) → usa cláusulas de guarda o extrae funciones` :
+          `Anidamiento máximo: ${nesting.max} nivel${nesting.max === 1 ? '' : 'es'}`
+      ];
+
+      return { score: clamp(average([average(lengthScores), nestingScore])), evidence };
+    },
+
+    scoreEfficiency(testResults = {}, budget) {
+      if (testResults.status === 'timeout') {
+        return { score: 0, evidence: ['La ejecución se detuvo al agotar el presupuesto de tiempo'] };
+      }
+      if (typeof testResults.duration !== 'number') {
+        return { score: 0, evidence: ['Sin medición de tiempo de ejecución'] };
+      }
+
+      // Up to fastRatio of the budget is optimal; from there until it runs out, linear down to 0
+      const ratio = testResults.duration / budget;
+      const { fastRatio } = this.config;
+      const score = ratio <= fastRatio ? 100 : 100 * (1 - (ratio - fastRatio) / (1 - fastRatio));
+
+      return {
+        score: clamp(score),
+        evidence: [`${testResults.duration} ms de ${budget} ms de presupuesto (${Math.round(ratio * 100)}%)`]
+      };
+    },
+
+    /*
+      ==========================================
+      UTILITIES
+      ==========================================
+    */
+
+    getBudget() {
+      return window.AppConfig?.getPerformanceBudget('codeExecution') ?? 100;
+    },
+
+    getLevelIndex(score, levels) {
+      const reached = this.config.levelThresholds.filter(threshold => score >= threshold).length;
+      return Math.min(reached, levels - 1);
+    }
+  };
+
+})();
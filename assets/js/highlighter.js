@@ -0,0 +1,558 @@
+/*
+  ==========================================
+  HIGHLIGHTER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Syntax highlighter for JavaScript, JSON, HTML and CSS. JavaScript and
+  JSON go through JSTokenizer, so keywords inside strings, comments and
+  templates stay untouched; HTML and CSS use small scanners of their own
+  (and HTML hands <script>/<style> bodies back to them). Output is
+  escaped markup with the token classes of assets/css/code.css, one
+  `.code-line` span per source line, optionally limited to a line range,
+  with highlighted lines and side-by-side diffs for "buggy vs fixed".
+
+  Archivo: assets/js/highlighter.js
+
+  "Code is read much more often than it is written" - Guido van Rossum
+
+  Architecture:
+  1. Language Scanners (source → { start, end, className } spans)
+  2. Line Rendering (spans + extra marks → escaped HTML per line)
+  3. Line Ranges & Highlighted Lines
+  4. Diff (LCS per line → aligned before/after panes)
+  5. DOM Helpers (highlightElement, highlightAll, renderDiff)
+
+  Usage: Highlighter.highlight(code, { language: 'javascript', range: { start: 3, end: 8 } })
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.JSTokenizer === 'undefined') {
+    console.warn('🖍️ Highlighter: JSTokenizer no disponible. El código se mostrará sin resaltar.');
+    return;
+  }
+
+  const CONSTANT_KEYWORDS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']);
+  const NEUTRAL_PUNCTUATORS = new Set(['(', ')', '[', ']', '{', '}', ',', ';', '.', '?.', '...', '#', '@']);
+  const MAX_DIFF_LINES = 500;
+
+  const escapeHtml = text => text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+  /*
+    ==========================================
+    JAVASCRIPT / JSON
+    ==========================================
+  */
+
+  // Parameter names and the range of code where they mean that (list + body)
+  function findParameterScopes(tokens) {
+    const { findClosing } = window.JSTokenizer;
+    const isPunctuator = (token, value) => token?.type === 'punctuator' && token.value === value;
+    const scopes = [];
+
+    // Identifiers that bind names inside ( … ): not the "a:" keys nor the default values
+    function bindingNames(open, close) {
+      const names = new Set();
+      for (let index = open + 1; index < close; index++) {
+        const token = tokens[index];
+        const previous = tokens[index - 1];
+        if (token.type !== 'identifier' || isPunctuator(tokens[index + 1], ':')) continue;
+        if (['(', ',', '{', '[', '...', ':'].includes(previous.value) && previous.type === 'punctuator') names.add(token.value);
+      }
+      return names;
+    }
+
+    // End of the body: its "}" or, in expression arrows, the first ; , or closer at depth 0
+    function bodyEnd(index) {
+      if (isPunctuator(tokens[index], '{')) return findClosing(tokens, index);
+      let depth = 0;
+      for (; index < tokens.length; index++) {
+        const { type, value } = tokens[index];
+        if (type !== 'punctuator') continue;
+        if (['(', '[', '{'].includes(value)) depth++;
+        else if ([')', ']', '}'].includes(value) && depth-- === 0) return index - 1;
+        else if ((value === ';' || value === ',') && depth === 0) return index - 1;
+      }
+      return tokens.length - 1;
+    }
+
+    function addScope(open, close, names, bodyStart) {
+      const end = bodyEnd(bodyStart);
+      if (names.size === 0 || close === -1 || end === -1) return;
+      scopes.push({ start: tokens[open].start, end: tokens[Math.min(end, tokens.length - 1)].end, names });
+    }
+
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+
+      // x => …
+      if (token.type === 'identifier' && isPunctuator(next, '=>')) {
+        addScope(index, index, new Set([token.value]), index + 2);
+        return;
+      }
+      if (!isPunctuator(token, '(')) return;
+
+      const close = findClosing(tokens, index);
+      if (close === -1) return;
+      const previous = tokens[index - 1];
+      const after = tokens[close + 1];
+
+      // (a, b) => …
+      if (isPunctuator(after, '=>')) {
+        addScope(index, close, bindingNames(index, close), close + 2);
+        return;
+      }
+
+      // function f(a) { … } and methods name(a) { … } (a call is never followed by "{")
+      const isFunction = previous && (previous.value === 'function' || tokens[index - 2]?.value === 'function' ||
+        (previous.type === 'identifier' && isPunctuator(after, '{')));
+      if (isFunction && isPunctuator(after, '{')) {
+        addScope(index, close, bindingNames(index, close), close + 1);
+      }
+    });
+
+    return scopes;
+  }
+
+  function scanJavaScript(source, { offset = 0, json = false } = {}) {
+    const tokens = window.JSTokenizer.tokenize(source);
+    const scopes = json ? [] : findParameterScopes(tokens);
+    const spans = [];
+
+    const isParameter = token => scopes.some(scope =>
+      token.start >= scope.start && token.end <= scope.end && scope.names.has(token.value));
+
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      const previous = tokens[index - 1];
+      let className = null;
+
+      switch (token.type) {
+        case 'keyword':
+          className = CONSTANT_KEYWORDS.has(token.value) ? 'code-constant' : 'code-keyword';
+          break;
+        case 'number':
+          className = 'code-number';
+          break;
+        case 'comment':
+          className = 'code-comment';
+          break;
+        case 'regex':
+        case 'string':
+          // In JSON the keys are the strings followed by ":"
+          className = json && next?.value === ':' ? 'code-type' : 'code-string';
+          break;
+        case 'template':
+          spans.push(...scanTemplate(source, token, offset));
+          return;
+        case 'punctuator':
+          className = NEUTRAL_PUNCTUATORS.has(token.value) ? null : 'code-operator';
+          break;
+        case 'invalid':
+          className = 'code-error';
+          break;
+        case 'identifier':
+          if (CONSTANT_KEYWORDS.has(token.value)) className = 'code-constant';
+          else if (isParameter(token) && previous?.value !== '.' && previous?.value !== '?.') className = 'code-param';
+          else if (next?.value === '(' || previous?.value === 'function') className = 'code-function';
+          else if (previous?.value === 'class' || previous?.value === 'new' || /^[A-Z][a-z]/.test(token.value)) className = 'code-type';
+          else if (/^[A-Z][A-Z0-9_]+$/.test(token.value)) className = 'code-constant';
+          break;
+      }
+
+      if (className) spans.push({ start: token.start + offset, end: token.end + offset, className });
+    });
+
+    return spans;
+  }
+
+  // `text ${expression} text`: the text is a string, the expressions are highlighted as code
+  function scanTemplate(source, token, offset) {
+    const spans = [];
+    let cursor = token.start;
+
+    token.expressions.forEach(range => {
+      spans.push({ start: cursor + offset, end: range.start + offset, className: 'code-string' });
+      spans.push(...scanJavaScript(source.slice(range.start, range.end), { offset: range.start + offset }));
+      cursor = range.end;
+    });
+
+    spans.push({ start: cursor + offset, end: token.end + offset, className: 'code-string' });
+    return spans.filter(span => span.end > span.start);
+  }
+
+  /*
+    ==========================================
+    CSS
+    ==========================================
+  */
+
+  function scanCss(source, { offset = 0 } = {}) {
+    const spans = [];
+    const push = (start, end, className) => spans.push({ start: start + offset, end: end + offset, className });
+    let depth = 0;
+    let index = 0;
+    let inPrelude = false;
+
+    // Is what follows a selector ("{" comes first) or a declaration (";" or "}" comes first)?
+    const isSelectorAhead = from => {
+      const match = /[{;}]/.exec(source.slice(from));
+      return !match || match[0] === '{';
+    };
+
+    while (index < source.length) {
+      const rest = source.slice(index);
+      let match;
+
+      if ((match = /^\s+/.exec(rest))) {
+        // Whitespace: no class
+      } else if ((match = /^\/\*[\s\S]*?(\*\/|$)/.exec(rest))) {
+        push(index, index + match[0].length, 'code-comment');
+      } else if ((match = /^("(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/.exec(rest))) {
+        push(index, index + match[0].length, 'code-string');
+      } else if ((match = /^@[\w-]+/.exec(rest))) {
+        // The prelude of @media/@import… reads as values up to "{" or ";"
+        push(index, index + match[0].length, 'code-keyword');
+        inPrelude = true;
+      } else if ((match = /^!important\b/i.exec(rest))) {
+        push(index, index + match[0].length, 'code-keyword');
+      } else if (rest[0] === '{' || rest[0] === '}' || rest[0] === ';') {
+        if (rest[0] !== ';') depth += rest[0] === '{' ? 1 : -1;
+        inPrelude = false;
+        match = [rest[0]];
+      } else if (!inPrelude && (depth === 0 || isSelectorAhead(index))) {
+        // Whole selector up to "{" (no comments or strings inside, the usual case)
+        match = /^[^{};/"'@]+/.exec(rest) || [rest[0]];
+        push(index, index + match[0].trimEnd().length, 'code-function');
+      } else if ((match = /^--[\w-]+/.exec(rest))) {
+        push(index, index + match[0].length, 'code-param');
+      } else if ((match = /^[a-zA-Z-][\w-]*(?=\s*:)/.exec(rest)) && /[{;]\s*$/.test(source.slice(0, index))) {
+        push(index, index + match[0].length, 'code-type');
+      } else if ((match = /^#[\da-fA-F]{3,8}\b/.exec(rest))) {
+        push(index, index + match[0].length, 'code-constant');
+      } else if ((match = /^-?(\d+\.?\d*|\.\d+)(%|[a-zA-Z]+)?/.exec(rest))) {
+        push(index, index + match[0].length, 'code-number');
+      } else if ((match = /^[a-zA-Z-][\w-]*(?=\()/.exec(rest))) {
+        push(index, index + match[0].length, 'code-function');
+      } else {
+        match = /^[a-zA-Z-][\w-]*/.exec(rest) || [rest[0]];
+      }
+
+      index += match[0].length;
+    }
+
+    return spans;
+  }
+
+  /*
+    ==========================================
+    HTML
+    ==========================================
+  */
+
+  function scanHtml(source) {
+    const spans = [];
+    const push = (start, end, className) => end > start && spans.push({ start, end, className });
+    let index = 0;
+
+    while (index < source.length) {
+      const rest = source.slice(index);
+      let match;
+
+      if ((match = /^<!--[\s\S]*?(-->|$)/.exec(rest))) {
+        push(index, index + match[0].length, 'code-comment');
+        index += match[0].length;
+        continue;
+      }
+      if ((match = /^<!doctype[^>]*>?/i.exec(rest))) {
+        push(index, index + match[0].length, 'code-keyword');
+        index += match[0].length;
+        continue;
+      }
+      if ((match = /^&(#\d+|#x[\da-f]+|\w+);/i.exec(rest))) {
+        push(index, index + match[0].length, 'code-constant');
+        index += match[0].length;
+        continue;
+      }
+
+      const tag = /^<(\/?)([a-zA-Z][\w:-]*)/.exec(rest);
+      if (!tag) {
+        index++;
+        continue;
+      }
+
+      push(index, index + 1 + tag[1].length, 'code-operator');
+      push(index + 1 + tag[1].length, index + tag[0].length, 'code-keyword');
+      index += tag[0].length;
+
+      // Attributes up to ">" or "/>"
+      while (index < source.length) {
+        const attribute = /^(\s+)([^\s=/>"']+)?(\s*=\s*)?("[^"]*"?|'[^']*'?|[^\s>"']+)?/.exec(source.slice(index));
+        if (!attribute || attribute[0] === '') break;
+        let cursor = index + attribute[1].length;
+        if (attribute[2]) push(cursor, cursor + attribute[2].length, 'code-type');
+        cursor += (attribute[2] || '').length;
+        if (attribute[3]) push(cursor, cursor + attribute[3].length, 'code-operator');
+        cursor += (attribute[3] || '').length;
+        if (attribute[4]) push(cursor, cursor + attribute[4].length, 'code-string');
+        index += attribute[0].length;
+      }
+
+      const close = /^\/?>/.exec(source.slice(index));
+      if (close) {
+        push(index, index + close[0].length, 'code-operator');
+        index += close[0].length;
+      }
+
+      // The content of <script> and <style> is another language, up to its closing tag
+      const name = tag[2].toLowerCase();
+      if (!tag[1] && (name === 'script' || name === 'style') && close?.[0] === '>') {
+        const end = source.slice(index).search(new RegExp(`</${name}\\s*>`, 'i'));
+        const bodyEnd = end === -1 ? source.length : index + end;
+        const body = source.slice(index, bodyEnd);
+        spans.push(...(name === 'script' ? scanJavaScript(body, { offset: index }) : scanCss(body, { offset: index })));
+        index = bodyEnd;
+      }
+    }
+
+    return spans;
+  }
+
+  const SCANNERS = {
+    javascript: source => scanJavaScript(source),
+    js: source => scanJavaScript(source),
+    json: source => scanJavaScript(source, { json: true }),
+    css: source => scanCss(source),
+    html: source => scanHtml(source),
+    plain: () => []
+  };
+
+  /*
+    ==========================================
+    LINE RENDERING
+    ==========================================
+  */
+
+  // Inner HTML of each line: language spans + extra marks (diagnostics, ranges)
+  function renderLines(source, spans, marks = []) {
+    const cuts = new Set([0, source.length]);
+    [...spans, ...marks].forEach(({ start, end }) => {
+      cuts.add(Math.max(0, Math.min(start, source.length)));
+      cuts.add(Math.max(0, Math.min(end, source.length)));
+    });
+    const points = [...cuts].sort((a, b) => a - b);
+
+    const ordered = [...spans].sort((a, b) => a.start - b.start);
+    const lines = [''];
+    let spanIndex = 0;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const start = points[i];
+      while (ordered[spanIndex] && ordered[spanIndex].end <= start) spanIndex++;
+
+      const classes = [];
+      const span = ordered[spanIndex];
+      if (span && span.start <= start) classes.push(span.className);
+      // If several marks overlap the first one wins (the caller sorts them by priority)
+      const mark = marks.find(range => range.start <= start && start < range.end);
+      if (mark) classes.push(mark.className);
+
+      const className = classes.join(' ');
+      source.slice(start, points[i + 1]).split('\n').forEach((piece, pieceIndex) => {
+        if (pieceIndex > 0) lines.push('');
+        if (!piece) return;
+        const html = escapeHtml(piece);
+        lines[lines.length - 1] += className ? `<span class="${className}">${html}</span>` : html;
+      });
+    }
+
+    return lines;
+  }
+
+  function wrapLine(html, number, className, fillEmpty) {
+    return `<span class="code-line${className ? ` ${className}` : ''}" data-line="${number}">${html || (fillEmpty ? ' ' : '')}</span>`;
+  }
+
+  /*
+    ==========================================
+    DIFF
+    ==========================================
+  */
+
+  // Line-based LCS: [{ type: ' ' | '-' | '+', before, after }] with line indexes (0-based)
+  function diffLines(beforeLines, afterLines) {
+    const a = beforeLines.slice(0, MAX_DIFF_LINES);
+    const b = afterLines.slice(0, MAX_DIFF_LINES);
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        operations.push({ type: ' ', before: i++, after: j++ });
+      } else if (i < a.length && (j >= b.length || table[i + 1][j] >= table[i][j + 1])) {
+        operations.push({ type: '-', before: i++, after: null });
+      } else {
+        operations.push({ type: '+', before: null, after: j++ });
+      }
+    }
+
+    return operations;
+  }
+
+  /*
+    ==========================================
+    HIGHLIGHTER API
+    ==========================================
+  */
+
+  window.Highlighter = {
+    languages: Object.keys(SCANNERS),
+
+    escapeHtml,
+
+    // Language spans { start, end, className }; unknown languages go as plain text
+    scan(source, language = 'javascript') {
+      return (SCANNERS[String(language).toLowerCase()] || SCANNERS.plain)(String(source ?? ''));
+    },
+
+    /**
+     * Escaped, highlighted HTML, one `.code-line` span per line (joined by
+     * "\n" so it works inside <pre> and keeps textContent copyable).
+     *
+     * options.range          { start, end } 1-based inclusive lines to render
+     * options.highlightLines line numbers that get .code-line-highlight
+     * options.marks          extra { start, end, className } character ranges (first match wins)
+     * options.classMap       renames token classes, e.g. { 'code-error': '…' }
+     * options.lineClass      (lineNumber) => extra classes for that line
+     * options.fillEmptyLines render empty lines with a space (for editor mirrors)
+     */
+    highlight(code, {
+      language = 'javascript',
+      range = null,
+      highlightLines = [],
+      marks = [],
+      lineClass = null,
+      classMap = null,
+      fillEmptyLines = false
+    } = {}) {
+      const source = String(code ?? '');
+      const spans = this.scan(source, language)
+        .map(span => (classMap?.[span.className] ? { ...span, className: classMap[span.className] } : span));
+      const lines = renderLines(source, spans, marks);
+      const first = Math.max(1, range?.start ?? 1);
+      const last = Math.min(lines.length, range?.end ?? lines.length);
+      const emphasized = new Set(highlightLines);
+
+      const output = [];
+      for (let number = first; number <= last; number++) {
+        const classes = [emphasized.has(number) ? 'code-line-highlight' : '', lineClass?.(number) || ''].filter(Boolean).join(' ');
+        output.push(wrapLine(lines[number - 1], number, classes, fillEmptyLines));
+      }
+      return output.join('\n');
+    },
+
+    /**
+     * Side-by-side diff. Changed blocks are aligned row by row (removed
+     * lines next to the lines that replace them, placeholders where one
+     * side has fewer), so both panes scroll together.
+     * Returns { before, after, added, removed } with the HTML of each pane.
+     */
+    diff(before, after, { language = 'javascript' } = {}) {
+      const beforeSource = String(before ?? '');
+      const afterSource = String(after ?? '');
+      const beforeHtml = renderLines(beforeSource, this.scan(beforeSource, language));
+      const afterHtml = renderLines(afterSource, this.scan(afterSource, language));
+      const operations = diffLines(beforeSource.split('\n'), afterSource.split('\n'));
+
+      const left = [];
+      const right = [];
+      let removed = [];
+      let added = [];
+
+      const placeholder = '<span class="code-line code-line--placeholder" aria-hidden="true"> </span>';
+      const flush = () => {
+        const rows = Math.max(removed.length, added.length);
+        for (let row = 0; row < rows; row++) {
+          left.push(row < removed.length ? wrapLine(beforeHtml[removed[row]], removed[row] + 1, 'code-line--removed', true) : placeholder);
+          right.push(row < added.length ? wrapLine(afterHtml[added[row]], added[row] + 1, 'code-line--added', true) : placeholder);
+        }
+        removed = [];
+        added = [];
+      };
+
+      let removedCount = 0;
+      let addedCount = 0;
+
+      operations.forEach(operation => {
+        if (operation.type === '-') {
+          removed.push(operation.before);
+          removedCount++;
+        } else if (operation.type === '+') {
+          added.push(operation.after);
+          addedCount++;
+        } else {
+          flush();
+          left.push(wrapLine(beforeHtml[operation.before], operation.before + 1, '', true));
+          right.push(wrapLine(afterHtml[operation.after], operation.after + 1, '', true));
+        }
+      });
+      flush();
+
+      return { before: left.join('\n'), after: right.join('\n'), added: addedCount, removed: removedCount };
+    },
+
+    /*
+      ==========================================
+      DOM HELPERS
+      ==========================================
+    */
+
+    // Highlights the element's current text (idempotent: uses the text, not the HTML)
+    highlightElement(element, options = {}) {
+      if (!element) return;
+      const language = options.language || element.dataset.highlight || 'javascript';
+      const highlightLines = options.highlightLines ||
+        (element.dataset.highlightLines || '').split(',').map(Number).filter(Boolean);
+
+      // With the tag on its own line the text has a leading line break and trailing indentation
+      const code = element.textContent.replace(/^\n/, '').replace(/\n\s*$/, '');
+      element.innerHTML = this.highlight(code, { ...options, language, highlightLines });
+      element.dataset.highlighted = 'true';
+    },
+
+    highlightAll(root = document) {
+      root.querySelectorAll('[data-highlight]:not([data-highlighted])').forEach(element => this.highlightElement(element));
+    },
+
+    // .code-diff with two panes: "with the bug" and "fixed"
+    renderDiff(container, before, after, { language = 'javascript', labels = {} } = {}) {
+      const result = this.diff(before, after, { language });
+      const beforeLabel = escapeHtml(labels.before || 'Código con el bug');
+      const afterLabel = escapeHtml(labels.after || 'Código corregido');
+
+      container.classList.add('code-diff');
+      container.innerHTML = `
+        <div class="code-diff__before" role="group" aria-label="${beforeLabel}">
+          <pre class="code-diff__content"><code>${result.before}</code></pre>
+        </div>
+        <div class="code-diff__after" role="group" aria-label="${afterLabel}">
+          <pre class="code-diff__content"><code>${result.after}</code></pre>
+        </div>
+      `;
+
+      return result;
+    }
+  };
+
+})();
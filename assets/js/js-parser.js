@@ -0,0 +1,1185 @@
+/*
+  ==========================================
+  JS PARSER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Recursive-descent parser from JSTokenizer tokens to an ESTree-shaped AST
+  for the code students write or open in the laboratory: statements,
+  functions, classes, destructuring, arrows, templates and modules, with
+  automatic semicolon insertion. Nodes carry start/end offsets and
+  loc { start, end } ({ line, column }, 1-based), and a parenthesized
+  flag, which is what lint rules need to tell `a + b * c` from `a + (b * c)`.
+
+  Archivo: assets/js/js-parser.js
+
+  "The parser is the first user of your language" - Niklaus Wirth (atribuida)
+
+  Architecture:
+  1. Token Stream (significant tokens, lookahead, ASI)
+  2. Statements & Declarations (var/let/const, function, class, control flow, modules)
+  3. Expressions (comma → assignment/arrow → ?: → binary climbing → unary → call/member)
+  4. Patterns (binding targets, expression → pattern conversion)
+
+  Errors are SyntaxError with V8 wording plus `line`, `column` and `start`.
+  Attaches to `self` so a worker can importScripts() it as well.
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof self.JSTokenizer === 'undefined') {
+    console.warn('🌳 JSParser: JSTokenizer no disponible.');
+    return;
+  }
+
+  /*
+    ==========================================
+    GRAMMAR TABLES
+    ==========================================
+  */
+
+  // MDN precedence levels; higher binds tighter
+  const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '|': 4,
+    '^': 5,
+    '&': 6,
+    '==': 7, '!=': 7, '===': 7, '!==': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+    '<<': 9, '>>': 9, '>>>': 9,
+    '+': 10, '-': 10,
+    '*': 11, '/': 11, '%': 11,
+    '**': 12
+  };
+
+  const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+  const ASSIGNMENT_OPERATORS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='
+  ]);
+  const UNARY_OPERATORS = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete']);
+
+  const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+  /*
+    ==========================================
+    LITERAL VALUES
+    ==========================================
+  */
+
+  function unescape(raw) {
+    return raw.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r\n|[\s\S])/g, (match, sequence) => {
+      if (sequence[0] === 'u' || sequence[0] === 'x') {
+        const hex = sequence.replace(/^[ux]\{?|\}$/g, '');
+        return String.fromCodePoint(parseInt(hex, 16));
+      }
+      if (/^(\r\n|[\n\r\u2028\u2029])$/.test(sequence)) return '';
+      return ESCAPES[sequence] ?? sequence;
+    });
+  }
+
+  function numberValue(raw) {
+    const clean = raw.replace(/_/g, '');
+    if (clean.endsWith('n')) return Number(clean.slice(0, -1));
+    // Legacy octal: 010 is 8 in sloppy mode
+    if (/^0\d+$/.test(clean) && !/[89]/.test(clean)) return parseInt(clean, 8);
+    return Number(clean);
+  }
+
+  /*
+    ==========================================
+    PARSER
+    ==========================================
+  */
+
+  function parse(source, { sourceType = 'script' } = {}) {
+    const text = String(source ?? '');
+    const lineStarts = [0];
+    for (const match of text.matchAll(/\r\n?|[\n\u2028\u2029]/g)) {
+      lineStarts.push(match.index + match[0].length);
+    }
+
+    function locate(offset) {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    }
+
+    function fail(message, token) {
+      const offset = token ? token.start : text.length;
+      const error = new SyntaxError(message);
+      Object.assign(error, { start: offset, ...locate(offset) });
+      throw error;
+    }
+
+    // Tokens of a range (the whole program or the inside of a ${…}), with absolute positions
+    function tokensOf(start, end) {
+      return self.JSTokenizer.tokenize(text.slice(start, end), { comments: false }).map(token => ({
+        ...token,
+        start: token.start + start,
+        end: token.end + start,
+        ...locate(token.start + start),
+        ...(token.expressions && {
+          expressions: token.expressions.map(range => ({ start: range.start + start, end: range.end + start }))
+        })
+      }));
+    }
+
+    function createStream(tokens, endOffset) {
+      let position = 0;
+      let lastEnd = 0;
+      let allowIn = true;
+
+      const peek = (offset = 0) => tokens[position + offset] || null;
+      const next = () => {
+        const token = tokens[position++];
+        lastEnd = token.end;
+        return token;
+      };
+
+      const is = (value, token = peek()) => Boolean(token) && token.value === value &&
+        (token.type === 'punctuator' || token.type === 'keyword' || token.type === 'identifier');
+      const isPunctuator = (value, token = peek()) => token?.type === 'punctuator' && token.value === value;
+
+      function unexpected(token = peek()) {
+        if (!token) fail('Unexpected end of input', null);
+        if (token.type === 'invalid' || token.unterminated) {
+          if (token.type === 'template') fail('Unterminated template literal', token);
+          if (token.type === 'regex') fail('Invalid regular expression: missing /', token);
+          fail('Invalid or unexpected token', token);
+        }
+        if (token.type === 'number') fail('Unexpected number', token);
+        if (token.type === 'string') fail('Unexpected string', token);
+        if (token.type === 'template') fail('Unexpected template string', token);
+        if (token.type === 'identifier') fail(`Unexpected identifier '${token.value}'`, token);
+        if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) fail(`Unexpected token '${token.value}'`, token);
+        fail(`Unexpected token '${token.value}'`, token);
+      }
+
+      function expect(value) {
+        const token = peek();
+        if (!token || token.value !== value || (token.type !== 'punctuator' && token.type !== 'keyword')) unexpected(token);
+        return next();
+      }
+
+      function eat(value) {
+        if (isPunctuator(value) || (peek()?.type === 'keyword' && peek().value === value)) {
+          next();
+          return true;
+        }
+        return false;
+      }
+
+      // ASI: explicit ";", or "}" / end / line break before the next token
+      function consumeSemicolon() {
+        if (eat(';')) return;
+        const token = peek();
+        if (!token || isPunctuator('}') || token.newlineBefore) return;
+        unexpected(token);
+      }
+
+      function finish(node, startToken) {
+        node.start = startToken.start;
+        node.end = Math.max(lastEnd, startToken.end);
+        node.loc = { start: locate(node.start), end: locate(node.end) };
+        return node;
+      }
+
+      /*
+        ----- STATEMENTS -----
+      */
+
+      function parseProgram() {
+        const body = [];
+        while (peek()) body.push(parseStatement(true));
+        return {
+          type: 'Program',
+          sourceType,
+          body,
+          start: 0,
+          end: endOffset,
+          loc: { start: locate(0), end: locate(endOffset) }
+        };
+      }
+
+      function parseStatement(topLevel = false) {
+        const token = peek();
+
+        if (isPunctuator('{')) return parseBlock();
+        if (isPunctuator(';')) {
+          next();
+          return finish({ type: 'EmptyStatement' }, token);
+        }
+
+        if (token.type === 'keyword') {
+          switch (token.value) {
+            case 'var':
+            case 'let':
+            case 'const':
+              return parseVariableStatement();
+            case 'function':
+              return parseFunction('FunctionDeclaration');
+            case 'class':
+              return parseClass('ClassDeclaration');
+            case 'if':
+              return parseIf();
+            case 'for':
+              return parseFor();
+            case 'while':
+              return parseWhile();
+            case 'do':
+              return parseDoWhile();
+            case 'return':
+              return parseReturn();
+            case 'break':
+            case 'continue':
+              return parseJump();
+            case 'throw':
+              return parseThrow();
+            case 'try':
+              return parseTry();
+            case 'switch':
+              return parseSwitch();
+            case 'import':
+              if (topLevel && !isPunctuator('(', peek(1)) && !isPunctuator('.', peek(1))) return parseImport();
+              break;
+            case 'export':
+              if (topLevel) return parseExport();
+              unexpected(token);
+              break;
+            case 'debugger':
+              next();
+              consumeSemicolon();
+              return finish({ type: 'DebuggerStatement' }, token);
+          }
+        }
+
+        // async function nombre() {}
+        if (is('async', token) && peek(1)?.type === 'keyword' && peek(1).value === 'function' && !peek(1).newlineBefore) {
+          return parseFunction('FunctionDeclaration');
+        }
+
+        // etiqueta: sentencia
+        if (token.type === 'identifier' && isPunctuator(':', peek(1))) {
+          const label = parseIdentifier();
+          next();
+          return finish({ type: 'LabeledStatement', label, body: parseStatement() }, token);
+        }
+
+        const expression = parseExpression();
+        consumeSemicolon();
+        return finish({ type: 'ExpressionStatement', expression }, token);
+      }
+
+      function parseBlock() {
+        const start = expect('{');
+        const body = [];
+        while (peek() && !isPunctuator('}')) body.push(parseStatement());
+        expect('}');
+        return finish({ type: 'BlockStatement', body }, start);
+      }
+
+      function parseVariableDeclaration(inFor = false) {
+        const start = next();
+        const kind = start.value;
+        const declarations = [];
+
+        do {
+          const declaratorStart = peek();
+          const id = parseBindingTarget();
+          let init = null;
+
+          if (eat('=')) {
+            init = parseAssignment();
+          } else if (!inFor || !(is('in') || is('of'))) {
+            if (kind === 'const') fail('Missing initializer in const declaration', peek() || declaratorStart);
+            if (id.type !== 'Identifier') fail('Missing initializer in destructuring declaration', peek() || declaratorStart);
+          }
+
+          declarations.push(finish({ type: 'VariableDeclarator', id, init }, declaratorStart));
+        } while (eat(','));
+
+        return finish({ type: 'VariableDeclaration', kind, declarations }, start);
+      }
+
+      function parseVariableStatement() {
+        const start = peek();
+        const declaration = parseVariableDeclaration();
+        consumeSemicolon();
+        return finish(declaration, start);
+      }
+
+      function parseIf() {
+        const start = next();
+        expect('(');
+        const test = parseExpression();
+        expect(')');
+        const consequent = parseStatement();
+        const alternate = eat('else') ? parseStatement() : null;
+        return finish({ type: 'IfStatement', test, consequent, alternate }, start);
+      }
+
+      function parseFor() {
+        const start = next();
+        const isAwait = eat('await');
+        expect('(');
+
+        let init = null;
+        if (!isPunctuator(';')) {
+          allowIn = false;
+          init = is('var') || is('let') || is('const') ? parseVariableDeclaration(true) : parseExpression();
+          allowIn = true;
+
+          if (is('of') || is('in')) {
+            const type = next().value === 'of' ? 'ForOfStatement' : 'ForInStatement';
+            const left = init.type === 'VariableDeclaration' ? init : toPattern(init);
+            const right = type === 'ForOfStatement' ? parseAssignment() : parseExpression();
+            expect(')');
+            const node = { type, left, right, body: parseStatement() };
+            if (type === 'ForOfStatement') node.await = isAwait;
+            return finish(node, start);
+          }
+        }
+
+        expect(';');
+        const test = isPunctuator(';') ? null : parseExpression();
+        expect(';');
+        const update = isPunctuator(')') ? null : parseExpression();
+        expect(')');
+        return finish({ type: 'ForStatement', init, test, update, body: parseStatement() }, start);
+      }
+
+      function parseWhile() {
+        const start = next();
+        expect('(');
+        const test = parseExpression();
+        expect(')');
+        return finish({ type: 'WhileStatement', test, body: parseStatement() }, start);
+      }
+
+      function parseDoWhile() {
+        const start = next();
+        const body = parseStatement();
+        expect('while');
+        expect('(');
+        const test = parseExpression();
+        expect(')');
+        eat(';');
+        return finish({ type: 'DoWhileStatement', body, test }, start);
+      }
+
+      // return/break/continue/throw: a line break ends the statement (restricted production)
+      function parseReturn() {
+        const start = next();
+        const token = peek();
+        const argument = !token || token.newlineBefore || isPunctuator(';') || isPunctuator('}') ? null : parseExpression();
+        consumeSemicolon();
+        return finish({ type: 'ReturnStatement', argument }, start);
+      }
+
+      function parseJump() {
+        const start = next();
+        const token = peek();
+        const label = token?.type === 'identifier' && !token.newlineBefore ? parseIdentifier() : null;
+        consumeSemicolon();
+        return finish({ type: start.value === 'break' ? 'BreakStatement' : 'ContinueStatement', label }, start);
+      }
+
+      function parseThrow() {
+        const start = next();
+        if (!peek() || peek().newlineBefore) fail('Illegal newline after throw', peek() || start);
+        const argument = parseExpression();
+        consumeSemicolon();
+        return finish({ type: 'ThrowStatement', argument }, start);
+      }
+
+      function parseTry() {
+        const start = next();
+        const block = parseBlock();
+        let handler = null;
+        let finalizer = null;
+
+        if (is('catch')) {
+          const catchStart = next();
+          let param = null;
+          if (eat('(')) {
+            param = parseBindingTarget();
+            expect(')');
+          }
+          handler = finish({ type: 'CatchClause', param, body: parseBlock() }, catchStart);
+        }
+        if (eat('finally')) finalizer = parseBlock();
+        if (!handler && !finalizer) fail('Missing catch or finally after try', peek() || start);
+
+        return finish({ type: 'TryStatement', block, handler, finalizer }, start);
+      }
+
+      function parseSwitch() {
+        const start = next();
+        expect('(');
+        const discriminant = parseExpression();
+        expect(')');
+        expect('{');
+
+        const cases = [];
+        while (peek() && !isPunctuator('}')) {
+          const caseStart = peek();
+          let test = null;
+          if (eat('case')) test = parseExpression();
+          else expect('default');
+          expect(':');
+
+          const consequent = [];
+          while (peek() && !is('case') && !is('default') && !isPunctuator('}')) consequent.push(parseStatement());
+          cases.push(finish({ type: 'SwitchCase', test, consequent }, caseStart));
+        }
+
+        expect('}');
+        return finish({ type: 'SwitchStatement', discriminant, cases }, start);
+      }
+
+      function parseModuleSource() {
+        const token = peek();
+        if (token?.type !== 'string') unexpected(token);
+        return parseLiteral();
+      }
+
+      function parseImport() {
+        const start = next();
+        const specifiers = [];
+
+        if (peek()?.type !== 'string') {
+          if (peek()?.type === 'identifier') {
+            const local = parseIdentifier();
+            specifiers.push(finish({ type: 'ImportDefaultSpecifier', local }, local));
+            eat(',');
+          }
+          if (isPunctuator('*')) {
+            const namespaceStart = next();
+            if (!is('as')) unexpected();
+            next();
+            specifiers.push(finish({ type: 'ImportNamespaceSpecifier', local: parseIdentifier() }, namespaceStart));
+          } else if (eat('{')) {
+            while (!isPunctuator('}')) {
+              const imported = parseIdentifier(true);
+              const local = is('as') ? (next(), parseIdentifier()) : imported;
+              specifiers.push(finish({ type: 'ImportSpecifier', imported, local }, imported));
+              if (!eat(',')) break;
+            }
+            expect('}');
+          }
+          if (!is('from')) unexpected();
+          next();
+        }
+
+        const sourceNode = parseModuleSource();
+        consumeSemicolon();
+        return finish({ type: 'ImportDeclaration', specifiers, source: sourceNode }, start);
+      }
+
+      function parseExport() {
+        const start = next();
+
+        if (eat('default')) {
+          const token = peek();
+          const declaration = is('function') || (is('async') && is('function', peek(1))) ? parseFunction('FunctionDeclaration', true) :
+                              is('class') ? parseClass('ClassDeclaration', true) :
+                              parseAssignment();
+          if (declaration.type !== 'FunctionDeclaration' && declaration.type !== 'ClassDeclaration') consumeSemicolon();
+          return finish({ type: 'ExportDefaultDeclaration', declaration }, start || token);
+        }
+
+        if (isPunctuator('*')) {
+          next();
+          const exported = is('as') ? (next(), parseIdentifier(true)) : null;
+          if (!is('from')) unexpected();
+          next();
+          const sourceNode = parseModuleSource();
+          consumeSemicolon();
+          return finish({ type: 'ExportAllDeclaration', exported, source: sourceNode }, start);
+        }
+
+        if (eat('{')) {
+          const specifiers = [];
+          while (!isPunctuator('}')) {
+            const local = parseIdentifier(true);
+            const exported = is('as') ? (next(), parseIdentifier(true)) : local;
+            specifiers.push(finish({ type: 'ExportSpecifier', local, exported }, local));
+            if (!eat(',')) break;
+          }
+          expect('}');
+          const sourceNode = is('from') ? (next(), parseModuleSource()) : null;
+          consumeSemicolon();
+          return finish({ type: 'ExportNamedDeclaration', declaration: null, specifiers, source: sourceNode }, start);
+        }
+
+        const declaration = parseStatement();
+        if (!['VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type)) {
+          fail('Unexpected token \'export\'', start);
+        }
+        return finish({ type: 'ExportNamedDeclaration', declaration, specifiers: [], source: null }, start);
+      }
+
+      /*
+        ----- FUNCTIONS & CLASSES -----
+      */
+
+      function parseFunction(type, anonymousAllowed = false) {
+        const start = peek();
+        const isAsync = is('async') ? (next(), true) : false;
+        expect('function');
+        const generator = eat('*');
+
+        let id = null;
+        if (peek()?.type === 'identifier' || (peek()?.type === 'keyword' && ['yield', 'await'].includes(peek().value))) {
+          id = parseIdentifier(true);
+        } else if (type === 'FunctionDeclaration' && !anonymousAllowed) {
+          unexpected();
+        }
+
+        const { params, body } = parseFunctionRest();
+        return finish({ type, id, params, body, async: isAsync, generator, expression: false }, start);
+      }
+
+      function parseFunctionRest() {
+        expect('(');
+        const params = [];
+        while (!isPunctuator(')')) {
+          params.push(parseBindingElement());
+          if (!isPunctuator(')')) expect(',');
+        }
+        expect(')');
+        return { params, body: parseBlock() };
+      }
+
+      function parseClass(type, anonymousAllowed = false) {
+        const start = expect('class');
+        let id = null;
+        if (peek()?.type === 'identifier') id = parseIdentifier();
+        else if (type === 'ClassDeclaration' && !anonymousAllowed) unexpected();
+
+        const superClass = eat('extends') ? parseUnaryOrHigher() : null;
+        const bodyStart = expect('{');
+        const members = [];
+
+        while (peek() && !isPunctuator('}')) {
+          if (eat(';')) continue;
+          members.push(parseClassMember());
+        }
+
+        expect('}');
+        const body = finish({ type: 'ClassBody', body: members }, bodyStart);
+        return finish({ type, id, superClass, body }, start);
+      }
+
+      // Contextual modifiers: they only are when not followed by "(", "=", ";" or "}"
+      function isModifier(name) {
+        const following = peek(1);
+        return is(name) && following && !['(', '=', ';', '}'].includes(following.value) && !following.newlineBefore;
+      }
+
+      function parseClassMember() {
+        const start = peek();
+        const isStatic = isModifier('static') ? (next(), true) : false;
+
+        if (isStatic && isPunctuator('{')) {
+          return finish({ type: 'StaticBlock', body: parseBlock().body }, start);
+        }
+
+        const isAsync = isModifier('async') ? (next(), true) : false;
+        const generator = eat('*');
+        let kind = 'method';
+        if (!isAsync && !generator && (isModifier('get') || isModifier('set'))) kind = next().value;
+
+        const { key, computed } = parsePropertyKey();
+
+        if (isPunctuator('(')) {
+          const valueStart = peek();
+          const { params, body } = parseFunctionRest();
+          const value = finish({ type: 'FunctionExpression', id: null, params, body, async: isAsync, generator, expression: false }, valueStart);
+          const isConstructor = !isStatic && !computed && key.type === 'Identifier' && key.name === 'constructor';
+          return finish({ type: 'MethodDefinition', key, computed, static: isStatic, kind: isConstructor ? 'constructor' : kind, value }, start);
+        }
+
+        const value = eat('=') ? parseAssignment() : null;
+        consumeSemicolon();
+        return finish({ type: 'PropertyDefinition', key, computed, static: isStatic, value }, start);
+      }
+
+      function parsePropertyKey() {
+        const token = peek();
+
+        if (eat('[')) {
+          const key = parseAssignment();
+          expect(']');
+          return { key, computed: true };
+        }
+        if (isPunctuator('#')) {
+          next();
+          const name = next();
+          return { key: finish({ type: 'PrivateIdentifier', name: name.value }, token), computed: false };
+        }
+        if (token?.type === 'string' || token?.type === 'number') return { key: parseLiteral(), computed: false };
+        if (token?.type === 'identifier' || token?.type === 'keyword') return { key: parseIdentifier(true), computed: false };
+
+        unexpected(token);
+      }
+
+      /*
+        ----- EXPRESSIONS -----
+      */
+
+      function parseExpression() {
+        const start = peek();
+        const expression = parseAssignment();
+        if (!isPunctuator(',')) return expression;
+
+        const expressions = [expression];
+        while (eat(',')) expressions.push(parseAssignment());
+        return finish({ type: 'SequenceExpression', expressions }, start);
+      }
+
+      // Does an arrow function start here? "(…) =>", "x =>", "async x =>", "async (…) =>"
+      function isArrowAhead() {
+        let offset = 0;
+        if (is('async') && !peek(1)?.newlineBefore && (peek(1)?.type === 'identifier' || isPunctuator('(', peek(1)))) offset = 1;
+
+        const token = peek(offset);
+        if (token?.type === 'identifier') return isPunctuator('=>', peek(offset + 1));
+        if (!isPunctuator('(', token)) return false;
+
+        const close = self.JSTokenizer.findClosing(tokens, position + offset);
+        return close !== -1 && isPunctuator('=>', tokens[close + 1]) && !tokens[close + 1].newlineBefore;
+      }
+
+      function parseArrow() {
+        const start = peek();
+        const isAsync = is('async') && !isPunctuator('=>', peek(1)) ? (next(), true) : false;
+        const params = [];
+
+        if (isPunctuator('(')) {
+          next();
+          while (!isPunctuator(')')) {
+            params.push(parseBindingElement());
+            if (!isPunctuator(')')) expect(',');
+          }
+          expect(')');
+        } else {
+          params.push(parseIdentifier());
+        }
+
+        expect('=>');
+        const expression = !isPunctuator('{');
+        const previousAllowIn = allowIn;
+        allowIn = true;
+        const body = expression ? parseAssignment() : parseBlock();
+        allowIn = previousAllowIn;
+
+        return finish({ type: 'ArrowFunctionExpression', id: null, params, body, async: isAsync, generator: false, expression }, start);
+      }
+
+      function parseAssignment() {
+        if (isArrowAhead()) return parseArrow();
+
+        const start = peek();
+        if (is('yield')) {
+          next();
+          const delegate = eat('*');
+          const token = peek();
+          const ends = !token || token.newlineBefore || [')', ']', '}', ',', ';', ':'].includes(token.value);
+          return finish({ type: 'YieldExpression', argument: ends ? null : parseAssignment(), delegate }, start);
+        }
+
+        const left = parseConditional();
+        const operator = peek();
+
+        if (operator?.type === 'punctuator' && ASSIGNMENT_OPERATORS.has(operator.value)) {
+          const target = operator.value === '=' ? toPattern(left) : left;
+          if (operator.value !== '=' && !['Identifier', 'MemberExpression'].includes(left.type)) {
+            fail('Invalid left-hand side in assignment', start);
+          }
+          next();
+          return finish({ type: 'AssignmentExpression', operator: operator.value, left: target, right: parseAssignment() }, start);
+        }
+
+        return left;
+      }
+
+      function parseConditional() {
+        const start = peek();
+        const test = parseBinary(0);
+        if (!eat('?')) return test;
+
+        const previousAllowIn = allowIn;
+        allowIn = true;
+        const consequent = parseAssignment();
+        allowIn = previousAllowIn;
+        expect(':');
+        const alternate = parseAssignment();
+        return finish({ type: 'ConditionalExpression', test, consequent, alternate }, start);
+      }
+
+      function binaryOperator() {
+        const token = peek();
+        if (!token) return null;
+        if (token.type === 'punctuator' && BINARY_PRECEDENCE[token.value]) return token.value;
+        if (token.type === 'keyword' && token.value === 'instanceof') return token.value;
+        if (token.type === 'keyword' && token.value === 'in' && allowIn) return token.value;
+        return null;
+      }
+
+      // Precedence climbing; ** associates to the right
+      function parseBinary(minPrecedence) {
+        const start = peek();
+        let left = parseUnaryOrHigher();
+
+        for (;;) {
+          const operator = binaryOperator();
+          const precedence = operator ? BINARY_PRECEDENCE[operator] : 0;
+          if (!operator || precedence <= minPrecedence) return left;
+
+          next();
+          const right = parseBinary(operator === '**' ? precedence - 1 : precedence);
+          left = finish({
+            type: LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression',
+            operator,
+            left,
+            right
+          }, start);
+        }
+      }
+
+      function parseUnaryOrHigher() {
+        const token = peek();
+        if (!token) unexpected(token);
+
+        if ((token.type === 'punctuator' || token.type === 'keyword') && UNARY_OPERATORS.has(token.value)) {
+          next();
+          const argument = parseUnaryOrHigher();
+          if (isPunctuator('**')) fail('Unary operator used immediately before exponentiation expression. Parenthesis must be used to disambiguate operator precedence', peek());
+          return finish({ type: 'UnaryExpression', operator: token.value, prefix: true, argument }, token);
+        }
+
+        if (isPunctuator('++') || isPunctuator('--')) {
+          next();
+          const argument = parseUnaryOrHigher();
+          checkSimpleTarget(argument, token, 'prefix');
+          return finish({ type: 'UpdateExpression', operator: token.value, prefix: true, argument }, token);
+        }
+
+        if (is('await') && token.type === 'keyword') {
+          next();
+          return finish({ type: 'AwaitExpression', argument: parseUnaryOrHigher() }, token);
+        }
+
+        const expression = parseCallOrMember();
+
+        // Postfix ++ cannot follow a line break (ASI)
+        if ((isPunctuator('++') || isPunctuator('--')) && !peek().newlineBefore) {
+          const operator = next();
+          checkSimpleTarget(expression, token, 'postfix');
+          return finish({ type: 'UpdateExpression', operator: operator.value, prefix: false, argument: expression }, token);
+        }
+
+        return expression;
+      }
+
+      function checkSimpleTarget(node, token, position) {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+          fail(`Invalid left-hand side expression in ${position} operation`, token);
+        }
+      }
+
+      function parseArguments() {
+        expect('(');
+        const args = [];
+        while (!isPunctuator(')')) {
+          args.push(isPunctuator('...') ? parseSpread() : parseAssignment());
+          if (!isPunctuator(')')) expect(',');
+        }
+        expect(')');
+        return args;
+      }
+
+      function parseCallOrMember() {
+        const start = peek();
+        let expression;
+
+        if (is('new') && peek().type === 'keyword') {
+          next();
+          if (isPunctuator('.')) {
+            next();
+            const property = parseIdentifier(true);
+            expression = finish({ type: 'MetaProperty', meta: { type: 'Identifier', name: 'new' }, property }, start);
+          } else {
+            const callee = parseMemberOnly();
+            const args = isPunctuator('(') ? parseArguments() : [];
+            expression = finish({ type: 'NewExpression', callee, arguments: args }, start);
+          }
+        } else {
+          expression = parsePrimary();
+        }
+
+        return parseSuffixes(expression, start, true);
+      }
+
+      // Callee of new: members without calls ("new a.b.C()" calls C, not b)
+      function parseMemberOnly() {
+        const start = peek();
+        const base = is('new') && peek().type === 'keyword' ? parseCallOrMember() : parsePrimary();
+        return parseSuffixes(base, start, false);
+      }
+
+      function parseSuffixes(expression, start, allowCalls) {
+        for (;;) {
+          if (isPunctuator('.')) {
+            next();
+            const property = isPunctuator('#') ? parsePropertyKey().key : parseIdentifier(true);
+            expression = finish({ type: 'MemberExpression', object: expression, property, computed: false, optional: false }, start);
+          } else if (isPunctuator('?.')) {
+            next();
+            if (isPunctuator('(')) {
+              expression = finish({ type: 'CallExpression', callee: expression, arguments: parseArguments(), optional: true }, start);
+            } else if (eat('[')) {
+              const property = parseExpression();
+              expect(']');
+              expression = finish({ type: 'MemberExpression', object: expression, property, computed: true, optional: true }, start);
+            } else {
+              const property = parseIdentifier(true);
+              expression = finish({ type: 'MemberExpression', object: expression, property, computed: false, optional: true }, start);
+            }
+          } else if (isPunctuator('[')) {
+            next();
+            const previousAllowIn = allowIn;
+            allowIn = true;
+            const property = parseExpression();
+            allowIn = previousAllowIn;
+            expect(']');
+            expression = finish({ type: 'MemberExpression', object: expression, property, computed: true, optional: false }, start);
+          } else if (allowCalls && isPunctuator('(')) {
+            expression = finish({ type: 'CallExpression', callee: expression, arguments: parseArguments(), optional: false }, start);
+          } else if (peek()?.type === 'template') {
+            const quasi = parseTemplate();
+            expression = finish({ type: 'TaggedTemplateExpression', tag: expression, quasi }, start);
+          } else {
+            return expression;
+          }
+        }
+      }
+
+      function parseSpread() {
+        const start = expect('...');
+        return finish({ type: 'SpreadElement', argument: parseAssignment() }, start);
+      }
+
+      function parsePrimary() {
+        const token = peek();
+        if (!token) unexpected(token);
+
+        switch (token.type) {
+          case 'number':
+          case 'string':
+          case 'regex':
+            return parseLiteral();
+          case 'template':
+            return parseTemplate();
+          case 'identifier':
+            if (is('async') && is('function', peek(1)) && !peek(1).newlineBefore) return parseFunction('FunctionExpression');
+            return parseIdentifier();
+          case 'keyword':
+            switch (token.value) {
+              case 'true':
+              case 'false':
+              case 'null':
+                return parseLiteral();
+              case 'this':
+                next();
+                return finish({ type: 'ThisExpression' }, token);
+              case 'super':
+                next();
+                return finish({ type: 'Super' }, token);
+              case 'function':
+                return parseFunction('FunctionExpression');
+              case 'class':
+                return parseClass('ClassExpression');
+              case 'import':
+                next();
+                if (eat('.')) return finish({ type: 'MetaProperty', meta: { type: 'Identifier', name: 'import' }, property: parseIdentifier(true) }, token);
+                expect('(');
+                const importSource = parseAssignment();
+                expect(')');
+                return finish({ type: 'ImportExpression', source: importSource }, token);
+              case 'let':
+              case 'yield':
+              case 'await':
+                // Outside their contexts they are ordinary identifiers
+                return parseIdentifier(true);
+            }
+            break;
+          case 'punctuator':
+            if (token.value === '(') return parseParenthesized();
+            if (token.value === '[') return parseArrayLiteral();
+            if (token.value === '{') return parseObjectLiteral();
+            if (token.value === '#') return parsePropertyKey().key;
+            break;
+        }
+
+        unexpected(token);
+      }
+
+      function parseParenthesized() {
+        const start = next();
+        const previousAllowIn = allowIn;
+        allowIn = true;
+        const expression = parseExpression();
+        allowIn = previousAllowIn;
+        expect(')');
+
+        // (a + b) keeps its inner range, but is flagged for the lint rules
+        expression.parenthesized = true;
+        expression.parenStart = start.start;
+        expression.parenEnd = lastEnd;
+        return expression;
+      }
+
+      function parseArrayLiteral() {
+        const start = next();
+        const elements = [];
+
+        while (!isPunctuator(']')) {
+          if (isPunctuator(',')) {
+            next();
+            elements.push(null);
+            continue;
+          }
+          elements.push(isPunctuator('...') ? parseSpread() : parseAssignment());
+          if (!isPunctuator(']')) expect(',');
+        }
+
+        expect(']');
+        return finish({ type: 'ArrayExpression', elements }, start);
+      }
+
+      function parseObjectLiteral() {
+        const start = next();
+        const properties = [];
+
+        while (!isPunctuator('}')) {
+          properties.push(isPunctuator('...') ? parseSpread() : parseObjectProperty());
+          if (!isPunctuator('}')) expect(',');
+        }
+
+        expect('}');
+        return finish({ type: 'ObjectExpression', properties }, start);
+      }
+
+      function parseObjectProperty() {
+        const start = peek();
+        const isAsync = isModifier('async') && !isPunctuator(',', peek(1)) && !isPunctuator(':', peek(1)) ? (next(), true) : false;
+        const generator = eat('*');
+        let kind = 'init';
+        if (!isAsync && !generator && (isModifier('get') || isModifier('set')) && !isPunctuator(':', peek(1)) && !isPunctuator(',', peek(1))) {
+          kind = next().value;
+        }
+
+        const { key, computed } = parsePropertyKey();
+
+        if (isPunctuator('(')) {
+          const valueStart = peek();
+          const { params, body } = parseFunctionRest();
+          const value = finish({ type: 'FunctionExpression', id: null, params, body, async: isAsync, generator, expression: false }, valueStart);
+          return finish({ type: 'Property', key, value, kind, computed, method: kind === 'init', shorthand: false }, start);
+        }
+
+        if (eat(':')) {
+          return finish({ type: 'Property', key, value: parseAssignment(), kind: 'init', computed, method: false, shorthand: false }, start);
+        }
+
+        // { a } or { a = 1 } (the latter is only valid as a destructuring pattern)
+        if (key.type !== 'Identifier' || computed) unexpected();
+        let value = key;
+        if (isPunctuator('=')) {
+          next();
+          value = finish({ type: 'AssignmentPattern', left: key, right: parseAssignment() }, start);
+        }
+        return finish({ type: 'Property', key, value, kind: 'init', computed: false, method: false, shorthand: true }, start);
+      }
+
+      function parseTemplate() {
+        const token = next();
+        if (token.unterminated) fail('Unterminated template literal', token);
+
+        const quasis = [];
+        const expressions = [];
+        let cursor = token.start + 1;
+
+        const addQuasi = (end, tail) => {
+          const raw = text.slice(cursor, end);
+          quasis.push({
+            type: 'TemplateElement',
+            value: { raw, cooked: unescape(raw) },
+            tail,
+            start: cursor,
+            end,
+            loc: { start: locate(cursor), end: locate(end) }
+          });
+        };
+
+        token.expressions.forEach(range => {
+          addQuasi(range.start - 2, false);
+          const inner = tokensOf(range.start, range.end);
+          if (inner.length === 0) fail('Unexpected token \'}\'', { start: range.end });
+          const stream = createStream(inner, range.end);
+          expressions.push(stream.parseEmbedded());
+          cursor = range.end + 1;
+        });
+
+        addQuasi(token.end - 1, true);
+        return finish({ type: 'TemplateLiteral', quasis, expressions }, token);
+      }
+
+      function parseLiteral() {
+        const token = next();
+        const node = { type: 'Literal', raw: token.value };
+
+        switch (token.type) {
+          case 'number':
+            node.value = numberValue(token.value);
+            if (token.value.endsWith('n')) node.bigint = token.value.slice(0, -1).replace(/_/g, '');
+            break;
+          case 'string':
+            if (token.unterminated) fail('Invalid or unexpected token', token);
+            node.value = unescape(token.value.slice(1, -1));
+            break;
+          case 'regex': {
+            if (token.unterminated) fail('Invalid regular expression: missing /', token);
+            const close = token.value.lastIndexOf('/');
+            node.regex = { pattern: token.value.slice(1, close), flags: token.value.slice(close + 1) };
+            node.value = null;
+            break;
+          }
+          default:
+            node.value = token.value === 'true' ? true : token.value === 'false' ? false : null;
+        }
+
+        return finish(node, token);
+      }
+
+      function parseIdentifier(allowKeywords = false) {
+        const token = peek();
+        if (!token || !(token.type === 'identifier' || (allowKeywords && token.type === 'keyword'))) unexpected(token);
+        next();
+        return finish({ type: 'Identifier', name: token.value }, token);
+      }
+
+      /*
+        ----- PATTERNS -----
+      */
+
+      function parseBindingTarget() {
+        const token = peek();
+        if (isPunctuator('[')) return toPattern(parseArrayLiteral());
+        if (isPunctuator('{')) return toPattern(parseObjectLiteral());
+        if (token?.type === 'keyword' && ['yield', 'await', 'let'].includes(token.value)) return parseIdentifier(true);
+        return parseIdentifier();
+      }
+
+      // Parameter or element: pattern, with a default value or "...rest"
+      function parseBindingElement() {
+        const start = peek();
+        if (eat('...')) return finish({ type: 'RestElement', argument: parseBindingTarget() }, start);
+
+        const target = parseBindingTarget();
+        if (!eat('=')) return target;
+        return finish({ type: 'AssignmentPattern', left: target, right: parseAssignment() }, start);
+      }
+
+      function toPattern(node) {
+        switch (node.type) {
+          case 'Identifier':
+          case 'MemberExpression':
+          case 'ObjectPattern':
+          case 'ArrayPattern':
+          case 'AssignmentPattern':
+          case 'RestElement':
+            return node;
+          case 'ArrayExpression':
+            return {
+              ...node,
+              type: 'ArrayPattern',
+              elements: node.elements.map(element => element && (element.type === 'SpreadElement' ?
+                { ...element, type: 'RestElement', argument: toPattern(element.argument) } :
+                toPattern(element)))
+            };
+          case 'ObjectExpression':
+            return {
+              ...node,
+              type: 'ObjectPattern',
+              properties: node.properties.map(property => property.type === 'SpreadElement' ?
+                { ...property, type: 'RestElement', argument: toPattern(property.argument) } :
+                { ...property, value: toPattern(property.value) })
+            };
+          case 'AssignmentExpression':
+            if (node.operator === '=') return { ...node, type: 'AssignmentPattern', left: toPattern(node.left) };
+            break;
+        }
+
+        fail(node.type === 'ArrayExpression' || node.type === 'ObjectExpression' ?
+          'Invalid destructuring assignment target' :
+          'Invalid left-hand side in assignment', { start: node.start });
+      }
+
+      return {
+        parseProgram,
+        parseEmbedded() {
+          const expression = parseExpression();
+          if (peek()) unexpected();
+          return expression;
+        }
+      };
+    }
+
+    return createStream(tokensOf(0, text.length), text.length).parseProgram();
+  }
+
+  /*
+    ==========================================
+    JS PARSER API
+    ==========================================
+  */
+
+  self.JSParser = {
+    parse,
+
+    /**
+     * Visits every node depth-first. `visitor(node, ancestors)` may return
+     * false to skip the node's children. Keys are walked in source order
+     * because the parser creates them in that order.
+     */
+    walk(root, visitor) {
+      const ancestors = [];
+
+      (function visit(node) {
+        if (!node || typeof node.type !== 'string') return;
+        if (visitor(node, ancestors) === false) return;
+
+        ancestors.push(node);
+        Object.keys(node).forEach(key => {
+          if (key === 'loc') return;
+          const value = node[key];
+          if (Array.isArray(value)) value.forEach(visit);
+          else if (value && typeof value === 'object') visit(value);
+        });
+        ancestors.pop();
+      })(root);
+    }
+  };
+
+})();
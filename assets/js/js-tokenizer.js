@@ -0,0 +1,327 @@
+/*
+  ==========================================
+  JS TOKENIZER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Tolerant lexer for full JavaScript source: the student's code as typed,
+  half-finished lines included. It never throws; anything it cannot read
+  becomes an 'invalid' token, an unclosed string or comment is flagged
+  `unterminated`. Static analysis (Grader metrics) works on its tokens.
+
+  Archivo: assets/js/js-tokenizer.js
+
+  "Any fool can write code that a computer can understand" - Martin Fowler
+
+  Architecture:
+  1. Trivia (whitespace, line terminators, // and block comments)
+  2. Literals (numbers in every base, strings, templates with ${} ranges, regex)
+  3. Names & Punctuators (keywords vs identifiers, longest-match operators)
+  4. Positions (start/end offsets, 1-based line and column, newlineBefore)
+
+  Token: { type, value, start, end, line, column, newlineBefore }
+  type: identifier | keyword | number | string | template | regex |
+        punctuator | comment | invalid
+
+  Attaches to `self` so a worker can importScripts() it as well.
+*/
+
+(() => {
+  'use strict';
+
+  /*
+    ==========================================
+    LEXICAL GRAMMAR
+    ==========================================
+  */
+
+  const KEYWORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'instanceof', 'let', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield'
+  ]);
+
+  // Longest first so ">>>=" wins over ">>>", ">>" and ">"
+  const PUNCTUATORS = [
+    '>>>=',
+    '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^',
+    '!', '~', '?', ':', '=', '.', '@', '#'
+  ];
+
+  // After these words "/" opens a regex and is not a division
+  const REGEX_AFTER_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do',
+    'else', 'yield', 'await'
+  ]);
+
+  const IDENTIFIER = /[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/uy;
+  const NUMBER = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?/y;
+  const LINE_TERMINATOR = /\r\n?|[\n\u2028\u2029]/g;
+
+  /*
+    ==========================================
+    SCANNER
+    ==========================================
+  */
+
+  function tokenize(source, { comments = true } = {}) {
+    const text = String(source ?? '');
+    const tokens = [];
+    const lineStarts = [0];
+    let index = 0;
+    let newlineBefore = false;
+    let previous = null;
+
+    for (const match of text.matchAll(LINE_TERMINATOR)) {
+      lineStarts.push(match.index + match[0].length);
+    }
+
+    function locate(offset) {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    }
+
+    function push(type, start, end, extra = {}) {
+      const token = { type, value: text.slice(start, end), start, end, ...locate(start), newlineBefore, ...extra };
+      newlineBefore = false;
+
+      if (type === 'comment') {
+        if (comments) tokens.push(token);
+        // A multi-line comment counts as a line break for ASI
+        if (/[\n\r\u2028\u2029]/.test(token.value)) newlineBefore = true;
+        return;
+      }
+
+      tokens.push(token);
+      previous = token;
+    }
+
+    // The eternal ambiguity of "/": division after a value, regex anywhere else
+    function regexAllowed() {
+      if (!previous) return true;
+      if (previous.type === 'keyword') return REGEX_AFTER_KEYWORDS.has(previous.value);
+      if (previous.type === 'punctuator') return ![')', ']', '}', '++', '--'].includes(previous.value);
+      return false;
+    }
+
+    function scanQuoted(quote, start) {
+      let position = start + 1;
+      while (position < text.length) {
+        const char = text[position];
+        if (char === '\\') {
+          position += 2;
+          continue;
+        }
+        if (char === quote) return { end: position + 1, unterminated: false };
+        if (char === '\n' || char === '\r') break;
+        position++;
+      }
+      return { end: Math.min(position, text.length), unterminated: true };
+    }
+
+    // Templates: keeps the ranges of each ${…} for whoever wants to analyze them separately
+    function scanTemplate(start) {
+      const expressions = [];
+      let position = start + 1;
+
+      while (position < text.length) {
+        const char = text[position];
+        if (char === '\\') {
+          position += 2;
+          continue;
+        }
+        if (char === '`') return { end: position + 1, unterminated: false, expressions };
+        if (char === '$' && text[position + 1] === '{') {
+          const expressionStart = position + 2;
+          position = skipBalanced(expressionStart);
+          expressions.push({ start: expressionStart, end: Math.min(position, text.length) });
+          position++;
+          continue;
+        }
+        position++;
+      }
+
+      return { end: text.length, unterminated: true, expressions };
+    }
+
+    // Advances to the "}" that closes a ${, skipping nested strings, templates and comments
+    function skipBalanced(position) {
+      let depth = 0;
+      while (position < text.length) {
+        const char = text[position];
+        if (char === '"' || char === "'") {
+          position = scanQuoted(char, position).end;
+          continue;
+        }
+        if (char === '`') {
+          position = scanTemplate(position).end;
+          continue;
+        }
+        if (char === '/' && text[position + 1] === '/') {
+          const newline = text.indexOf('\n', position);
+          position = newline === -1 ? text.length : newline;
+          continue;
+        }
+        if (char === '/' && text[position + 1] === '*') {
+          const close = text.indexOf('*/', position + 2);
+          position = close === -1 ? text.length : close + 2;
+          continue;
+        }
+        if (char === '{') depth++;
+        if (char === '}') {
+          if (depth === 0) return position;
+          depth--;
+        }
+        position++;
+      }
+      return position;
+    }
+
+    function scanRegex(start) {
+      let position = start + 1;
+      let inClass = false;
+
+      while (position < text.length) {
+        const char = text[position];
+        if (char === '\n' || char === '\r') break;
+        if (char === '\\') {
+          position += 2;
+          continue;
+        }
+        if (char === '[') inClass = true;
+        if (char === ']') inClass = false;
+        if (char === '/' && !inClass) {
+          position++;
+          while (position < text.length && /[a-z]/i.test(text[position])) position++;
+          return { end: position, unterminated: false };
+        }
+        position++;
+      }
+
+      return { end: position, unterminated: true };
+    }
+
+    while (index < text.length) {
+      const char = text[index];
+
+      if (char === '\n' || char === '\r' || char === '\u2028' || char === '\u2029') {
+        newlineBefore = true;
+        index++;
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      if (char === '/' && text[index + 1] === '/') {
+        const newline = text.slice(index).search(/[\n\r\u2028\u2029]/);
+        const end = newline === -1 ? text.length : index + newline;
+        push('comment', index, end);
+        index = end;
+        continue;
+      }
+
+      if (char === '/' && text[index + 1] === '*') {
+        const close = text.indexOf('*/', index + 2);
+        const end = close === -1 ? text.length : close + 2;
+        push('comment', index, end, close === -1 ? { unterminated: true } : {});
+        index = end;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const { end, unterminated } = scanQuoted(char, index);
+        push('string', index, end, unterminated ? { unterminated } : {});
+        index = end;
+        continue;
+      }
+
+      if (char === '`') {
+        const { end, unterminated, expressions } = scanTemplate(index);
+        push('template', index, end, unterminated ? { unterminated, expressions } : { expressions });
+        index = end;
+        continue;
+      }
+
+      if (char === '/' && regexAllowed()) {
+        const { end, unterminated } = scanRegex(index);
+        push('regex', index, end, unterminated ? { unterminated } : {});
+        index = end;
+        continue;
+      }
+
+      NUMBER.lastIndex = index;
+      // "?.5" is a ternary with .5, not optional chaining: the digits are read here first
+      if (/[\d.]/.test(char) && NUMBER.test(text) && NUMBER.lastIndex > index && text.slice(index, NUMBER.lastIndex) !== '.') {
+        push('number', index, NUMBER.lastIndex);
+        index = NUMBER.lastIndex;
+        continue;
+      }
+
+      IDENTIFIER.lastIndex = index;
+      if (IDENTIFIER.test(text)) {
+        const end = IDENTIFIER.lastIndex;
+        const word = text.slice(index, end);
+        // In "obj.if" or "obj?.new" the word is a property name, not a reserved word
+        const isProperty = previous?.type === 'punctuator' && (previous.value === '.' || previous.value === '?.');
+        push(KEYWORDS.has(word) && !isProperty ? 'keyword' : 'identifier', index, end);
+        index = end;
+        continue;
+      }
+
+      const rest = text.slice(index, index + 4);
+      const punctuator = PUNCTUATORS.find(candidate => rest.startsWith(candidate) &&
+        !(candidate === '?.' && /\d/.test(text[index + 2] || '')));
+      if (punctuator) {
+        push('punctuator', index, index + punctuator.length);
+        index += punctuator.length;
+        continue;
+      }
+
+      push('invalid', index, index + 1);
+      index++;
+    }
+
+    return tokens;
+  }
+
+  /*
+    ==========================================
+    JS TOKENIZER API
+    ==========================================
+  */
+
+  self.JSTokenizer = {
+    KEYWORDS,
+    tokenize,
+
+    // Index of the token that closes the one opened at `openIndex` ( "(" "[" "{" ), or -1
+    findClosing(tokens, openIndex) {
+      const pairs = { '(': ')', '[': ']', '{': '}' };
+      const open = tokens[openIndex]?.value;
+      const close = pairs[open];
+      if (!close) return -1;
+
+      let depth = 0;
+      for (let index = openIndex; index < tokens.length; index++) {
+        const token = tokens[index];
+        if (token.type !== 'punctuator') continue;
+        if (token.value === open) depth++;
+        if (token.value === close && --depth === 0) return index;
+      }
+      return -1;
+    }
+  };
+
+})();
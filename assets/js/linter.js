@@ -0,0 +1,524 @@
+/*
+  ==========================================
+  LINTER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Pluggable lint rule engine over the JSParser AST. Each rule targets one
+  bug class the academy teaches and reports diagnostics with a severity,
+  a source range, a suggestion for the student and, where the rewrite is
+  safe, a machine-applicable fix. Components.detectCodePatterns runs it
+  and showCodeAnalysis renders the diagnostics next to the code.
+
+  Archivo: assets/js/linter.js
+
+  "Program testing can be used to show the presence of bugs, but never to show their absence" - Edsger W. Dijkstra
+
+  Architecture:
+  1. Rule Registry (registerRule → { id, severity, bugClass, create(context) })
+  2. Lint Pass (parse → one AST walk → visitors of every rule)
+  3. Diagnostics (location, suggestion, fix, sorted by position)
+  4. Built-in Rules (comma in numbers, mixed precedence, magic numbers, var hoisting, float money)
+
+  Rule visitors receive (node, ancestors); context.report({ node, message,
+  suggestion, fix, severity }) records a diagnostic. Parse errors surface
+  as a single 'parse-error' diagnostic instead of throwing.
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof self.JSParser === 'undefined') {
+    console.warn('🧹 Linter: JSParser no disponible. El análisis de código no funcionará.');
+    return;
+  }
+
+  const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+  // 0, 1, 2 and 100 (percentages) read on their own; same as in Grader
+  const SELF_EXPLANATORY_NUMBERS = new Set([0, 1, 2, 100]);
+
+  const MONEY_NAME = /price|precio|amount|monto|importe|total|balance|saldo|cost|coste|costo|pago|payment|salar|sueldo|fee|tarifa|tax|impuesto|iva|money|dinero|cash|capital|principal|deposit|dep[oó]sito|dollar|d[oó]lar|euro|cents?|c[eé]ntimo/i;
+
+  const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+  const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+  /*
+    ==========================================
+    AST HELPERS
+    ==========================================
+  */
+
+  const isNumber = node => node?.type === 'Literal' && typeof node.value === 'number' && !node.bigint;
+
+  // A literal after a comma that looks like a figure's thousands group: "000", "500", "234.50"
+  const isThousandsGroup = node => isNumber(node) && /^\d{3}(\.\d+)?$/.test(node.raw);
+
+  const isOperation = node => (node?.type === 'BinaryExpression' || node?.type === 'LogicalExpression') && !node.parenthesized;
+
+  // The number right before the comma: in "x = 60,000" it is the assignment's 60, in "(12 + 2,000)" the 2
+  function trailingNumber(node) {
+    if (isNumber(node)) return node;
+    if (node?.type === 'AssignmentExpression' && !node.right.parenthesized) return trailingNumber(node.right);
+    if (isOperation(node)) return trailingNumber(node.right);
+    return null;
+  }
+
+  // The number right after the comma: in "60,000 * rate" it is the 000 that opens the multiplication
+  function leadingNumber(node) {
+    if (isNumber(node)) return node;
+    if (isOperation(node)) return leadingNumber(node.left);
+    return null;
+  }
+
+  function propertyName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) return node.property.name;
+    if (node.type === 'MemberExpression' && node.property.type === 'Literal') return String(node.property.value);
+    return null;
+  }
+
+  function containsNode(root, predicate) {
+    let found = false;
+    self.JSParser.walk(root, node => {
+      if (found) return false;
+      if (predicate(node)) found = true;
+      return !found;
+    });
+    return found;
+  }
+
+  // Names bound by a pattern: x, { a, b: c }, [d, ...e], f = 1
+  function boundNames(pattern, names = []) {
+    if (!pattern) return names;
+    switch (pattern.type) {
+      case 'Identifier':
+        names.push(pattern);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property => boundNames(property.type === 'RestElement' ? property.argument : property.value, names));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => boundNames(element, names));
+        break;
+      case 'AssignmentPattern':
+        boundNames(pattern.left, names);
+        break;
+      case 'RestElement':
+        boundNames(pattern.argument, names);
+        break;
+    }
+    return names;
+  }
+
+  // Is this Identifier a variable read/write and not a key or property?
+  function isReference(node, parent) {
+    if (!parent) return true;
+    if (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return false;
+    if ((parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') &&
+        parent.key === node && !parent.computed && !parent.shorthand) return false;
+    if (parent.type === 'LabeledStatement' || parent.type === 'BreakStatement' || parent.type === 'ContinueStatement') return false;
+    return true;
+  }
+
+  /*
+    ==========================================
+    LINTER CONTROLLER
+    ==========================================
+  */
+
+  const rules = new Map();
+
+  self.Linter = {
+    /**
+     * Adds or replaces a rule. `create(context)` returns a map of AST node
+     * types to visitors, called as visitor(node, ancestors) during the walk.
+     */
+    registerRule(rule) {
+      if (!rule?.id || typeof rule.create !== 'function') {
+        throw new TypeError('Linter.registerRule: se necesita { id, create(context) }');
+      }
+      if (!(rule.severity in SEVERITY_ORDER)) {
+        throw new TypeError(`Linter.registerRule: severidad desconocida "${rule.severity}" en ${rule.id}`);
+      }
+      rules.set(rule.id, { description: '', bugClass: null, ...rule });
+    },
+
+    getRules() {
+      return [...rules.values()].map(({ id, severity, description, bugClass }) => ({ id, severity, description, bugClass }));
+    },
+
+    /**
+     * Lints `source` with every registered rule (or only `options.rules`).
+     * Returns { diagnostics, ast }; ast is null when the code does not parse.
+     */
+    lint(source, { rules: only = null } = {}) {
+      const text = String(source ?? '');
+
+      let ast;
+      try {
+        ast = self.JSParser.parse(text);
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        return { diagnostics: [this.createParseDiagnostic(text, error)], ast: null };
+      }
+
+      const diagnostics = [];
+      const visitors = {};
+
+      rules.forEach(rule => {
+        if (only && !only.includes(rule.id)) return;
+
+        const context = this.createContext(text, ast, rule, diagnostics);
+        Object.entries(rule.create(context) || {}).forEach(([type, visitor]) => {
+          (visitors[type] = visitors[type] || []).push(visitor);
+        });
+      });
+
+      self.JSParser.walk(ast, (node, ancestors) => {
+        visitors[node.type]?.forEach(visitor => visitor(node, ancestors));
+      });
+
+      diagnostics.sort((a, b) => a.start - b.start || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+      return { diagnostics, ast };
+    },
+
+    // Applies a diagnostic's fix; the editor uses it for the "Aplicar corrección" button
+    applyFix(source, fix) {
+      if (!fix) return source;
+      return source.slice(0, fix.start) + fix.text + source.slice(fix.end);
+    },
+
+    /*
+      ==========================================
+      DIAGNOSTICS
+      ==========================================
+    */
+
+    createContext(source, ast, rule, diagnostics) {
+      return {
+        source,
+        ast,
+        walk: self.JSParser.walk,
+
+        getSource(node) {
+          return source.slice(node.start, node.end);
+        },
+
+        report({ node, message, suggestion = '', fix = null, severity = rule.severity }) {
+          diagnostics.push({
+            ruleId: rule.id,
+            severity,
+            message,
+            suggestion,
+            fix,
+            bugClass: rule.bugClass,
+            start: node.start,
+            end: node.end,
+            line: node.loc.start.line,
+            column: node.loc.start.column,
+            endLine: node.loc.end.line,
+            endColumn: node.loc.end.column
+          });
+        }
+      };
+    },
+
+    createParseDiagnostic(source, error) {
+      const diagnostic = {
+        ruleId: 'parse-error',
+        severity: 'error',
+        message: `Error de sintaxis: ${error.message}`,
+        suggestion: 'Revisa la línea indicada: el código no se puede ejecutar hasta corregirla.',
+        fix: null,
+        bugClass: null,
+        start: error.start,
+        end: Math.min(error.start + 1, source.length),
+        line: error.line,
+        column: error.column,
+        endLine: error.line,
+        endColumn: error.column + 1
+      };
+
+      // "var total = 1,500;" does not parse: the comma was read as a declaration separator
+      const comma = /(\d),\s*$/.exec(source.slice(0, error.start));
+      if (error.message === 'Unexpected number' && comma) {
+        const commaIndex = comma.index + 1;
+        Object.assign(diagnostic, {
+          bugClass: 'operador_coma',
+          suggestion: 'JavaScript no tiene separador de miles con coma: escribe el número sin ella (o con "_", como 1_500).',
+          fix: { start: commaIndex, end: error.start, text: '' }
+        });
+      }
+
+      return diagnostic;
+    }
+  };
+
+  /*
+    ==========================================
+    BUILT-IN RULES
+    ==========================================
+  */
+
+  self.Linter.registerRule({
+    id: 'comma-in-number',
+    severity: 'error',
+    bugClass: 'operador_coma',
+    description: 'Cifras escritas con coma de miles (60,000): el operador coma descarta la parte izquierda.',
+    create(context) {
+      // Only counts when the comma sits right against the digits, as in a hand-written figure
+      const joined = (left, right) => context.source.slice(left.end, right.start) === ',';
+
+      // Covers "60,000", "total = 60,000 * rate;", "total = 60,000 / 12;" and "(60,000 / (12 + 2,000))"
+      function check(list, severity) {
+        for (let index = 1; index < list.length; index++) {
+          const head = trailingNumber(list[index - 1]);
+          const first = leadingNumber(list[index]);
+          if (!head || !isThousandsGroup(first) || !joined(head, first)) continue;
+
+          // Group 1,000,000 whole: only continues while each group is a bare literal
+          const groups = [first];
+          let last = index;
+          while (list[last] === groups[groups.length - 1] && isThousandsGroup(leadingNumber(list[last + 1])) && joined(list[last], leadingNumber(list[last + 1]))) {
+            last++;
+            groups.push(leadingNumber(list[last]));
+          }
+
+          const tail = groups[groups.length - 1];
+          const digits = [head, ...groups].map(part => part.raw).join('');
+          const written = context.source.slice(head.start, tail.end);
+          const assignment = list[index - 1].type === 'AssignmentExpression' && list[index - 1].right === head ? list[index - 1] : null;
+
+          let message = `"${written}" se lee como ${groups.length + 1} valores separados, no como una cifra.`;
+          if (assignment) {
+            message = `"${context.getSource(assignment.left)} = ${written}" asigna solo ${head.raw}: el operador coma evalúa el resto y lo descarta.`;
+          } else if (severity === 'error') {
+            message = `"${written}" no es un número: el operador coma evalúa cada parte y se queda con la última (${context.getSource(list[list.length - 1])}).`;
+          }
+
+          context.report({
+            node: { ...head, end: tail.end, loc: { start: head.loc.start, end: tail.loc.end } },
+            severity,
+            message,
+            suggestion: `Escribe ${digits} (o ${digits.replace(/^\d+/, whole => whole.replace(/\B(?=(\d{3})+$)/g, '_'))} para que se lea mejor).`,
+            fix: { start: head.start, end: tail.end, text: digits }
+          });
+
+          index = last;
+        }
+      }
+
+      return {
+        SequenceExpression: node => check(node.expressions, 'error'),
+        CallExpression: node => check(node.arguments, 'warning'),
+        NewExpression: node => check(node.arguments, 'warning'),
+        ArrayExpression: node => check(node.elements, 'warning')
+      };
+    }
+  });
+
+  self.Linter.registerRule({
+    id: 'precedence-mixed-operators',
+    severity: 'warning',
+    bugClass: 'precedencia_operadores',
+    description: 'Sumas o restas mezcladas con *, / o % sin paréntesis que muestren el orden.',
+    create(context) {
+      const MULTIPLICATIVE = new Set(['*', '/', '%']);
+
+      return {
+        BinaryExpression(node) {
+          if (node.operator !== '+' && node.operator !== '-') return;
+
+          [node.left, node.right].forEach(child => {
+            if (child.type !== 'BinaryExpression' || !MULTIPLICATIVE.has(child.operator) || child.parenthesized) return;
+
+            const operand = context.getSource(child);
+            context.report({
+              node: child,
+              message: `"${context.getSource(node)}" calcula primero ${child.operator}: se evalúa como ${child === node.left ? `(${operand}) ${node.operator} …` : `… ${node.operator} (${operand})`}.`,
+              suggestion: `Si ese es el orden que quieres, hazlo explícito con paréntesis: (${operand}). Si no, agrupa la suma primero.`,
+              fix: { start: child.start, end: child.end, text: `(${operand})` }
+            });
+          });
+        }
+      };
+    }
+  });
+
+  self.Linter.registerRule({
+    id: 'no-magic-numbers',
+    severity: 'info',
+    bugClass: 'naming_fundamentals',
+    description: 'Literales numéricos sin nombre en medio de la lógica.',
+    create(context) {
+      function isExempt(node, ancestors) {
+        let child = node;
+        let parent = ancestors[ancestors.length - 1];
+
+        // -5 counts as the literal 5
+        if (parent?.type === 'UnaryExpression' && parent.operator === '-') {
+          child = parent;
+          parent = ancestors[ancestors.length - 2];
+        }
+        if (!parent) return false;
+
+        // const IVA = 0.21 is exactly the remedy
+        if (parent.type === 'VariableDeclarator' && parent.init === child) {
+          const declaration = ancestors[ancestors.indexOf(parent) - 1];
+          return declaration?.kind === 'const';
+        }
+        // Indexes (list[3]), configuration values ({ retries: 3 }) and class fields
+        if (parent.type === 'MemberExpression' && parent.computed && parent.property === child) return true;
+        if (parent.type === 'Property' && parent.value === child) return true;
+        if (parent.type === 'PropertyDefinition' && parent.value === child) return true;
+        return false;
+      }
+
+      // The parts of "60,000" are already reported by comma-in-number
+      function isCommaNumberPart(node) {
+        return /^,\d{3}/.test(context.source.slice(node.end)) || /\d,$/.test(context.source.slice(0, node.start));
+      }
+
+      return {
+        Literal(node, ancestors) {
+          if (!isNumber(node) || SELF_EXPLANATORY_NUMBERS.has(node.value)) return;
+          if (isExempt(node, ancestors) || isCommaNumberPart(node)) return;
+
+          context.report({
+            node,
+            message: `Número mágico ${node.raw}: quien lea el código no sabe qué representa.`,
+            suggestion: `Dale nombre en una constante (const NOMBRE_DESCRIPTIVO = ${node.raw};) y usa ese nombre aquí.`
+          });
+        }
+      };
+    }
+  });
+
+  self.Linter.registerRule({
+    id: 'var-hoisting',
+    severity: 'warning',
+    bugClass: 'environment_laboratory',
+    description: 'Declaraciones var que se elevan a toda la función: bucles con closures, uso antes de declarar, var dentro de bloques.',
+    create(context) {
+      const letFix = declaration => ({ start: declaration.start, end: declaration.start + 3, text: 'let' });
+
+      // First use of a name before its declaration, within the same function
+      function usedBefore(scope, names, declaration) {
+        let found = null;
+        self.JSParser.walk(scope, (node, ancestors) => {
+          if (found || node.start >= declaration.start) return false;
+          if (node !== scope && FUNCTION_TYPES.has(node.type)) return false;
+          if (node.type === 'Identifier' && names.includes(node.name) && isReference(node, ancestors[ancestors.length - 1])) {
+            found = node;
+          }
+          return true;
+        });
+        return found;
+      }
+
+      return {
+        VariableDeclaration(declaration, ancestors) {
+          if (declaration.kind !== 'var') return;
+
+          const parent = ancestors[ancestors.length - 1];
+          const names = declaration.declarations.flatMap(declarator => boundNames(declarator.id)).map(id => id.name);
+          const list = names.join(', ');
+
+          const scopeIndex = ancestors.map(node => FUNCTION_TYPES.has(node.type)).lastIndexOf(true);
+          const scope = scopeIndex === -1 ? ancestors[0] : ancestors[scopeIndex];
+          const between = ancestors.slice(scopeIndex + 1);
+
+          // for (var i …) { setTimeout(() => i) }: every function shares the same i
+          const isLoopHead = LOOP_TYPES.has(parent?.type) && (parent.init === declaration || parent.left === declaration);
+          if (isLoopHead && containsNode(parent.body, node => FUNCTION_TYPES.has(node.type) &&
+              containsNode(node.body, inner => inner.type === 'Identifier' && names.includes(inner.name)))) {
+            context.report({
+              node: declaration,
+              severity: 'error',
+              message: `"var ${list}" es una sola variable para todo el bucle: las funciones creadas dentro verán su valor final, no el de cada vuelta.`,
+              suggestion: 'Usa let: crea una variable nueva en cada iteración y cada closure captura la suya.',
+              fix: letFix(declaration)
+            });
+            return;
+          }
+
+          const early = usedBefore(scope, names, declaration);
+          if (early) {
+            context.report({
+              node: declaration,
+              message: `"${early.name}" se usa en la línea ${early.loc.start.line} antes de declararse: por el hoisting vale undefined en ese punto, sin error.`,
+              suggestion: 'Mueve la declaración antes del primer uso y cámbiala a let o const; así un uso adelantado lanza un error en vez de dar undefined.'
+            });
+            return;
+          }
+
+          const inBlock = between.some(node => node.type === 'BlockStatement' || LOOP_TYPES.has(node.type) ||
+            node.type === 'IfStatement' || node.type === 'SwitchCase');
+          if (inBlock) {
+            context.report({
+              node: declaration,
+              message: `"var ${list}" dentro de un bloque sigue existiendo fuera de él: var no respeta las llaves.`,
+              suggestion: 'Usa let o const para que la variable viva solo dentro del bloque.',
+              fix: letFix(declaration)
+            });
+            return;
+          }
+
+          context.report({
+            node: declaration,
+            severity: 'info',
+            message: `"var ${list}" se eleva al inicio de ${scopeIndex === -1 ? 'todo el script' : 'la función'} y puede reasignarse desde cualquier parte.`,
+            suggestion: 'Prefiere const (o let si de verdad cambia): su alcance es el bloque y no existen antes de declararse.',
+            fix: letFix(declaration)
+          });
+        }
+      };
+    }
+  });
+
+  self.Linter.registerRule({
+    id: 'float-money',
+    severity: 'warning',
+    bugClass: 'calculadora_interes',
+    description: 'Aritmética de dinero con decimales binarios (0.1 + 0.2 !== 0.3).',
+    create(context) {
+      const ARITHMETIC = new Set(['+', '-', '*', '/']);
+      const COMPOUND = new Set(['+=', '-=', '*=', '/=']);
+
+      const isDecimal = node => isNumber(node) && !Number.isInteger(node.value);
+      const moneyName = node => {
+        const name = propertyName(node);
+        return name && MONEY_NAME.test(name) ? name : null;
+      };
+
+      function check(node, left, right, operator) {
+        const money = moneyName(left) || moneyName(right);
+        const decimal = isDecimal(right) ? right : isDecimal(left) ? left : null;
+        if (!decimal) return;
+
+        const bothDecimal = isDecimal(left) && isDecimal(right) && (operator === '+' || operator === '-' || operator === '+=' || operator === '-=');
+        if (!money && !bothDecimal) return;
+
+        context.report({
+          node,
+          message: money ?
+            `"${money}" parece dinero y se opera con ${decimal.raw}: los decimales binarios acumulan errores de redondeo (0.1 + 0.2 = 0.30000000000000004).` :
+            `${left.raw} ${operator} ${right.raw} no da exacto en coma flotante: ${left.value} ${operator} ${right.value} = ${operator === '+' ? left.value + right.value : left.value - right.value}.`,
+          suggestion: 'Trabaja en céntimos enteros (Math.round(importe * 100)) y convierte a unidades solo al mostrar, o redondea explícitamente el resultado.'
+        });
+      }
+
+      return {
+        BinaryExpression(node) {
+          if (ARITHMETIC.has(node.operator)) check(node, node.left, node.right, node.operator);
+        },
+        AssignmentExpression(node) {
+          if (COMPOUND.has(node.operator)) check(node, node.left, node.right, node.operator);
+        }
+      };
+    }
+  });
+
+})();
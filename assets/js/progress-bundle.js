@@ -0,0 +1,281 @@
+/*
+  ==========================================
+  PROGRESS BUNDLE - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Portable progress files: the envelope AppState.exportProgress() fills
+  and AppState.importProgress() reads. A bundle is versioned JSON with an
+  integrity checksum over its canonical form, so a file corrupted or
+  truncated on the way to an instructor is rejected instead of merged. The
+  checksum is not keyed: it catches accidents, not deliberate edits. It can also
+  travel as a compact text code (deflate + base64url) short enough for a
+  QR code when moving progress from a phone to a desktop.
+
+  Archivo: assets/js/progress-bundle.js
+
+  "Trust, but verify" - Russian proverb
+
+  Architecture:
+  1. Canonical JSON (sorted keys: the same content always hashes the same)
+  2. Integrity Checksum (SHA-256: SubtleCrypto, or a bundled
+     implementation on insecure origins)
+  3. Seal / Open (format + version + checksum validation)
+  4. Compact Codes (MDBP1.<z|j>.<base64url>)
+  5. Files (download / read)
+
+  Usage: const bundle = await ProgressBundle.open(fileText); ProgressBundle.download(bundle)
+*/
+
+(() => {
+  'use strict';
+
+  const BUNDLE_FORMAT = 'mdb-progress';
+  const BUNDLE_VERSION = 1;
+  const CODE_PREFIX = 'MDBP1';
+
+  // Bytes that fit in a version 40 QR code with L correction (byte mode)
+  const QR_BYTE_CAPACITY = 2953;
+
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  /*
+    ==========================================
+    ENCODING
+    ==========================================
+  */
+
+  // JSON with sorted keys: the checksum does not depend on insertion order
+  function canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  function toHex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  const SHA256_K = Uint32Array.from([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+
+  // SHA-256 (FIPS 180-4) in JavaScript: where SubtleCrypto is missing the checksum stays the same
+  function sha256(bytes) {
+    const length = bytes.length;
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+    const hash = Uint32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const words = new Uint32Array(64);
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+    for (let offset = 0; offset < padded.length; offset += 64) {
+      for (let index = 0; index < 16; index++) words[index] = view.getUint32(offset + index * 4);
+      for (let index = 16; index < 64; index++) {
+        const w15 = words[index - 15];
+        const w2 = words[index - 2];
+        const s0 = rotate(w15, 7) ^ rotate(w15, 18) ^ (w15 >>> 3);
+        const s1 = rotate(w2, 17) ^ rotate(w2, 19) ^ (w2 >>> 10);
+        words[index] = words[index - 16] + s0 + words[index - 7] + s1;
+      }
+
+      let [a, b, c, d, e, f, g, h] = hash;
+      for (let index = 0; index < 64; index++) {
+        const t1 = h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[index] + words[index];
+        const t2 = (rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) >>> 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) >>> 0;
+      }
+
+      [a, b, c, d, e, f, g, h].forEach((value, index) => { hash[index] += value; });
+    }
+
+    const digest = new Uint8Array(32);
+    hash.forEach((value, index) => new DataView(digest.buffer).setUint32(index * 4, value));
+    return digest;
+  }
+
+  // SubtleCrypto only exists in secure contexts (https, localhost)
+  const hasSubtleCrypto = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle?.digest);
+
+  const CHECKSUMS = {
+    'SHA-256': async text => {
+      const bytes = new TextEncoder().encode(text);
+      return toHex(hasSubtleCrypto() ? new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)) : sha256(bytes));
+    }
+  };
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  /*
+    ==========================================
+    PROGRESS BUNDLE
+    ==========================================
+  */
+
+  window.ProgressBundle = {
+    FORMAT: BUNDLE_FORMAT,
+    VERSION: BUNDLE_VERSION,
+
+    canonicalize,
+
+    async checksum(content, algorithm = 'SHA-256') {
+      const compute = CHECKSUMS[algorithm];
+      if (!compute) {
+        throw new Error(`Unsupported checksum algorithm ${algorithm}`);
+      }
+      return { algorithm, value: await compute(canonicalize(content)) };
+    },
+
+    // Adds format, version and checksum to { exportedAt, app, schemaVersion, data }
+    async seal(content) {
+      const body = { ...content, format: BUNDLE_FORMAT, version: BUNDLE_VERSION };
+      return { ...body, checksum: await this.checksum(body) };
+    },
+
+    /**
+     * Accepts a bundle object, its JSON text or a compact code, and returns
+     * the bundle once its format, version and integrity checksum are verified.
+     * Throws an Error saying what is wrong otherwise.
+     */
+    async open(input) {
+      let bundle = input;
+
+      if (typeof input === 'string') {
+        const text = input.trim();
+        bundle = text.startsWith(`${CODE_PREFIX}.`) ? await this.decodeCompact(text) : this.parse(text);
+      }
+
+      if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a Million Dollar Bugs progress file');
+      }
+      if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Unsupported progress file version ${bundle.version} (max ${BUNDLE_VERSION})`);
+      }
+      if (!isPlainObject(bundle.data)) {
+        throw new Error('Malformed progress file: data is missing');
+      }
+      if (!isPlainObject(bundle.checksum) || typeof bundle.checksum.value !== 'string') {
+        throw new Error('Progress file has no integrity checksum');
+      }
+
+      const { checksum, ...body } = bundle;
+      const expected = await this.checksum(body, checksum.algorithm);
+      if (expected.value !== checksum.value) {
+        throw new Error('Progress file integrity checksum does not match: it is corrupted or incomplete');
+      }
+
+      return bundle;
+    },
+
+    parse(text) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Progress file is not valid JSON: ${error.message}`);
+      }
+    },
+
+    /*
+      ==========================================
+      COMPACT CODES (QR)
+      ==========================================
+    */
+
+    // MDBP1.z.<deflate in base64url>, or MDBP1.j.<JSON in base64url> without CompressionStream
+    async encodeCompact(bundle) {
+      const bytes = new TextEncoder().encode(JSON.stringify(bundle));
+
+      if (typeof CompressionStream !== 'undefined') {
+        return `${CODE_PREFIX}.z.${toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')))}`;
+      }
+      return `${CODE_PREFIX}.j.${toBase64Url(bytes)}`;
+    },
+
+    async decodeCompact(code) {
+      const [prefix, encoding, payload] = code.trim().split('.');
+      if (prefix !== CODE_PREFIX || !payload || !['z', 'j'].includes(encoding)) {
+        throw new Error('Not a Million Dollar Bugs progress code');
+      }
+
+      let bytes;
+      try {
+        bytes = fromBase64Url(payload);
+        if (encoding === 'z') {
+          if (typeof DecompressionStream === 'undefined') {
+            throw new Error('this browser cannot decompress it');
+          }
+          bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+        }
+      } catch (error) {
+        throw new Error(`Progress code is damaged: ${error.message}`);
+      }
+
+      return this.parse(new TextDecoder().decode(bytes));
+    },
+
+    // Does it fit in a single QR code? (codes are ASCII: 1 character = 1 byte)
+    fitsInQrCode(code) {
+      return code.length <= QR_BYTE_CAPACITY;
+    },
+
+    /*
+      ==========================================
+      FILES
+      ==========================================
+    */
+
+    download(bundle, fileName = `mdb-progress-${new Date().toISOString().slice(0, 10)}.json`) {
+      const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    async readFile(file) {
+      return this.open(await file.text());
+    }
+  };
+
+})();
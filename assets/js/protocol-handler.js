@@ -0,0 +1,197 @@
+/*
+  ==========================================
+  PROTOCOL HANDLER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Opens web+bugacademy:// deep links (manifest protocol_handlers).
+  The service worker redirects /handle-protocol?url= to index.html?protocol=;
+  this module parses the link, resolves it through Router (prerequisites
+  included) and opens the case page at the requested step.
+
+  Archivo: assets/js/protocol-handler.js
+
+  "A link is a promise" - Jakob Nielsen
+
+  Architecture:
+  1. Link Parsing (stage / project / step)
+  2. Route Resolution (Router.resolveCaseRoute + checkPrerequisites)
+  3. Case Page Navigation (?step=N, handled by case-steps.js)
+
+  Supported formats:
+  - web+bugacademy://stage/debugging
+  - web+bugacademy://stage/debugging/project/comma-operator?step=3
+  - web+bugacademy://laboratorio  (any route registered in Router)
+*/
+
+(() => {
+  'use strict';
+
+  /*
+    ==========================================
+    PROTOCOL HANDLER CONTROLLER
+    ==========================================
+  */
+
+  window.ProtocolHandler = {
+    config: {
+      scheme: 'web+bugacademy:',
+      param: 'protocol',
+      stageRoute: '#roadmap'
+    },
+
+    /*
+      ==========================================
+      INITIALIZATION
+      ==========================================
+    */
+
+    init() {
+      const link = new URLSearchParams(window.location.search).get(this.config.param);
+      if (link === null) return;
+
+      this.clearProtocolParam();
+      this.open(link);
+    },
+
+    /*
+      ==========================================
+      LINK PARSING
+      ==========================================
+    */
+
+    parse(link) {
+      if (typeof link !== 'string' || !link.toLowerCase().startsWith(this.config.scheme)) {
+        return null;
+      }
+
+      // Non-special scheme: parsed by hand, URL() does not split host/path reliably
+      const [path, query = ''] = link.slice(this.config.scheme.length).split('?');
+      const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+      const step = parseInt(new URLSearchParams(query).get('step'), 10);
+
+      const parsed = {
+        stage: null,
+        project: null,
+        route: null,
+        step: Number.isInteger(step) && step > 0 ? step : null
+      };
+
+      if (segments[0] === 'stage') {
+        parsed.stage = segments[1] || null;
+        if (segments[2] === 'project') {
+          parsed.project = segments[3] || null;
+        }
+        return parsed.stage ? parsed : null;
+      }
+
+      if (segments.length === 1) {
+        parsed.route = `#${segments[0]}`;
+        return parsed;
+      }
+
+      return null;
+    },
+
+    /*
+      ==========================================
+      RESOLUTION & NAVIGATION
+      ==========================================
+    */
+
+    open(link) {
+      const parsed = this.parse(link);
+
+      if (!parsed || !window.Router) {
+        this.rejectLink(link, 'invalid');
+        return false;
+      }
+
+      if (parsed.route) {
+        if (!window.Router.getRouteConfig(parsed.route)) {
+          this.rejectLink(link, 'unknown_route');
+          return false;
+        }
+        window.Router.navigateTo(parsed.route, 'protocol');
+        this.trackLink(parsed);
+        return true;
+      }
+
+      const caseRoute = window.Router.resolveCaseRoute(parsed.stage, parsed.project);
+      if (!caseRoute) {
+        this.rejectLink(link, 'unknown_case');
+        return false;
+      }
+
+      if (!window.Router.checkPrerequisites(caseRoute)) {
+        window.Router.handlePrerequisiteFailure(caseRoute);
+        return false;
+      }
+
+      this.trackLink(parsed);
+
+      if (!caseRoute.page) {
+        // A stage without a project, or a project whose case has no page yet
+        if (parsed.project) {
+          window.Components?.notify('Este caso todavía no está disponible', 'info');
+        }
+        window.Router.navigateTo(this.config.stageRoute, 'protocol');
+        return true;
+      }
+
+      window.location.href = this.buildCaseUrl(caseRoute.page, parsed.step);
+      return true;
+    },
+
+    buildCaseUrl(page, step) {
+      return step ? `${page}?step=${step}` : page;
+    },
+
+    rejectLink(link, reason) {
+      console.warn('🔗 Enlace web+bugacademy no válido:', link);
+      window.Components?.notify('El enlace no corresponde a ningún caso de la academia', 'warning');
+
+      if (window.Analytics) {
+        window.Analytics.trackEvent('protocol_handler', 'link_rejected', { reason });
+      }
+    },
+
+    trackLink(parsed) {
+      if (window.Analytics) {
+        window.Analytics.trackEvent('protocol_handler', 'link_opened', {
+          stage: parsed.stage,
+          project: parsed.project,
+          route: parsed.route,
+          step: parsed.step
+        });
+      }
+    },
+
+    /*
+      ==========================================
+      UTILITIES
+      ==========================================
+    */
+
+    clearProtocolParam() {
+      // A reload or "back" must not fire the link again
+      const url = new URL(window.location.href);
+      url.searchParams.delete(this.config.param);
+      history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+    }
+  };
+
+  /*
+    ==========================================
+    AUTO-INITIALIZATION
+    ==========================================
+  */
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      window.ProtocolHandler.init();
+    });
+  } else {
+    window.ProtocolHandler.init();
+  }
+
+})();
@@ -1,33 +1,175 @@
 /**
  * PWA Service Worker Registration
- * Registers service worker for offline functionality
+ * Registers service worker for offline functionality and drives the
+ * update lifecycle: waiting worker → user prompt → SKIP_WAITING → reload
  */
 
 class PWAManager {
+  static state = {
+    registration: null,
+    reloadRequested: false,
+    wasControlled: false,
+    isReloading: false,
+    pendingVersion: null
+  };
+
+  static config = {
+    updateCheckInterval: 60 * 60 * 1000, // 1 hour
+    versionRequestTimeout: 3000,
+    // Relative to this script, not the page: proyectos/*/ also registers the root sw.js
+    serviceWorkerUrl: document.currentScript ? new URL('../../sw.js', document.currentScript.src).href : './sw.js'
+  };
+
   static async init() {
     if (!('serviceWorker' in navigator)) {
       console.warn('🚫 Service Workers not supported');
       return;
     }
 
+    PWAManager.state.wasControlled = Boolean(navigator.serviceWorker.controller);
+
     try {
-      const registration = await navigator.serviceWorker.register('./sw.js');
+      const registration = await navigator.serviceWorker.register(PWAManager.config.serviceWorkerUrl);
+      PWAManager.state.registration = registration;
       console.log('✅ SW registered:', registration.scope);
-      
-      // Optional: Listen for updates
-      registration.addEventListener('updatefound', () => {
-        console.log('🔄 SW update found');
-      });
-      
+
+      PWAManager.listenForUpdates(registration);
+      PWAManager.listenForControllerChange();
+      PWAManager.scheduleUpdateChecks(registration);
+      PWAManager.syncActiveVersion();
+
     } catch (error) {
       console.error('❌ SW registration failed:', error);
     }
   }
+
+  /*
+    ==========================================
+    UPDATE DETECTION
+    ==========================================
+  */
+
+  static listenForUpdates(registration) {
+    // A new version may have been installed on a previous visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      PWAManager.promptUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const newWorker = registration.installing;
+      if (!newWorker) return;
+
+      console.log('🔄 SW update found');
+
+      newWorker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+          PWAManager.promptUpdate(newWorker);
+        }
+      });
+    });
+  }
+
+  static scheduleUpdateChecks(registration) {
+    // Students leave tabs open for days: keep checking for new versions
+    setInterval(() => {
+      registration.update().catch(error => {
+        console.warn('⚠️ SW update check failed:', error);
+      });
+    }, PWAManager.config.updateCheckInterval);
+  }
+
+  static async promptUpdate(worker) {
+    const version = await PWAManager.requestVersion(worker);
+    PWAManager.state.pendingVersion = version;
+
+    const label = version ? ` (v${version})` : '';
+    const message = `Nueva versión disponible${label}. Recarga para obtener las últimas correcciones.`;
+
+    if (window.Components?.showNotification) {
+      window.Components.showNotification(message, 'info', 0, [
+        {
+          label: '🔄 Recargar',
+          onClick: () => PWAManager.applyUpdate(worker)
+        }
+      ]);
+    } else {
+      console.log(`ℹ️ ${message}`);
+    }
+
+    if (window.Analytics) {
+      window.Analytics.trackEvent('pwa', 'update_available', { version });
+    }
+  }
+
+  /*
+    ==========================================
+    APPLYING UPDATES
+    ==========================================
+  */
+
+  static applyUpdate(worker) {
+    PWAManager.state.reloadRequested = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  static listenForControllerChange() {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (PWAManager.state.isReloading) return;
+
+      // SKIP_WAITING from any tab swaps the controller of every tab: all of them
+      // reload. Only clients.claim() on the first install finds no previous one
+      const { reloadRequested, wasControlled } = PWAManager.state;
+      PWAManager.state.wasControlled = true;
+      if (!reloadRequested && !wasControlled) return;
+
+      PWAManager.state.isReloading = true;
+      PWAManager.recordVersion(PWAManager.state.pendingVersion);
+      window.location.reload();
+    });
+  }
+
+  /*
+    ==========================================
+    VERSIONING
+    ==========================================
+  */
+
+  static async syncActiveVersion() {
+    const controller = navigator.serviceWorker.controller;
+    if (!controller) return;
+
+    const version = await PWAManager.requestVersion(controller);
+    PWAManager.recordVersion(version);
+  }
+
+  static recordVersion(version) {
+    if (!version || !window.AppState?.updateAppVersion) return;
+
+    const currentVersion = window.AppState.getState('app.version');
+    if (currentVersion !== version) {
+      window.AppState.updateAppVersion(version, currentVersion);
+    }
+  }
+
+  static requestVersion(worker) {
+    return new Promise(resolve => {
+      const channel = new MessageChannel();
+      const timeout = setTimeout(() => resolve(null), PWAManager.config.versionRequestTimeout);
+
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timeout);
+        resolve(event.data?.version || null);
+      };
+
+      worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+    });
+  }
 }
 
 // Auto-initialize when DOM loads
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', PWAManager.init);
+  document.addEventListener('DOMContentLoaded', () => PWAManager.init());
 } else {
   PWAManager.init();
-}
\ No newline at end of file
+}
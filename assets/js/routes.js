@@ -80,6 +80,13 @@
         section: 'laboratorio',
         analytics: 'laboratory_section',
         prerequisites: []
+      },
+      '#nuevo-caso': {
+        name: 'nuevo-caso',
+        title: 'Nuevo Caso de Bug - Bug Academy',
+        section: 'nuevo-caso',
+        analytics: 'shared_case_section',
+        prerequisites: []
       }
     },
 
@@ -428,15 +435,15 @@
     },
 
     getEducationalProgress() {
-      // Obtener progreso desde Analytics o State
-      if (window.Analytics) {
-        return window.Analytics.getProgress();
-      }
-      
+      // Obtener progreso desde State (fuente de verdad de los casos) o Analytics
       if (window.AppState) {
         return window.AppState.getProgress();
       }
       
+      if (window.Analytics) {
+        return window.Analytics.getProgress();
+      }
+      
       return {};
     },
 
@@ -589,6 +596,36 @@
       console.log(`📝 Ruta registrada: ${hash}`);
     },
 
+    // Resolver un caso del roadmap (etapa + proyecto) a su página y prerequisites
+    resolveCaseRoute(stageId, projectId = null) {
+      const stages = window.AppConfig?.getRoadmapStages() || [];
+      const stageIndex = stages.findIndex(stage => stage.id === stageId);
+      if (stageIndex === -1) return null;
+
+      const stage = stages[stageIndex];
+      if (projectId && !stage.projects.includes(projectId)) return null;
+
+      // Una etapa se desbloquea completando todos los proyectos de las anteriores
+      const unlockAll = window.AppConfig?.get('education.unlockAllLevels', false);
+      const prerequisites = unlockAll ? [] :
+        stages.slice(0, stageIndex).flatMap(previous => previous.projects);
+
+      return {
+        name: projectId || stage.id,
+        title: `${stage.name} - Bug Academy`,
+        stage: stage.id,
+        project: projectId,
+        page: projectId ? this.getCasePage(projectId) : null,
+        analytics: projectId ? `case_${projectId}` : `stage_${stage.id}`,
+        prerequisites
+      };
+    },
+
+    // Página de un caso según el registro de proyectos de AppConfig
+    getCasePage(projectId) {
+      return window.AppConfig?.getProject(projectId)?.page || null;
+    },
+
     // Obtener ruta actual
     getCurrentRoute() {
       return this.state.currentRoute;
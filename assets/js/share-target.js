@@ -0,0 +1,202 @@
+/*
+  ==========================================
+  SHARE TARGET - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Turns code shared from other apps (manifest share_target) into practice cases.
+  The service worker stores the POSTed title, text and files in IndexedDB and
+  redirects here with ?share-id=; this module renders the "nuevo caso" view
+  and prefills the laboratory editor through AppState.
+
+  Archivo: assets/js/share-target.js
+
+  "Every bug you find is a test you forgot to write" - Kent Beck
+
+  Architecture:
+  1. Shared Case Loading (IndexedDB via AppDB)
+  2. New Bug Case View (safe text rendering)
+  3. Laboratory Prefill (AppState.updateEditorCode)
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.AppDB === 'undefined') {
+    console.warn('📥 ShareTarget: AppDB no disponible. Casos compartidos deshabilitados.');
+    return;
+  }
+
+  /*
+    ==========================================
+    SHARE TARGET CONTROLLER
+    ==========================================
+  */
+
+  window.ShareTarget = {
+    config: {
+      storeName: 'sharedCases',
+      sectionRoute: '#nuevo-caso',
+      labRoute: '#laboratorio'
+    },
+
+    state: {
+      currentCase: null
+    },
+
+    /*
+      ==========================================
+      INITIALIZATION
+      ==========================================
+    */
+
+    async init() {
+      const params = new URLSearchParams(window.location.search);
+
+      if (params.has('share-error')) {
+        this.clearShareParams();
+        window.Components?.notify('No se pudo importar el código compartido', 'error');
+        return;
+      }
+
+      const shareId = params.get('share-id');
+      if (!shareId) return;
+
+      try {
+        const sharedCase = await window.AppDB.get(this.config.storeName, shareId);
+        this.clearShareParams();
+
+        if (!sharedCase) {
+          window.Components?.notify('El caso compartido ya no está disponible', 'warning');
+          return;
+        }
+
+        this.openCase(sharedCase);
+
+        // Already lives in the editor: do not pile up cases in IndexedDB
+        await window.AppDB.delete(this.config.storeName, shareId);
+
+      } catch (error) {
+        console.error('❌ Error cargando caso compartido:', error);
+        window.Components?.notify('Error al abrir el caso compartido', 'error');
+      }
+    },
+
+    /*
+      ==========================================
+      VISTA "NUEVO CASO"
+      ==========================================
+    */
+
+    openCase(sharedCase) {
+      this.state.currentCase = sharedCase;
+
+      this.renderCase(sharedCase);
+
+      // Prefill: the first file, or the shared text when there are no files
+      const [firstFile] = sharedCase.files;
+      if (firstFile) {
+        this.loadFile(firstFile);
+      } else if (sharedCase.text) {
+        this.loadCode(sharedCase.text, 'compartido.js');
+      }
+
+      if (window.Router) {
+        window.Router.navigateTo(this.config.sectionRoute, 'share_target');
+      } else {
+        document.getElementById('nuevo-caso')?.scrollIntoView();
+      }
+
+      if (window.Analytics) {
+        window.Analytics.trackEvent('share_target', 'case_imported', {
+          files: sharedCase.files.length,
+          hasText: Boolean(sharedCase.text)
+        });
+      }
+    },
+
+    renderCase(sharedCase) {
+      const section = document.querySelector('[data-bug-case-import]');
+      if (!section) return;
+
+      // External content: textContent only, never innerHTML
+      section.querySelector('[data-bug-case-title]').textContent = sharedCase.title || 'Sin título';
+      section.querySelector('[data-bug-case-source]').textContent = sharedCase.url || 'Compartido desde otra aplicación';
+
+      if (sharedCase.text) {
+        section.querySelector('[data-bug-case-description]').textContent = sharedCase.text;
+      }
+
+      const fileList = section.querySelector('[data-bug-case-files]');
+      fileList.innerHTML = '';
+
+      sharedCase.files.forEach(file => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn--secondary btn--small';
+        button.textContent = `📄 ${file.name}`;
+        button.addEventListener('click', () => {
+          this.loadFile(file);
+          window.Router?.navigateTo(this.config.labRoute, 'share_target');
+        });
+
+        item.appendChild(button);
+        fileList.appendChild(item);
+      });
+
+      section.hidden = false;
+    },
+
+    /*
+      ==========================================
+      LABORATORY PREFILL
+      ==========================================
+    */
+
+    loadFile(file) {
+      this.loadCode(file.content, file.name);
+    },
+
+    loadCode(code, fileName) {
+      if (window.AppState) {
+        window.AppState.updateEditorCode(code);
+      }
+
+      window.Components?.setLabFileName(fileName);
+    },
+
+    /*
+      ==========================================
+      UTILITIES
+      ==========================================
+    */
+
+    clearShareParams() {
+      // A reload must not look up an already consumed case again
+      const url = new URL(window.location.href);
+      url.searchParams.delete('share-id');
+      url.searchParams.delete('share-error');
+      history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+    },
+
+    getCurrentCase() {
+      return this.state.currentCase;
+    }
+  };
+
+  /*
+    ==========================================
+    AUTO-INITIALIZATION
+    ==========================================
+  */
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      window.ShareTarget.init();
+    });
+  } else {
+    window.ShareTarget.init();
+  }
+
+})();
@@ -0,0 +1,248 @@
+/*
+  ==========================================
+  STATE RECORDER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Time-travel debugging for AppState. Every dispatched action is logged
+  together with the state it produced (the snapshot state:changed already
+  carries), so a developer can step backward and forward, jump to any
+  action, replay the log from a point through the current reducers, and
+  export/import a whole session as JSON to reproduce a student's report.
+
+  Archivo: assets/js/state-recorder.js
+
+  "Debugging is twice as hard as writing the code in the first place" - Brian Kernighan
+
+  Architecture:
+  1. Recording (state:changed → { action, state } entries after a baseline)
+  2. Time Travel (jumpTo/stepBack/stepForward via AppState.replaceState)
+  3. Replay (re-dispatch the actions after a point; the future is re-recorded)
+  4. Session Files (exportSession/importSession, downloadSession/importFile)
+
+  Usage: StateRecorder.stepBack(); StateRecorder.replayFrom(12); StateRecorder.downloadSession()
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.AppState === 'undefined') {
+    console.warn('⏪ StateRecorder: AppState no disponible. Time travel deshabilitado.');
+    return;
+  }
+
+  const SESSION_FORMAT = 'mdb-state-session';
+  const SESSION_VERSION = 1;
+
+  const clone = value => window.AppUtils?.data.deepClone(value) || JSON.parse(JSON.stringify(value));
+
+  /*
+    ==========================================
+    STATE RECORDER
+    ==========================================
+  */
+
+  window.StateRecorder = {
+    config: {
+      // Each entry stores a whole state: the log is trimmed from the start
+      maxEntries: 200
+    },
+
+    baseline: null,   // state before the first recorded action
+    entries: [],      // [{ action, state }] state after each action
+    cursor: -1,       // -1 = baseline; entries.length - 1 = presente
+    unsubscribe: null,
+
+    // Records from startup where AppConfig enables it (debug.timeTravel); start() forces it
+    init() {
+      if (window.AppConfig?.get('debug.timeTravel', false)) {
+        this.start();
+      }
+    },
+
+    start() {
+      if (this.unsubscribe) return this.getStatus();
+
+      this.baseline = window.AppState.getPublicState();
+      this.entries = [];
+      this.cursor = -1;
+      this.unsubscribe = window.AppState.observe('state:changed', ({ action, newState }) => {
+        this.record(action, newState);
+      });
+
+      console.log('⏪ StateRecorder grabando acciones de AppState');
+      return this.getStatus();
+    },
+
+    stop() {
+      this.unsubscribe?.();
+      this.unsubscribe = null;
+      this.notify();
+      return this.getStatus();
+    },
+
+    /*
+      ==========================================
+      RECORDING
+      ==========================================
+    */
+
+    record(action, state) {
+      // The recorder's own jumps are not app actions
+      if (action.type === 'REPLACE_STATE') return;
+
+      // Acting from the past opens a new branch: the previous future is discarded
+      if (this.cursor < this.entries.length - 1) {
+        this.entries = this.entries.slice(0, this.cursor + 1);
+      }
+
+      this.entries.push({ action: clone(action), state });
+
+      if (this.entries.length > this.config.maxEntries) {
+        this.baseline = this.entries.shift().state;
+      }
+
+      this.cursor = this.entries.length - 1;
+      this.notify();
+    },
+
+    getLog() {
+      return this.entries.map(({ action }, index) => ({
+        index,
+        type: action.type,
+        payload: action.payload,
+        timestamp: action.timestamp,
+        current: index === this.cursor
+      }));
+    },
+
+    getStatus() {
+      return {
+        recording: Boolean(this.unsubscribe),
+        cursor: this.cursor,
+        length: this.entries.length,
+        traveling: this.cursor < this.entries.length - 1,
+        currentAction: this.entries[this.cursor]?.action.type || null
+      };
+    },
+
+    // State after action `index` (-1: the baseline)
+    getSnapshot(index) {
+      if (index === -1) return clone(this.baseline);
+      const entry = this.entries[index];
+      return entry ? clone(entry.state) : null;
+    },
+
+    notify() {
+      window.AppState.emit('time-travel:changed', this.getStatus());
+    },
+
+    /*
+      ==========================================
+      TIME TRAVEL
+      ==========================================
+    */
+
+    jumpTo(index) {
+      if (!this.baseline) throw new Error('StateRecorder is not recording');
+      if (!Number.isInteger(index) || index < -1 || index >= this.entries.length) {
+        throw new RangeError(`No recorded action at index ${index} (0..${this.entries.length - 1}, -1 for the baseline)`);
+      }
+
+      this.cursor = index;
+      window.AppState.replaceState(this.getSnapshot(index), { reason: 'time-travel' });
+      this.notify();
+      return this.getStatus();
+    },
+
+    stepBack() {
+      return this.cursor > -1 ? this.jumpTo(this.cursor - 1) : this.getStatus();
+    },
+
+    stepForward() {
+      return this.cursor < this.entries.length - 1 ? this.jumpTo(this.cursor + 1) : this.getStatus();
+    },
+
+    // Back to the present
+    resume() {
+      return this.jumpTo(this.entries.length - 1);
+    },
+
+    /**
+     * Restores the state before action `index` and dispatches that action
+     * and every later one again, so they run through the current reducers
+     * (useful after fixing one). The replayed actions replace the old tail.
+     */
+    replayFrom(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= this.entries.length) {
+        throw new RangeError(`No recorded action at index ${index} (0..${this.entries.length - 1})`);
+      }
+
+      const actions = this.entries.slice(index).map(entry => entry.action);
+      this.jumpTo(index - 1);
+      this.entries = this.entries.slice(0, index);
+
+      actions.forEach(action => window.AppState.dispatch(action.type, clone(action.payload)));
+      return this.getStatus();
+    },
+
+    /*
+      ==========================================
+      EXPORTABLE SESSIONS
+      ==========================================
+    */
+
+    exportSession() {
+      return JSON.stringify({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        exportedAt: new Date().toISOString(),
+        app: {
+          version: window.AppState.state.app.version,
+          userAgent: navigator.userAgent
+        },
+        cursor: this.cursor,
+        baseline: this.baseline,
+        entries: this.entries
+      });
+    },
+
+    // Loads an exported session and goes to where its exporter was
+    importSession(session) {
+      const data = typeof session === 'string' ? JSON.parse(session) : session;
+
+      if (data?.format !== SESSION_FORMAT) {
+        throw new Error('Not a Million Dollar Bugs state session');
+      }
+      if (data.version > SESSION_VERSION) {
+        throw new Error(`Unsupported state session version ${data.version} (max ${SESSION_VERSION})`);
+      }
+      const validEntries = Array.isArray(data.entries) && data.entries.every(entry =>
+        typeof entry?.action?.type === 'string' && entry.state && typeof entry.state === 'object');
+      if (!data.baseline || typeof data.baseline !== 'object' || !validEntries) {
+        throw new Error('Malformed state session: baseline and entries are required');
+      }
+
+      if (!this.unsubscribe) this.start();
+      this.baseline = data.baseline;
+      this.entries = data.entries;
+
+      const cursor = Number.isInteger(data.cursor) ? data.cursor : data.entries.length - 1;
+      return this.jumpTo(Math.max(-1, Math.min(cursor, data.entries.length - 1)));
+    },
+
+    downloadSession(fileName = `mdb-session-${Date.now()}.json`) {
+      const url = URL.createObjectURL(new Blob([this.exportSession()], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    async importFile(file) {
+      return this.importSession(await file.text());
+    }
+  };
+
+})();
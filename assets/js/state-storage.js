@@ -0,0 +1,202 @@
+/*
+  ==========================================
+  STATE STORAGE - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Pluggable persistence backends for AppState. The state envelope is one
+  text blob; code submissions are separate records so each dispatch only
+  writes what changed and old submissions can be evicted one by one when
+  the browser runs short of quota, instead of losing the whole progress.
+
+  Archivo: assets/js/state-storage.js
+
+  "Data outlives code" - Martin Kleppmann
+
+  Architecture:
+  1. Backend Interface (readState/writeState, submissions, estimate)
+  2. IndexedDB Backend (AppDB stores appState + submissions)
+  3. localStorage Backend (fallback: mdb_app_state + mdb_state_submissions)
+  4. Selection & Quota Helpers (technical.storage in AppConfig)
+
+  Backend interface (every method returns a promise):
+    name
+    isAvailable()                  → boolean (synchronous)
+    readState()                    → stored state text | null
+    writeState(text)
+    readSubmissions()              → [{ id, stageId, projectId, timestamp, ... }]
+    writeSubmissions(records)      → upsert by id
+    deleteSubmissions(ids)
+    estimate()                     → { usage, quota } in bytes | null
+
+  Usage: StateStorage.register('memory', backend); StateStorage.select('memory')
+*/
+
+(() => {
+  'use strict';
+
+  // Fallback when AppConfig does not define technical.storage
+  const STORAGE_DEFAULTS = {
+    backend: 'auto',          // 'auto' | 'indexedDB' | 'localStorage' | nombre registrado
+    quotaThreshold: 0.8,      // usage/quota ratio from which old submissions are freed
+    keepPerProject: 3,        // recent submissions that are never evicted (plus the best one)
+    localStorageQuota: 5 * 1024 * 1024
+  };
+
+  /*
+    ==========================================
+    BACKENDS
+    ==========================================
+  */
+
+  const indexedDBBackend = {
+    name: 'indexedDB',
+    stateKey: 'app_state',
+
+    isAvailable() {
+      return Boolean(window.AppDB?.isSupported());
+    },
+
+    async readState() {
+      const record = await window.AppDB.get('appState', this.stateKey);
+      return record?.text ?? null;
+    },
+
+    async writeState(text) {
+      await window.AppDB.put('appState', { key: this.stateKey, text, savedAt: Date.now() });
+    },
+
+    async readSubmissions() {
+      return window.AppDB.getAll('submissions');
+    },
+
+    async writeSubmissions(records) {
+      if (records.length > 0) await window.AppDB.putAll('submissions', records);
+    },
+
+    async deleteSubmissions(ids) {
+      if (ids.length > 0) await window.AppDB.deleteAll('submissions', ids);
+    },
+
+    async estimate() {
+      if (!navigator.storage?.estimate) return null;
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    }
+  };
+
+  // Same keys as AppUtils.storage, but setItem is not caught: AppState needs to see QuotaExceededError
+  const localStorageBackend = {
+    name: 'localStorage',
+    stateKey: 'mdb_app_state',
+    submissionsKey: 'mdb_state_submissions',
+
+    isAvailable() {
+      try {
+        return typeof localStorage !== 'undefined' && localStorage !== null;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async readState() {
+      return localStorage.getItem(this.stateKey);
+    },
+
+    async writeState(text) {
+      localStorage.setItem(this.stateKey, text);
+    },
+
+    async readSubmissions() {
+      return Object.values(this.readSubmissionMap());
+    },
+
+    async writeSubmissions(records) {
+      if (records.length === 0) return;
+      const submissions = this.readSubmissionMap();
+      records.forEach(record => { submissions[record.id] = record; });
+      localStorage.setItem(this.submissionsKey, JSON.stringify(submissions));
+    },
+
+    async deleteSubmissions(ids) {
+      if (ids.length === 0) return;
+      const submissions = this.readSubmissionMap();
+      ids.forEach(id => delete submissions[id]);
+      localStorage.setItem(this.submissionsKey, JSON.stringify(submissions));
+    },
+
+    // What the app's keys take up (UTF-16: 2 bytes per character) against the typical limit
+    async estimate() {
+      const usage = Object.keys(localStorage)
+        .filter(key => key.startsWith('mdb_'))
+        .reduce((total, key) => total + (key.length + (localStorage.getItem(key) || '').length) * 2, 0);
+      return { usage, quota: window.StateStorage.getConfig().localStorageQuota };
+    },
+
+    readSubmissionMap() {
+      try {
+        const parsed = JSON.parse(localStorage.getItem(this.submissionsKey) || '{}');
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+      } catch (error) {
+        console.warn('💾 StateStorage: entregas ilegibles en localStorage, se ignoran', error);
+        return {};
+      }
+    }
+  };
+
+  /*
+    ==========================================
+    STATE STORAGE
+    ==========================================
+  */
+
+  window.StateStorage = {
+    backends: new Map([
+      [indexedDBBackend.name, indexedDBBackend],
+      [localStorageBackend.name, localStorageBackend]
+    ]),
+
+    getConfig() {
+      return { ...STORAGE_DEFAULTS, ...(window.AppConfig?.getStorageConfig?.() || {}) };
+    },
+
+    register(name, backend) {
+      const required = ['readState', 'writeState', 'readSubmissions', 'writeSubmissions', 'deleteSubmissions', 'estimate'];
+      const missing = required.filter(method => typeof backend?.[method] !== 'function');
+      if (missing.length > 0) {
+        throw new TypeError(`Storage backend ${name} is missing ${missing.join(', ')}`);
+      }
+
+      this.backends.set(name, { isAvailable: () => true, ...backend, name });
+    },
+
+    // 'auto' prefers IndexedDB; a requested backend that is unavailable falls back to localStorage
+    select(name = this.getConfig().backend) {
+      const candidates = name === 'auto' ? ['indexedDB', 'localStorage'] : [name, 'localStorage'];
+      const backend = candidates.map(candidate => this.backends.get(candidate)).find(candidate => candidate?.isAvailable());
+
+      if (backend && backend.name !== name && name !== 'auto') {
+        console.warn(`💾 StateStorage: backend ${name} no disponible, usando ${backend.name}`);
+      }
+      return backend || null;
+    },
+
+    // { backend, usage, quota, ratio } or null when the browser does not report it
+    async estimate(backend) {
+      try {
+        const estimate = await backend.estimate();
+        if (!estimate || !estimate.quota) return null;
+        return { backend: backend.name, usage: estimate.usage, quota: estimate.quota, ratio: estimate.usage / estimate.quota };
+      } catch (error) {
+        return null;
+      }
+    },
+
+    isQuotaError(error) {
+      return error?.name === 'QuotaExceededError' ||
+        error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error?.code === 22 ||
+        error?.code === 1014;
+    }
+  };
+
+})();
@@ -24,6 +24,860 @@
 (() => {
   'use strict';
 
+  /*
+    ==========================================
+    ROADMAP STATE FACTORY
+    ==========================================
+  */
+
+  function createProjectProgress(projectId, unlocked) {
+    return {
+      id: projectId,
+      unlocked,
+      completed: false,
+      attempts: 0,
+      bestScore: 0,
+      currentScore: 0,
+      timeSpent: 0,
+      startedAt: null,
+      completedAt: null,
+      codeSubmissions: [],
+      feedback: [],
+      competencies: {
+        correctness: 0,
+        readability: 0,
+        maintainability: 0,
+        efficiency: 0
+      }
+    };
+  }
+
+  // Only the first stage (and its first project) starts unlocked
+  function createRoadmapStages() {
+    const stages = window.AppConfig?.getRoadmapStages() || [];
+
+    return stages.reduce((tree, stage, stageIndex) => {
+      tree[stage.id] = {
+        id: stage.id,
+        unlocked: stageIndex === 0,
+        completed: false,
+        progress: 0,
+        score: 0,
+        startedAt: null,
+        completedAt: null,
+        timeSpent: 0,
+        projects: stage.projects.reduce((projects, projectId, projectIndex) => {
+          projects[projectId] = createProjectProgress(projectId, stageIndex === 0 && projectIndex === 0);
+          return projects;
+        }, {})
+      };
+      return tree;
+    }, {});
+  }
+
+  /*
+    ==========================================
+    EDITOR HISTORY
+    ==========================================
+    Each history entry is the edit itself, not a snapshot: at `start`,
+    `removed` (older text) was replaced by `inserted` (newer text). The
+    same entry moves between undoStack and redoStack, and stays small
+    enough to persist for several projects.
+  */
+
+  const LABORATORY_HISTORY_KEY = 'laboratory';
+
+  // Fallback when AppConfig does not define technical.codeEditor.history
+  const EDITOR_HISTORY_DEFAULTS = { maxEntries: 100, coalesceWindow: 1000, maxProjects: 10 };
+
+  function getHistoryConfig() {
+    return { ...EDITOR_HISTORY_DEFAULTS, ...(window.AppConfig?.getCodeEditorConfig?.()?.history || {}) };
+  }
+
+  // Common prefix and suffix: whatever is left in between is what changed
+  function createEdit(before, after, timestamp) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+      before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+    return {
+      start,
+      removed: before.slice(start, before.length - end),
+      inserted: after.slice(start, after.length - end),
+      timestamp
+    };
+  }
+
+  function revertEdit(code, edit) {
+    return code.slice(0, edit.start) + edit.removed + code.slice(edit.start + edit.inserted.length);
+  }
+
+  function reapplyEdit(code, edit) {
+    return code.slice(0, edit.start) + edit.inserted + code.slice(edit.start + edit.removed.length);
+  }
+
+  function isEdit(entry) {
+    return Number.isInteger(entry?.start) && typeof entry.removed === 'string' && typeof entry.inserted === 'string';
+  }
+
+  // Parks the active history in `histories` and loads the one for `projectKey`
+  function switchEditorHistory(editor, projectKey) {
+    if (editor.historyProject === projectKey) return;
+
+    editor.histories[editor.historyProject] = {
+      code: editor.currentCode,
+      undoStack: editor.undoStack,
+      redoStack: editor.redoStack,
+      updatedAt: Date.now()
+    };
+
+    const next = editor.histories[projectKey];
+    delete editor.histories[projectKey];
+
+    editor.historyProject = projectKey;
+    editor.currentCode = next?.code ?? '';
+    editor.undoStack = next?.undoStack || [];
+    editor.redoStack = next?.redoStack || [];
+    editor.isModified = false;
+    editor.lastEditAt = null;
+
+    // Only the most recently used projects keep their history
+    const { maxProjects } = getHistoryConfig();
+    Object.entries(editor.histories)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(Math.max(0, maxProjects - 1))
+      .forEach(([key]) => delete editor.histories[key]);
+  }
+
+  /*
+    ==========================================
+    PERSISTED STATE SCHEMA
+    ==========================================
+    The stored state (see StateStorage) holds { schemaVersion, savedAt, state }. Older blobs run
+    through STATE_MIGRATIONS in order, then the result is checked against
+    the default state: wrong types fall back to their defaults, keys the
+    app no longer has (removed projects) are dropped, and the original blob
+    is quarantined first so no progress is ever lost silently.
+  */
+
+  const STATE_SCHEMA_VERSION = 3;
+  const MAX_QUARANTINED_STATES = 3;
+
+  // Unversioned blobs are what the app stored before schemaVersion existed
+  const LEGACY_SCHEMA_VERSION = 1;
+
+  // Ordered: each migration turns the state of `version - 1` into `version`
+  const STATE_MIGRATIONS = [
+    {
+      version: 2,
+      description: 'Runtime-only app fields (isOnline, syncStatus) are no longer persisted',
+      migrate(state) {
+        const { isOnline, syncStatus, ...app } = state.app || {};
+        return { ...state, app };
+      }
+    },
+    {
+      version: 3,
+      description: 'Code submissions get an id so they can be stored and evicted one by one',
+      migrate(state) {
+        Object.values(state.education?.stages || {}).forEach(stage => {
+          Object.entries(stage?.projects || {}).forEach(([projectId, project]) => {
+            if (!Array.isArray(project?.codeSubmissions)) return;
+            project.codeSubmissions = project.codeSubmissions.map((submission, index) =>
+              (isPlainObject(submission) && !submission.id ? { ...submission, id: `${projectId}-legacy-${index}` } : submission));
+          });
+        });
+        return state;
+      }
+    }
+  ];
+
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const describeType = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+  // { schemaVersion, state } or a blob from before versioning
+  function readStateEnvelope(value) {
+    if (!isPlainObject(value)) {
+      throw new TypeError(`Persisted state is ${describeType(value)}, expected an object`);
+    }
+    if (!('schemaVersion' in value)) {
+      return { version: LEGACY_SCHEMA_VERSION, state: value };
+    }
+    if (!Number.isInteger(value.schemaVersion) || !isPlainObject(value.state)) {
+      throw new TypeError('Persisted state envelope is malformed');
+    }
+    return { version: value.schemaVersion, state: value.state };
+  }
+
+  function migrateState(version, state) {
+    if (version > STATE_SCHEMA_VERSION) {
+      throw new RangeError(`Persisted state has schema v${version}, newer than this app (v${STATE_SCHEMA_VERSION})`);
+    }
+
+    return STATE_MIGRATIONS
+      .filter(migration => migration.version > version)
+      .reduce((migrated, migration) => {
+        const next = migration.migrate(migrated);
+        if (!isPlainObject(next)) {
+          throw new TypeError(`Migration to v${migration.version} did not return a state object`);
+        }
+        return next;
+      }, state);
+  }
+
+  // Renamed projects: the registry declares their former ids (previousIds)
+  function applyProjectRenames(state) {
+    const stages = state.education?.stages;
+    if (!isPlainObject(stages)) return state;
+
+    (window.AppConfig?.getProjects() || []).forEach(project => {
+      (project.previousIds || []).forEach(previousId => {
+        Object.values(stages).forEach(stage => {
+          if (!isPlainObject(stage?.projects) || !(previousId in stage.projects)) return;
+          const progress = stage.projects[previousId];
+          delete stage.projects[previousId];
+          if (stage.projects[project.id] === undefined && isPlainObject(progress)) {
+            stages[project.stage] = stages[project.stage] || { projects: {} };
+            stages[project.stage].projects = stages[project.stage].projects || {};
+            stages[project.stage].projects[project.id] = { ...progress, id: project.id };
+          }
+        });
+      });
+    });
+
+    return state;
+  }
+
+  /**
+   * Rebuilds `value` with the shape of `template` (the default state).
+   * Missing keys take the default; values of the wrong type take the
+   * default and are reported in issues.invalid; keys the template does not
+   * have are dropped and reported in issues.removed. An empty object in the
+   * template is a free-form map (commonMistakes, featureFlags…).
+   */
+  function conformToTemplate(template, value, path, issues) {
+    if (value === undefined) return JSON.parse(JSON.stringify(template));
+
+    if (isPlainObject(template)) {
+      if (!isPlainObject(value)) {
+        issues.invalid.push({ path, expected: 'object', received: describeType(value) });
+        return JSON.parse(JSON.stringify(template));
+      }
+      if (Object.keys(template).length === 0) return value;
+
+      const result = {};
+      Object.keys(template).forEach(key => {
+        result[key] = conformToTemplate(template[key], value[key], `${path}.${key}`, issues);
+      });
+      Object.keys(value)
+        .filter(key => !(key in template))
+        .forEach(key => issues.removed.push(`${path}.${key}`));
+      return result;
+    }
+
+    const valid = Array.isArray(template) ? Array.isArray(value) :
+      template === null ? !isPlainObject(value) && !Array.isArray(value) :
+      typeof template === 'number' ? Number.isFinite(value) :
+      typeof value === typeof template;
+
+    if (!valid) {
+      issues.invalid.push({ path, expected: describeType(template), received: describeType(value) });
+      return JSON.parse(JSON.stringify(template));
+    }
+    return value;
+  }
+
+  /*
+    ==========================================
+    SUBMISSION RECORDS
+    ==========================================
+    Code submissions are the part of the state that grows without bound, so
+    they are stored as one record each ({ ...submission, stageId, projectId })
+    and left out of the state text. Loading puts them back into their
+    projects; when storage runs short the oldest ones are evicted, never a
+    project's most recent submissions or its best one.
+  */
+
+  function collectSubmissions(state) {
+    return Object.entries(state.education.stages).flatMap(([stageId, stage]) =>
+      Object.entries(stage.projects).flatMap(([projectId, project]) =>
+        project.codeSubmissions.map(submission => ({ ...submission, stageId, projectId }))));
+  }
+
+  // Shallow copy of education with empty submissions (they live in their own records)
+  function withoutSubmissions(education) {
+    const stages = {};
+    Object.entries(education.stages).forEach(([stageId, stage]) => {
+      const projects = {};
+      Object.entries(stage.projects).forEach(([projectId, project]) => {
+        projects[projectId] = { ...project, codeSubmissions: [] };
+      });
+      stages[stageId] = { ...stage, projects };
+    });
+    return { ...education, stages };
+  }
+
+  /**
+   * Puts stored records back into their projects (following previousIds
+   * renames). Returns the ids already stored as they should be: renamed
+   * records are left out so the next write rewrites them, and orphans
+   * (removed projects) are included so the next write deletes them.
+   */
+  function attachSubmissions(state, records) {
+    const stored = new Set();
+
+    records.forEach(record => {
+      if (!isPlainObject(record) || typeof record.id !== 'string') return;
+
+      const { stageId, projectId, ...submission } = record;
+      const renamed = window.AppConfig?.getProjects().find(project => (project.previousIds || []).includes(projectId));
+      const project = renamed
+        ? state.education.stages[renamed.stage]?.projects[renamed.id]
+        : state.education.stages[stageId]?.projects[projectId];
+
+      if (!project) {
+        stored.add(record.id);
+        return;
+      }
+      if (!project.codeSubmissions.some(existing => existing.id === record.id)) {
+        project.codeSubmissions.push(submission);
+      }
+      if (!renamed) stored.add(record.id);
+    });
+
+    Object.values(state.education.stages).forEach(stage => {
+      Object.values(stage.projects).forEach(project => {
+        project.codeSubmissions.sort((a, b) => a.timestamp - b.timestamp);
+      });
+    });
+
+    return stored;
+  }
+
+  // Evictable ids, oldest first
+  function selectEvictableSubmissions(state, keepPerProject) {
+    const evictable = [];
+
+    Object.values(state.education.stages).forEach(stage => {
+      Object.values(stage.projects).forEach(project => {
+        const newestFirst = [...project.codeSubmissions].sort((a, b) => b.timestamp - a.timestamp);
+        const best = newestFirst.reduce((top, submission) => (!top || submission.score > top.score ? submission : top), null);
+        newestFirst.slice(keepPerProject)
+          .filter(submission => submission !== best)
+          .forEach(submission => evictable.push(submission));
+      });
+    });
+
+    return evictable.sort((a, b) => a.timestamp - b.timestamp).map(submission => submission.id);
+  }
+
+  /*
+    ==========================================
+    PROGRESS BUNDLES
+    ==========================================
+    What a progress file carries (see ProgressBundle for the envelope):
+    per-project progress without code, earned achievements and the
+    learning analytics counters. Importing merges instead of replacing,
+    so it can only add progress: flags are OR-ed, scores and counters keep
+    the maximum and dates the earliest.
+  */
+
+  const PROGRESS_STAGE_FIELDS = ['unlocked', 'completed', 'progress', 'score', 'startedAt', 'completedAt', 'timeSpent'];
+  const PROGRESS_PROJECT_FIELDS = ['unlocked', 'completed', 'attempts', 'bestScore', 'currentScore', 'timeSpent', 'startedAt', 'completedAt'];
+  const PROGRESS_ANALYTICS_COUNTERS = ['totalTimeSpent', 'sessionsCount', 'codeExecutions', 'errorsEncountered', 'hintsUsed', 'streakDays'];
+
+  const pick = (source, fields) => fields.reduce((picked, field) => ({ ...picked, [field]: source[field] }), {});
+
+  function collectProgress(state) {
+    const { stages, achievements, analytics } = state.education;
+    const progressStages = {};
+
+    Object.entries(stages).forEach(([stageId, stage]) => {
+      const projects = {};
+      Object.entries(stage.projects).forEach(([projectId, project]) => {
+        projects[projectId] = { ...pick(project, PROGRESS_PROJECT_FIELDS), competencies: { ...project.competencies } };
+      });
+      progressStages[stageId] = { ...pick(stage, PROGRESS_STAGE_FIELDS), projects };
+    });
+
+    return {
+      stages: progressStages,
+      achievements: [...achievements.earned],
+      analytics: {
+        ...pick(analytics, PROGRESS_ANALYTICS_COUNTERS),
+        lastActiveDate: analytics.lastActiveDate,
+        conceptsMastered: [...analytics.conceptsMastered]
+      }
+    };
+  }
+
+  // Merge rule for each field: it can only add progress, never take it away
+  function mergeField(current, incoming, field) {
+    if (typeof current === 'boolean') {
+      return typeof incoming === 'boolean' ? current || incoming : current;
+    }
+    if (field === 'startedAt' || field === 'completedAt') {
+      if (!Number.isFinite(incoming)) return current;
+      return Number.isFinite(current) ? Math.min(current, incoming) : incoming;
+    }
+    if (field === 'lastActiveDate') {
+      return typeof incoming === 'string' && (current === null || incoming > current) ? incoming : current;
+    }
+    return Number.isFinite(incoming) && incoming > current ? incoming : current;
+  }
+
+  // Derived from the stage's projects by recomputeStage, never merged as stored numbers
+  const STAGE_AGGREGATE_FIELDS = ['completed', 'progress', 'score', 'completedAt'];
+
+  function nextStageOf(state, stageId) {
+    const stageIds = Object.keys(state.education.stages);
+    const index = stageIds.indexOf(stageId);
+    return index === -1 ? null : state.education.stages[stageIds[index + 1]] || null;
+  }
+
+  // Unlocks the stage after `stageId` and, as in the first stage, only its first project
+  function unlockStageAfter(state, stageId) {
+    const nextStage = nextStageOf(state, stageId);
+    if (!nextStage) return null;
+
+    nextStage.unlocked = true;
+    const [firstProject] = Object.values(nextStage.projects);
+    if (firstProject) firstProject.unlocked = true;
+    return nextStage;
+  }
+
+  /**
+   * Recomputes a stage's aggregates (progress, completion, completedAt,
+   * score) from its projects, mutating `state`, and unlocks the next stage
+   * once it is complete. Returns the changes in mergeProgress's format.
+   */
+  function recomputeStage(state, stageId) {
+    const stage = state.education.stages[stageId];
+    if (!stage) return [];
+
+    const before = pick(stage, STAGE_AGGREGATE_FIELDS);
+    const stageProjects = Object.values(stage.projects);
+    const completedProjects = stageProjects.filter(project => project.completed);
+    stage.progress = Math.round((completedProjects.length / stageProjects.length) * 100);
+
+    if (stageProjects.length > 0 && completedProjects.length === stageProjects.length) {
+      stage.completed = true;
+      // Completed when its last project was
+      if (!Number.isFinite(stage.completedAt)) {
+        const completedAts = stageProjects.map(project => project.completedAt).filter(Number.isFinite);
+        stage.completedAt = completedAts.length > 0 ? Math.max(...completedAts) : Date.now();
+      }
+      // Average of the projects' best scores
+      stage.score = Math.round(stageProjects.reduce((sum, project) => sum + project.bestScore, 0) / stageProjects.length);
+    }
+
+    const changes = STAGE_AGGREGATE_FIELDS
+      .filter(field => stage[field] !== before[field])
+      .map(field => ({ path: `${stageId}.${field}`, from: before[field], to: stage[field] }));
+
+    const nextStage = nextStageOf(state, stageId);
+    if (stage.completed && nextStage && !nextStage.unlocked) {
+      unlockStageAfter(state, stageId);
+      changes.push({ path: `${nextStage.id}.unlocked`, from: false, to: true });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Merges progress data into `state` (mutating it) and returns what
+   * changed ({ path, from, to }) plus the stages/projects of the file this
+   * roadmap does not have. Used both to preview and to apply an import.
+   * Stage aggregates are recomputed from the merged projects rather than
+   * taken from the file, so the preview shows what the UI will.
+   */
+  function mergeProgress(state, data) {
+    const changes = [];
+    const skipped = [];
+    const { stages, achievements, analytics } = state.education;
+
+    const mergeInto = (target, source, fields, path) => {
+      if (!isPlainObject(source)) return;
+      fields.forEach(field => {
+        const merged = mergeField(target[field], source[field], field);
+        if (merged !== target[field]) {
+          changes.push({ path: `${path}.${field}`, from: target[field], to: merged });
+          target[field] = merged;
+        }
+      });
+    };
+
+    // Former ids of renamed projects (previousIds in the registry)
+    const incomingStages = applyProjectRenames({ education: { stages: JSON.parse(JSON.stringify(data.stages || {})) } }).education.stages;
+
+    Object.entries(incomingStages).forEach(([stageId, incomingStage]) => {
+      const stage = stages[stageId];
+      if (!stage) {
+        skipped.push(stageId);
+        return;
+      }
+      mergeInto(stage, incomingStage, PROGRESS_STAGE_FIELDS.filter(field => !STAGE_AGGREGATE_FIELDS.includes(field)), stageId);
+
+      Object.entries(isPlainObject(incomingStage?.projects) ? incomingStage.projects : {}).forEach(([projectId, incomingProject]) => {
+        const project = stage.projects[projectId];
+        if (!project) {
+          skipped.push(`${stageId}/${projectId}`);
+          return;
+        }
+        mergeInto(project, incomingProject, PROGRESS_PROJECT_FIELDS, `${stageId}.${projectId}`);
+        mergeInto(project.competencies, incomingProject?.competencies, Object.keys(project.competencies), `${stageId}.${projectId}.competencies`);
+      });
+
+      changes.push(...recomputeStage(state, stageId));
+    });
+
+    const knownAchievements = achievements.available.map(achievement => achievement.id);
+    (Array.isArray(data.achievements) ? data.achievements : [])
+      .filter(id => knownAchievements.includes(id) && !achievements.earned.includes(id))
+      .forEach(id => {
+        achievements.earned.push(id);
+        changes.push({ path: 'achievements', from: null, to: id });
+      });
+
+    mergeInto(analytics, data.analytics, [...PROGRESS_ANALYTICS_COUNTERS, 'lastActiveDate'], 'analytics');
+    (Array.isArray(data.analytics?.conceptsMastered) ? data.analytics.conceptsMastered : [])
+      .filter(concept => typeof concept === 'string' && !analytics.conceptsMastered.includes(concept))
+      .forEach(concept => {
+        analytics.conceptsMastered.push(concept);
+        changes.push({ path: 'analytics.conceptsMastered', from: null, to: concept });
+      });
+
+    return { changes, skipped };
+  }
+
+  /*
+    ==========================================
+    SERVER SYNC
+    ==========================================
+    Protocol (POST AppConfig.getSyncConfig().url):
+      request  { deviceId, since, lastSeq, projects: [{ stageId, projectId,
+                 completed, completedAt, bestScore, attempts, timeSpentDelta }],
+                 achievements }
+      response { revision, projects: [{ stageId, projectId, completed,
+                 completedAt, bestScore, attempts, timeSpent }], achievements }
+
+    Every tab appends the progress actions it dispatches to a log (seq
+    numbers, mdb_sync_state) and the leader tab sends the projects those
+    actions touched. The server keeps the highest lastSeq applied per device,
+    so a retried request whose response was lost is not counted twice.
+    Conflicts are resolved per project: the best score wins, completion is
+    kept and the time spent on each device is summed. The response carries
+    every project changed since `since`, including other devices' work.
+  */
+
+  const SERVER_SYNC_ACTIONS = new Set(['START_PROJECT', 'SUBMIT_PROJECT_CODE', 'UPDATE_PROJECT_SCORE', 'COMPLETE_PROJECT', 'IMPORT_PROGRESS']);
+
+  const projectKey = (stageId, projectId) => `${stageId}/${projectId}`;
+
+  function createSyncState() {
+    return {
+      deviceId: `device_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      seq: 0,               // last action number logged
+      log: [],              // { seq, type, stageId?, projectId?, at } not yet confirmed by the server
+      revision: 0,          // latest server revision received
+      baselines: {},        // timeSpent per project that the server has already added up
+      lastSyncedAt: null
+    };
+  }
+
+  // An entry without a project (import, collapsed log) sends every project with progress
+  function buildChangeSet(state, sync) {
+    const keys = sync.log.every(entry => entry.projectId)
+      ? new Set(sync.log.map(entry => projectKey(entry.stageId, entry.projectId)))
+      : null;
+    const projects = [];
+
+    Object.entries(state.education.stages).forEach(([stageId, stage]) => {
+      Object.entries(stage.projects).forEach(([projectId, project]) => {
+        const key = projectKey(stageId, projectId);
+        const timeSpentDelta = Math.max(0, project.timeSpent - (sync.baselines[key] || 0));
+        const hasProgress = project.completed || project.attempts > 0 || project.bestScore > 0 || timeSpentDelta > 0;
+        if (keys ? !keys.has(key) : !hasProgress) return;
+
+        projects.push({
+          stageId,
+          projectId,
+          completed: project.completed,
+          completedAt: project.completedAt,
+          bestScore: project.bestScore,
+          attempts: project.attempts,
+          timeSpentDelta
+        });
+      });
+    });
+
+    return {
+      deviceId: sync.deviceId,
+      since: sync.revision,
+      lastSeq: sync.log.length > 0 ? sync.log[sync.log.length - 1].seq : sync.seq,
+      projects,
+      achievements: [...state.education.achievements.earned]
+    };
+  }
+
+  function isSyncResponse(body) {
+    return isPlainObject(body) &&
+      Number.isInteger(body.revision) &&
+      Array.isArray(body.projects) &&
+      body.projects.every(project => isPlainObject(project) && typeof project.stageId === 'string' && typeof project.projectId === 'string');
+  }
+
+  /*
+    ==========================================
+    ACTION REGISTRY
+    ==========================================
+    Every action type the store accepts is declared once: a description, a
+    payload schema and its reducer. dispatch() rejects unknown types and
+    payloads that do not match before any reducer runs. A payload schema maps
+    each field to a type ('string', 'number', 'boolean', 'object', 'array',
+    'null', 'any'); 'a|b' accepts either and a trailing '?' makes the field
+    optional. Fields not in the schema are rejected unless strict is false.
+    Actions with sync: false only touch this tab's session (editor, UI) and
+    are not broadcast to other tabs (see TabSync).
+  */
+
+  const FIELD_TYPES = {
+    string: value => typeof value === 'string',
+    number: value => Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    object: isPlainObject,
+    array: Array.isArray,
+    null: value => value === null,
+    any: () => true
+  };
+
+  const MAX_QUEUED_NOTIFICATIONS = 20;
+
+  // reducer: name of the AppState method (resolved at dispatch time)
+  const CORE_ACTIONS = [
+    {
+      type: 'START_PROJECT',
+      description: 'Start (or restart) a roadmap project and switch the editor to its history',
+      payload: { stageId: 'string', projectId: 'string' },
+      reducer: 'reduceStartProject'
+    },
+    {
+      type: 'SUBMIT_PROJECT_CODE',
+      description: 'Record a code submission with its test results',
+      payload: {
+        stageId: 'string',
+        projectId: 'string',
+        code: 'string',
+        testResults: 'object',
+        timestamp: 'number',
+        submissionId: 'string?'
+      },
+      reducer: 'reduceSubmitProjectCode'
+    },
+    {
+      type: 'UPDATE_PROJECT_SCORE',
+      description: 'Apply a rubric grade and its competencies to a project',
+      payload: { stageId: 'string', projectId: 'string', score: 'number', competencies: 'object?', timestamp: 'number' },
+      reducer: 'reduceUpdateProjectScore'
+    },
+    {
+      type: 'COMPLETE_PROJECT',
+      description: 'Mark a project as completed and update stage progress and achievements',
+      payload: { stageId: 'string', projectId: 'string', finalScore: 'number', timeSpent: 'number', timestamp: 'number' },
+      reducer: 'reduceCompleteProject'
+    },
+    {
+      type: 'EVICT_SUBMISSIONS',
+      description: 'Drop old code submissions to free storage (scores and progress are kept)',
+      payload: { ids: 'array', reason: 'string?' },
+      reducer: 'reduceEvictSubmissions'
+    },
+    {
+      type: 'IMPORT_PROGRESS',
+      description: 'Merge a progress file that passed its integrity checksum (only adds progress, never removes it)',
+      payload: { data: 'object', source: 'object?' },
+      reducer: 'reduceImportProgress'
+    },
+    {
+      type: 'APPLY_SERVER_SYNC',
+      description: 'Merge the per-project progress the sync server returned',
+      payload: { data: 'object', revision: 'number' },
+      reducer: 'reduceApplyServerSync'
+    },
+    {
+      type: 'UNLOCK_NEXT_STAGE',
+      description: 'Unlock the stage after currentStageId and its first project',
+      payload: { currentStageId: 'string' },
+      reducer: 'reduceUnlockNextStage'
+    },
+    {
+      type: 'UPDATE_USER_PROFILE',
+      description: 'Merge fields into the user profile (level is computed, not set)',
+      payload: {
+        id: 'string|number|null?',
+        email: 'string|null?',
+        name: 'string|null?',
+        avatar: 'string|null?',
+        joinedAt: 'number|null?',
+        lastLoginAt: 'number|null?',
+        timezone: 'string?',
+        language: 'string?'
+      },
+      reducer: 'reduceUpdateUserProfile'
+    },
+    {
+      type: 'UPDATE_USER_PREFERENCES',
+      description: 'Merge fields into the user preferences',
+      payload: {
+        theme: 'string?',
+        fontSize: 'string?',
+        codeEditorTheme: 'string?',
+        animationsEnabled: 'boolean?',
+        soundEnabled: 'boolean?',
+        notificationsEnabled: 'boolean?',
+        autoSave: 'boolean?',
+        showHints: 'boolean?',
+        difficultyMode: 'string?',
+        learningPath: 'string?'
+      },
+      reducer: 'reduceUpdateUserPreferences'
+    },
+    {
+      type: 'UPDATE_EDITOR_CODE',
+      description: 'Replace the editor code, coalescing typing bursts into one undo entry',
+      payload: { code: 'string', saved: 'boolean?', coalesce: 'boolean?', timestamp: 'number' },
+      sync: false,
+      reducer: 'reduceUpdateEditorCode'
+    },
+    {
+      type: 'UNDO_EDIT',
+      description: 'Revert the last editor edit',
+      payload: { timestamp: 'number?' },
+      sync: false,
+      reducer: 'reduceUndoEdit'
+    },
+    {
+      type: 'REDO_EDIT',
+      description: 'Reapply the last undone editor edit',
+      payload: { timestamp: 'number?' },
+      sync: false,
+      reducer: 'reduceRedoEdit'
+    },
+    {
+      type: 'EXECUTE_CODE',
+      description: 'Store the results of running the editor code',
+      payload: { code: 'string', results: 'object', timestamp: 'number', sessionId: 'string?' },
+      reducer: 'reduceExecuteCode'
+    },
+    {
+      type: 'ADD_RECENT_FILE',
+      description: 'Move a local file opened in the laboratory to the top of the recent list',
+      payload: { name: 'string', size: 'number', type: 'string', lastModified: 'number?', issues: 'number', openedAt: 'number' },
+      reducer: 'reduceAddRecentFile'
+    },
+    {
+      type: 'UPDATE_APP_VERSION',
+      description: 'Record that a new app version was installed',
+      payload: { version: 'string', previousVersion: 'string|null?', timestamp: 'number' },
+      reducer: 'reduceUpdateAppVersion'
+    },
+    {
+      type: 'TOGGLE_SIDEBAR',
+      description: 'Collapse or expand the sidebar',
+      payload: {},
+      sync: false,
+      reducer: 'reduceToggleSidebar'
+    },
+    {
+      type: 'SHOW_MODAL',
+      description: 'Open a modal with optional data',
+      payload: { modalId: 'string', data: 'object?' },
+      sync: false,
+      reducer: 'reduceShowModal'
+    },
+    {
+      type: 'HIDE_MODAL',
+      description: 'Close the open modal',
+      payload: {},
+      sync: false,
+      reducer: 'reduceHideModal'
+    },
+    {
+      type: 'ADD_NOTIFICATION',
+      description: 'Queue a notification for the UI (extra fields are kept)',
+      payload: {
+        id: 'string',
+        timestamp: 'number',
+        message: 'string',
+        type: 'string?',
+        title: 'string?',
+        icon: 'string?',
+        duration: 'number?'
+      },
+      strict: false,
+      sync: false,
+      reducer: 'reduceAddNotification'
+    }
+  ];
+
+  // Registered types: { type, description, payload, strict, core, fields, reduce }
+  const actionRegistry = new Map();
+
+  function compilePayloadSchema(type, payload) {
+    if (!isPlainObject(payload)) {
+      throw new TypeError(`Action ${type}: payload schema must be an object`);
+    }
+
+    return Object.entries(payload).map(([field, spec]) => {
+      if (typeof spec !== 'string') {
+        throw new TypeError(`Action ${type}: schema for "${field}" must be a type string such as 'string' or 'number?'`);
+      }
+      const optional = spec.endsWith('?');
+      const types = (optional ? spec.slice(0, -1) : spec).split('|');
+      const unknown = types.find(name => !FIELD_TYPES[name]);
+      if (unknown !== undefined) {
+        throw new TypeError(`Action ${type}: unknown type "${unknown}" for "${field}"`);
+      }
+      return { field, optional, types };
+    });
+  }
+
+  // Payload problems against the schema; empty when it is valid
+  function checkPayload(definition, payload) {
+    if (!isPlainObject(payload)) {
+      return [`payload must be an object (got ${describeType(payload)})`];
+    }
+
+    const issues = [];
+    definition.fields.forEach(({ field, optional, types }) => {
+      const value = payload[field];
+      if (value === undefined) {
+        if (!optional) issues.push(`${field} is required`);
+      } else if (!types.some(name => FIELD_TYPES[name](value))) {
+        const received = typeof value === 'number' ? String(value) : describeType(value);
+        issues.push(`${field} must be ${types.join(' or ')} (got ${received})`);
+      }
+    });
+
+    if (definition.strict) {
+      Object.keys(payload)
+        .filter(key => !definition.fields.some(({ field }) => field === key))
+        .forEach(key => issues.push(`unexpected field ${key}`));
+    }
+
+    return issues;
+  }
+
+  // Shared by ADD_NOTIFICATION and achievements (which are computed inside another reducer)
+  function queueNotification(state, notification) {
+    const ui = state.session.ui;
+    ui.notificationQueue = [...ui.notificationQueue, notification].slice(-MAX_QUEUED_NOTIFICATIONS);
+  }
+
   /*
     ==========================================
     STATE MANAGEMENT CONTROLLER
@@ -46,208 +900,8 @@
         overallProgress: 0,
         totalScore: 0,
         
-        stages: {
-          foundations: {
-            id: 'foundations',
-            unlocked: true,
-            completed: false,
-            progress: 0,
-            score: 0,
-            startedAt: null,
-            completedAt: null,
-            timeSpent: 0,
-            projects: {
-              'calculator-interest': {
-                id: 'calculator-interest',
-                unlocked: true,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              },
-              'naming-conventions': {
-                id: 'naming-conventions',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              }
-            }
-          },
-          debugging: {
-            id: 'debugging',
-            unlocked: false,
-            completed: false,
-            progress: 0,
-            score: 0,
-            startedAt: null,
-            completedAt: null,
-            timeSpent: 0,
-            projects: {
-              'recursion-overflow': {
-                id: 'recursion-overflow',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              },
-              'comma-operator': {
-                id: 'comma-operator',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              }
-            }
-          },
-          millionaire: {
-            id: 'millionaire',
-            unlocked: false,
-            completed: false,
-            progress: 0,
-            score: 0,
-            startedAt: null,
-            completedAt: null,
-            timeSpent: 0,
-            projects: {
-              'precedence-disaster': {
-                id: 'precedence-disaster',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              },
-              'integer-overflow': {
-                id: 'integer-overflow',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              }
-            }
-          },
-          mastery: {
-            id: 'mastery',
-            unlocked: false,
-            completed: false,
-            progress: 0,
-            score: 0,
-            startedAt: null,
-            completedAt: null,
-            timeSpent: 0,
-            projects: {
-              'clean-architecture': {
-                id: 'clean-architecture',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              },
-              'prevention-system': {
-                id: 'prevention-system',
-                unlocked: false,
-                completed: false,
-                attempts: 0,
-                bestScore: 0,
-                currentScore: 0,
-                timeSpent: 0,
-                startedAt: null,
-                completedAt: null,
-                codeSubmissions: [],
-                feedback: [],
-                competencies: {
-                  correctness: 0,
-                  readability: 0,
-                  maintainability: 0,
-                  efficiency: 0
-                }
-              }
-            }
-          }
-        },
+        // Generated from AppConfig's project registry (one entry per roadmap project)
+        stages: createRoadmapStages(),
 
         // Learning Analytics (Educational Data Mining)
         analytics: {
@@ -309,6 +963,9 @@
           learningPath: 'structured' // 'structured' | 'flexible' | 'accelerated'
         },
 
+        // Local files opened in the laboratory (metadata only, newest first)
+        recentFiles: [],
+
         settings: {
           autoAdvance: false,
           skipIntros: false,
@@ -338,6 +995,9 @@
           lastSaved: null,
           undoStack: [],
           redoStack: [],
+          lastEditAt: null, // last edit that can still be merged (typing burst in progress)
+          historyProject: LABORATORY_HISTORY_KEY,
+          histories: {}, // parked history of the other projects
           isExecuting: false,
           executionResults: null,
           validationResults: null
@@ -348,6 +1008,7 @@
           sidebarCollapsed: false,
           activeTab: 'code',
           modalOpen: null,
+          modalData: null,
           notificationQueue: [],
           loadingStates: {},
           errorStates: {},
@@ -376,18 +1037,61 @@
     observers: new Map(),
     middleware: [],
 
+    /*
+      ==========================================
+      PERSISTENCE STATUS - StateStorage Backend
+      ==========================================
+    */
+
+    storageBackend: null,
+    initialization: null,
+    hydrated: false,              // nothing is written until the backend has loaded
+    pendingActions: null,         // actions dispatched while loading (replayed afterwards)
+    persistence: Promise.resolve(),
+    persistPending: false,
+    persistFailed: false,         // auto-save retries while the last write keeps failing
+    persistedStateText: null,     // last state written: only rewritten when it changes
+    persistedSubmissionIds: new Set(),
+    editorHistoryTimer: null,     // pending editor_history write, debounced like CodeEditor's sync
+    loadedRaw: null,
+    legacyStateToRemove: false,   // localStorage copy migrated to IndexedDB
+    isLeader: true,               // with several tabs only the leader persists and runs the timers
+
+    /*
+      ==========================================
+      SERVER SYNC STATUS - Change Sets for AppConfig.getSyncConfig()
+      ==========================================
+    */
+
+    syncInFlight: null,
+    syncRequested: false,         // changes arrived during a request: another one is sent when it ends
+    syncTimer: null,
+
     /*
       ==========================================
       INITIALIZATION SYSTEM
       ==========================================
     */
 
+    // Both App and the auto-init call it: one load, the same promise
     init() {
+      if (!this.initialization) {
+        this.initialization = this.initialize();
+      }
+      return this.initialization;
+    },
+
+    // Resolves once the persisted state has been loaded
+    whenInitialized() {
+      return this.init();
+    },
+
+    async initialize() {
       this.log('info', '🚀 Initializing AppState...');
       
       try {
-        // Load persisted state
-        this.loadPersistedState();
+        // Load persisted state (the backend may be asynchronous)
+        await this.hydrate();
         
         // Initialize session
         this.initializeSession();
@@ -404,6 +1108,9 @@
         // Initialize computed properties
         this.updateComputedProperties();
         
+        // Save the new session (and move a legacy localStorage copy over)
+        this.persistState();
+        
         this.log('info', '✅ AppState initialized successfully');
         
         // Notify initialization complete
@@ -415,6 +1122,30 @@
       }
     },
 
+    async hydrate() {
+      this.storageBackend = window.StateStorage?.select() || null;
+      this.restoreEditorHistory(window.AppUtils?.storage?.get('editor_history'));
+      
+      const bootState = window.AppUtils?.data.deepClone(this.state) || JSON.parse(JSON.stringify(this.state));
+      this.pendingActions = [];
+      
+      try {
+        const loaded = await this.loadPersistedState();
+        
+        if (loaded) {
+          // Actions dispatched while the backend was being read are replayed on the loaded state
+          const state = this.pendingActions.reduce(
+            (current, action) => this.reduce(current, action),
+            { ...loaded, session: bootState.session }
+          );
+          this.replaceState(state, { reason: 'hydrate' });
+        }
+      } finally {
+        this.pendingActions = null;
+        this.hydrated = true;
+      }
+    },
+
     initializeSession() {
       const now = Date.now();
       this.state.session.sessionStartTime = now;
@@ -430,6 +1161,9 @@
     initializeFallbackState() {
       this.log('warn', '🚧 Using fallback state');
       
+      // The defaults will be saved over it: the previous progress goes to quarantine first
+      if (this.loadedRaw) this.quarantineState(this.loadedRaw, 'fallback');
+      
       // Reset to safe defaults
       this.state = this.getDefaultState();
       this.emit('state:fallback-initialized', this.getPublicState());
@@ -452,7 +1186,8 @@
         projectId, 
         code, 
         testResults,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        submissionId: this.generateId()
       });
     },
 
@@ -490,8 +1225,18 @@
     },
 
     // Session Actions
-    updateEditorCode(code) {
-      return this.dispatch('UPDATE_EDITOR_CODE', { code, timestamp: Date.now() });
+    // saved: true marks the code as saved (Ctrl+S, a freshly opened file)
+    // coalesce: false starts a history entry of its own (fixes, formatting)
+    updateEditorCode(code, { saved = false, coalesce = true } = {}) {
+      return this.dispatch('UPDATE_EDITOR_CODE', { code, saved, coalesce, timestamp: Date.now() });
+    },
+
+    undoEdit() {
+      return this.dispatch('UNDO_EDIT', { timestamp: Date.now() });
+    },
+
+    redoEdit() {
+      return this.dispatch('REDO_EDIT', { timestamp: Date.now() });
     },
 
     executeCode(code, results) {
@@ -503,6 +1248,26 @@
       });
     },
 
+    addRecentFile(file) {
+      return this.dispatch('ADD_RECENT_FILE', {
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        lastModified: file.lastModified,
+        issues: file.issues || 0,
+        openedAt: Date.now()
+      });
+    },
+
+    // Application Actions
+    updateAppVersion(version, previousVersion = null) {
+      return this.dispatch('UPDATE_APP_VERSION', {
+        version,
+        previousVersion,
+        timestamp: Date.now()
+      });
+    },
+
     // UI State Actions
     toggleSidebar() {
       return this.dispatch('TOGGLE_SIDEBAR');
@@ -540,6 +1305,9 @@
 
       this.log('debug', `📨 Dispatching: ${actionType}`, payload);
 
+      // An unknown or malformed action never reaches the reducers
+      this.assertValidAction(action);
+
       // Run middleware
       let processedAction = action;
       for (const middleware of this.middleware) {
@@ -550,8 +1318,29 @@
       const previousState = window.AppUtils?.data.deepClone(this.state) || JSON.parse(JSON.stringify(this.state));
       const newState = this.reduce(this.state, processedAction);
 
+      return this.commitAction(processedAction, previousState, newState);
+    },
+
+    /**
+     * Applies an action dispatched in another tab (TabSync). Only the shared
+     * part of the result is kept: this tab's session (editor, UI, current
+     * project) stays as it is. The action carries remote: true so it is not
+     * broadcast again, and only the leader tab persists it.
+     */
+    applyRemoteAction(action) {
+      this.assertValidAction(action);
+
+      const remoteAction = { ...action, remote: true };
+      const previousState = window.AppUtils?.data.deepClone(this.state) || JSON.parse(JSON.stringify(this.state));
+      const reduced = this.reduce(this.state, remoteAction);
+
+      return this.commitAction(remoteAction, previousState, { ...reduced, session: this.state.session });
+    },
+
+    commitAction(action, previousState, newState) {
       // Update state
       this.state = newState;
+      this.pendingActions?.push(action);
 
       // Update computed properties
       this.updateComputedProperties();
@@ -559,22 +1348,129 @@
       // Persist if needed
       this.persistState();
 
+      // Progress changes are queued for the sync server
+      this.recordSyncChange(action);
+
       // Notify observers
       this.emit('state:changed', {
-        action: processedAction,
+        action,
         previousState,
         newState: this.getPublicState()
       });
 
       // Specific action notifications
-      this.emit(`action:${actionType.toLowerCase()}`, {
-        action: processedAction,
+      this.emit(`action:${action.type.toLowerCase()}`, {
+        action,
         state: this.getPublicState()
       });
 
       return newState;
     },
 
+    /**
+     * Swaps in a whole state (time travel, imported sessions) without running
+     * reducers or persisting. Observers get state:replaced, and state:changed
+     * with a REPLACE_STATE action so generic views refresh too.
+     */
+    replaceState(nextState, { reason = 'replace' } = {}) {
+      const previousState = this.getPublicState();
+      this.state = window.AppUtils?.data.deepClone(nextState) || JSON.parse(JSON.stringify(nextState));
+
+      const action = { type: 'REPLACE_STATE', payload: { reason }, timestamp: Date.now(), sessionId: this.getSessionId() };
+      this.log('debug', `⏪ State replaced (${reason})`);
+
+      this.emit('state:replaced', { reason, previousState, state: this.getPublicState() });
+      this.emit('state:changed', { action, previousState, newState: this.getPublicState() });
+
+      return this.state;
+    },
+
+    /*
+      ==========================================
+      ACTION REGISTRY - Declared Types, Payload Schemas & Reducers
+      ==========================================
+    */
+
+    /**
+     * Declares an action type the store accepts. `payload` maps each field
+     * to a type string (see ACTION REGISTRY above) and `reduce(state, payload,
+     * action)` must return a new state without mutating the one it gets.
+     * Returns a function that removes the action again; the core actions
+     * cannot be replaced or removed.
+     */
+    registerAction({ type, description = '', payload = {}, strict = true, sync = true, reduce } = {}) {
+      if (typeof type !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(type)) {
+        throw new TypeError(`Action type must be an UPPER_SNAKE_CASE string (got ${JSON.stringify(type)})`);
+      }
+      if (typeof reduce !== 'function') {
+        throw new TypeError(`Action ${type} needs a reduce(state, payload, action) function`);
+      }
+      if (actionRegistry.has(type)) {
+        throw new Error(`Action ${type} is already registered`);
+      }
+
+      const definition = {
+        type,
+        description,
+        payload: { ...payload },
+        strict: strict !== false,
+        sync: sync !== false,
+        core: false,
+        fields: compilePayloadSchema(type, payload),
+        reduce
+      };
+      actionRegistry.set(type, definition);
+      this.log('debug', `🧩 Action registered: ${type}`);
+
+      return () => {
+        if (actionRegistry.get(type) === definition) actionRegistry.delete(type);
+      };
+    },
+
+    hasAction(type) {
+      return actionRegistry.has(type);
+    },
+
+    // Catalog for documentation and debugging tools
+    listActions() {
+      return [...actionRegistry.values()].map(definition => this.describeAction(definition));
+    },
+
+    getAction(type) {
+      const definition = actionRegistry.get(type);
+      return definition ? this.describeAction(definition) : null;
+    },
+
+    describeAction({ type, description, payload, strict, sync, core }) {
+      return { type, description, payload: { ...payload }, strict, sync, core };
+    },
+
+    // List of problems; empty when the action exists and its payload matches the schema
+    validateAction(action) {
+      const definition = actionRegistry.get(action?.type);
+      if (!definition) {
+        return [`unknown action type ${JSON.stringify(action?.type)}`];
+      }
+      return checkPayload(definition, action.payload);
+    },
+
+    assertValidAction(action) {
+      const issues = this.validateAction(action);
+      if (issues.length === 0) return;
+
+      const message = actionRegistry.has(action.type)
+        ? `Invalid ${action.type} payload: ${issues.join('; ')}`
+        : `Unknown action type ${JSON.stringify(action.type)}; see AppState.listActions() or register it with AppState.registerAction()`;
+
+      this.log('warn', `🚫 Action rejected: ${message}`);
+      this.emit('action:rejected', { action, issues });
+
+      const error = actionRegistry.has(action.type) ? new TypeError(message) : new Error(message);
+      error.actionType = action.type;
+      error.issues = issues;
+      throw error;
+    },
+
     /*
       ==========================================
       REDUCERS - Pure Functions for State Changes
@@ -582,52 +1478,14 @@
     */
 
     reduce(state, action) {
-      const { type, payload } = action;
+      const definition = actionRegistry.get(action.type);
 
-      switch (type) {
-        case 'START_PROJECT':
-          return this.reduceStartProject(state, payload);
-        
-        case 'SUBMIT_PROJECT_CODE':
-          return this.reduceSubmitProjectCode(state, payload);
-        
-        case 'UPDATE_PROJECT_SCORE':
-          return this.reduceUpdateProjectScore(state, payload);
-        
-        case 'COMPLETE_PROJECT':
-          return this.reduceCompleteProject(state, payload);
-        
-        case 'UNLOCK_NEXT_STAGE':
-          return this.reduceUnlockNextStage(state, payload);
-        
-        case 'UPDATE_USER_PROFILE':
-          return this.reduceUpdateUserProfile(state, payload);
-        
-        case 'UPDATE_USER_PREFERENCES':
-          return this.reduceUpdateUserPreferences(state, payload);
-        
-        case 'UPDATE_EDITOR_CODE':
-          return this.reduceUpdateEditorCode(state, payload);
-        
-        case 'EXECUTE_CODE':
-          return this.reduceExecuteCode(state, payload);
-        
-        case 'TOGGLE_SIDEBAR':
-          return this.reduceToggleSidebar(state);
-        
-        case 'SHOW_MODAL':
-          return this.reduceShowModal(state, payload);
-        
-        case 'HIDE_MODAL':
-          return this.reduceHideModal(state);
-        
-        case 'ADD_NOTIFICATION':
-          return this.reduceAddNotification(state, payload);
-        
-        default:
-          this.log('warn', `Unknown action type: ${type}`);
-          return state;
+      // Middleware may have changed the type after it was validated
+      if (!definition) {
+        throw new Error(`No reducer registered for action type ${JSON.stringify(action.type)}`);
       }
+
+      return definition.reduce(state, action.payload, action);
     },
 
     // Individual Reducers (Pure Functions)
@@ -641,6 +1499,9 @@
         newState.session.currentProject = projectId;
         newState.session.currentStage = stageId;
         
+        // Each case keeps its own code and undo history
+        switchEditorHistory(newState.session.editor, projectId);
+        
         // Update analytics
         newState.education.analytics.codeExecutions = 0; // Reset for new project
         
@@ -650,13 +1511,14 @@
       return newState;
     },
 
-    reduceSubmitProjectCode(state, { stageId, projectId, code, testResults, timestamp }) {
+    reduceSubmitProjectCode(state, { stageId, projectId, code, testResults, timestamp, submissionId }) {
       const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
       const project = newState.education.stages[stageId]?.projects[projectId];
       
       if (project) {
-        // Add code submission
+        // Add code submission (the id names its storage record)
         project.codeSubmissions.push({
+          id: submissionId || `${projectId}-${timestamp}`,
           code,
           testResults,
           timestamp,
@@ -683,6 +1545,28 @@
       return newState;
     },
 
+    reduceUpdateProjectScore(state, { stageId, projectId, score, competencies = {} }) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const project = newState.education.stages[stageId]?.projects[projectId];
+
+      if (project) {
+        // The rubric score replaces the submission's score; the best one is kept
+        project.currentScore = score;
+        project.bestScore = Math.max(project.bestScore, score);
+
+        // Only the known criteria (correctness, readability, maintainability, efficiency)
+        Object.keys(project.competencies).forEach(criterion => {
+          if (typeof competencies[criterion] === 'number') {
+            project.competencies[criterion] = competencies[criterion];
+          }
+        });
+
+        this.log('info', `📐 Score updated for ${projectId}: ${score}`);
+      }
+
+      return newState;
+    },
+
     reduceCompleteProject(state, { stageId, projectId, finalScore, timeSpent, timestamp }) {
       const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
       const project = newState.education.stages[stageId]?.projects[projectId];
@@ -695,21 +1579,8 @@
         project.timeSpent += timeSpent;
         project.bestScore = Math.max(project.bestScore, finalScore);
         
-        // Update stage progress
-        const stageProjects = Object.values(stage.projects);
-        const completedProjects = stageProjects.filter(p => p.completed);
-        stage.progress = Math.round((completedProjects.length / stageProjects.length) * 100);
-        
-        // Check if stage is completed
-        if (completedProjects.length === stageProjects.length) {
-          stage.completed = true;
-          stage.completedAt = timestamp;
-          
-          // Calculate stage score (average of project scores)
-          stage.score = Math.round(
-            stageProjects.reduce((sum, p) => sum + p.bestScore, 0) / stageProjects.length
-          );
-        }
+        // Update stage progress, completion and the next stage's unlock
+        recomputeStage(newState, stageId);
         
         // Update overall progress
         this.updateOverallProgress(newState);
@@ -718,21 +1589,136 @@
         newState.education.analytics.totalTimeSpent += timeSpent;
         newState.education.analytics.conceptsMastered.push(`${stageId}:${projectId}`);
         
-        // Check for achievements
-        this.checkAchievements(newState, { type: 'project_completed', stageId, projectId, finalScore });
+        // Check for achievements
+        this.checkAchievements(newState, { type: 'project_completed', stageId, projectId, finalScore });
+        
+        this.log('info', `🎉 Project completed: ${projectId} with score ${finalScore}`);
+      }
+      
+      return newState;
+    },
+
+    reduceEvictSubmissions(state, { ids }) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const evicted = new Set(ids);
+      
+      Object.values(newState.education.stages).forEach(stage => {
+        Object.values(stage.projects).forEach(project => {
+          project.codeSubmissions = project.codeSubmissions.filter(submission => !evicted.has(submission.id));
+        });
+      });
+      
+      this.log('info', `🧹 Evicted ${evicted.size} old submissions`);
+      return newState;
+    },
+
+    reduceImportProgress(state, { data }) {
+      return this.applyProgressMerge(state, data, count => `📦 Progress imported: ${count} changes`);
+    },
+
+    reduceApplyServerSync(state, { data, revision }) {
+      return this.applyProgressMerge(state, data, count => `🌐 Server revision ${revision} merged: ${count} changes`);
+    },
+
+    // Imports and server responses merge the same way; only the log line differs
+    applyProgressMerge(state, data, describe) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const { changes } = mergeProgress(newState, data);
+      this.updateOverallProgress(newState);
+      
+      this.log('info', describe(changes.length));
+      return newState;
+    },
+
+    reduceUnlockNextStage(state, { currentStageId }) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const nextStage = unlockStageAfter(newState, currentStageId);
+      
+      if (nextStage) {
+        this.log('info', `🔓 Stage unlocked: ${nextStage.id}`);
+      }
+      
+      return newState;
+    },
+
+    reduceUpdateUserProfile(state, profileData) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      
+      Object.entries(profileData)
+        .filter(([, value]) => value !== undefined)
+        .forEach(([field, value]) => { newState.user.profile[field] = value; });
+      
+      return newState;
+    },
+
+    reduceUpdateUserPreferences(state, preferences) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      
+      Object.entries(preferences)
+        .filter(([, value]) => value !== undefined)
+        .forEach(([field, value]) => { newState.user.preferences[field] = value; });
+      
+      return newState;
+    },
+
+    reduceUpdateEditorCode(state, { code, saved = false, coalesce = true, timestamp }) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const editor = newState.session.editor;
+      
+      if (code !== editor.currentCode) {
+        const { maxEntries, coalesceWindow } = getHistoryConfig();
+        const top = editor.undoStack[editor.undoStack.length - 1];
+        const inBurst = coalesce && !saved && top && editor.lastEditAt !== null &&
+          timestamp - editor.lastEditAt <= coalesceWindow;
+        
+        // A typing burst is a single entry: it is rebuilt from the code before the burst started
+        if (inBurst) {
+          const burstStart = revertEdit(editor.currentCode, top);
+          editor.undoStack.pop();
+          // If the burst leaves the code as it was, there is nothing to undo
+          if (burstStart !== code) editor.undoStack.push(createEdit(burstStart, code, top.timestamp));
+        } else {
+          editor.undoStack = [...editor.undoStack, createEdit(editor.currentCode, code, timestamp)].slice(-maxEntries);
+        }
         
-        this.log('info', `🎉 Project completed: ${projectId} with score ${finalScore}`);
+        editor.redoStack = [];
+        editor.lastEditAt = coalesce && !saved ? timestamp : null;
+      }
+      
+      // lastSaved keeps the last save even if there are changes after it
+      editor.isModified = saved ? false : editor.isModified || code !== editor.currentCode;
+      editor.lastSaved = saved ? timestamp : editor.lastSaved;
+      editor.currentCode = code;
+      
+      return newState;
+    },
+
+    reduceUndoEdit(state) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const editor = newState.session.editor;
+      const edit = editor.undoStack.pop();
+      
+      if (edit) {
+        editor.currentCode = revertEdit(editor.currentCode, edit);
+        editor.redoStack.push(edit);
+        editor.isModified = true;
+        editor.lastEditAt = null;
       }
       
       return newState;
     },
 
-    reduceUpdateEditorCode(state, { code, timestamp }) {
+    reduceRedoEdit(state) {
       const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const editor = newState.session.editor;
+      const edit = editor.redoStack.pop();
       
-      newState.session.editor.currentCode = code;
-      newState.session.editor.isModified = true;
-      newState.session.editor.lastSaved = null;
+      if (edit) {
+        editor.currentCode = reapplyEdit(editor.currentCode, edit);
+        editor.undoStack.push(edit);
+        editor.isModified = true;
+        editor.lastEditAt = null;
+      }
       
       return newState;
     },
@@ -754,6 +1740,54 @@
       return newState;
     },
 
+    reduceAddRecentFile(state, file) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      const maxRecentFiles = 10;
+      
+      // Reopening a file moves it to the top instead of duplicating it
+      const others = newState.user.recentFiles.filter(recent => recent.name !== file.name);
+      newState.user.recentFiles = [file, ...others].slice(0, maxRecentFiles);
+      
+      return newState;
+    },
+
+    reduceUpdateAppVersion(state, { version, previousVersion, timestamp }) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      
+      newState.app.version = version;
+      newState.app.lastUpdated = timestamp;
+      
+      this.log('info', `⬆️ App updated: ${previousVersion || 'unknown'} → ${version}`);
+      
+      return newState;
+    },
+
+    reduceToggleSidebar(state) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      newState.session.ui.sidebarCollapsed = !newState.session.ui.sidebarCollapsed;
+      return newState;
+    },
+
+    reduceShowModal(state, { modalId, data = {} }) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      newState.session.ui.modalOpen = modalId;
+      newState.session.ui.modalData = data;
+      return newState;
+    },
+
+    reduceHideModal(state) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      newState.session.ui.modalOpen = null;
+      newState.session.ui.modalData = null;
+      return newState;
+    },
+
+    reduceAddNotification(state, notification) {
+      const newState = window.AppUtils?.data.deepClone(state) || JSON.parse(JSON.stringify(state));
+      queueNotification(newState, notification);
+      return newState;
+    },
+
     /*
       ==========================================
       COMPUTED PROPERTIES & ANALYTICS
@@ -849,13 +1883,15 @@
           
           this.log('info', `🏆 Achievement earned: ${achievement.name}`);
           
-          // Show notification
-          this.addNotification({
+          // Queued on the state being reduced: a nested dispatch would lose it
+          queueNotification(state, {
             type: 'achievement',
             title: '🏆 ¡Logro Desbloqueado!',
             message: `${achievement.name}: ${achievement.description}`,
             icon: achievement.icon,
-            duration: 5000
+            duration: 5000,
+            id: this.generateId(),
+            timestamp: Date.now()
           });
         }
       });
@@ -876,7 +1912,7 @@
           return trigger.type === 'project_completed' && trigger.finalScore >= 100;
         
         case 'architect':
-          return state.education.stages.mastery.completed;
+          return Boolean(state.education.stages.mastery?.completed);
         
         default:
           return false;
@@ -890,51 +1926,353 @@
     */
 
     persistState() {
-      if (!window.AppUtils?.storage) {
-        this.log('warn', '⚠️ Storage utils not available');
-        return;
+      // Nothing is written before loading finishes: the defaults would overwrite the saved progress
+      if (!this.hydrated) return this.persistence;
+      
+      // The editor belongs to each tab; only the leader tab writes the shared state
+      this.scheduleEditorHistoryWrite();
+      if (!this.isLeader) return this.persistence;
+      
+      if (!this.storageBackend) {
+        this.log('warn', '⚠️ No storage backend available');
+        return this.persistence;
       }
       
+      // Writes are queued: several actions in a row are saved in a single write
+      this.persistPending = true;
+      this.persistence = this.persistence.then(() => this.writePersistedState());
+      return this.persistence;
+    },
+
+    // Incremental: only new/evicted submission records, and the state text only when it changed
+    async writePersistedState() {
+      if (!this.persistPending) return;
+      this.persistPending = false;
+      
+      const backend = this.storageBackend;
+      const persistableState = this.getPersistedableState();
+      const stateText = JSON.stringify(persistableState);
+      const submissions = collectSubmissions(this.state);
+      const currentIds = new Set(submissions.map(submission => submission.id));
+      const added = submissions.filter(submission => !this.persistedSubmissionIds.has(submission.id));
+      const removed = [...this.persistedSubmissionIds].filter(id => !currentIds.has(id));
+      
       try {
-        const persistableState = this.getPersistedableState();
-        window.AppUtils.storage.set('app_state', persistableState);
+        await backend.writeSubmissions(added);
+        added.forEach(submission => this.persistedSubmissionIds.add(submission.id));
+        
+        await backend.deleteSubmissions(removed);
+        removed.forEach(id => this.persistedSubmissionIds.delete(id));
+        
+        if (stateText !== this.persistedStateText) {
+          // Same format as AppUtils.storage ({ value, timestamp, expiry }) on every backend
+          await backend.writeState(JSON.stringify({
+            value: { schemaVersion: STATE_SCHEMA_VERSION, savedAt: Date.now(), state: persistableState },
+            timestamp: Date.now(),
+            expiry: null
+          }));
+          this.persistedStateText = stateText;
+        }
+        
+        if (this.legacyStateToRemove) {
+          window.AppUtils?.storage?.remove('app_state');
+          this.legacyStateToRemove = false;
+        }
+        
+        this.persistFailed = false;
+        this.log('debug', `💾 State persisted (${backend.name})`);
         
-        this.state.app.syncStatus = 'synced';
-        this.log('debug', '💾 State persisted');
+        // Only new submissions make storage grow
+        if (added.length > 0) await this.checkStorageQuota();
         
       } catch (error) {
-        this.log('error', '❌ Failed to persist state:', error);
-        this.state.app.syncStatus = 'error';
+        this.persistFailed = true;
+        
+        if (window.StateStorage?.isQuotaError(error)) {
+          this.log('warn', '📦 Storage quota exceeded while persisting');
+          this.evictOldSubmissions('quota-exceeded');
+        } else {
+          this.log('error', '❌ Failed to persist state:', error);
+        }
       }
     },
 
-    loadPersistedState() {
-      if (!window.AppUtils?.storage) {
-        this.log('warn', '⚠️ Storage utils not available for loading');
-        return;
+    // Returns the stored state (without session), or null to keep the defaults
+    async loadPersistedState() {
+      const backend = this.storageBackend;
+      if (!backend) {
+        this.log('warn', '⚠️ No storage backend available for loading');
+        return null;
+      }
+      
+      // Template taken before waiting for the backend: actions dispatched meanwhile are replayed later
+      const { session, ...template } = this.getDefaultState();
+      
+      // The raw text: unreadable JSON is quarantined instead of being lost on the next save
+      let raw = await backend.readState();
+      
+      // First load with IndexedDB: the progress stays in localStorage until the first write
+      if (raw === null && backend.name !== 'localStorage') {
+        raw = window.AppUtils?.storage?.getRaw('app_state') ?? null;
+        this.legacyStateToRemove = raw !== null;
+      }
+      this.loadedRaw = raw;
+      
+      if (raw === null) {
+        this.log('info', '🆕 No persisted state found, using defaults');
+        return null;
       }
       
+      let loaded;
       try {
-        const persistedState = window.AppUtils.storage.get('app_state');
+        const { value } = JSON.parse(raw) || {};
+        const { version, state } = readStateEnvelope(value);
+        const migrated = applyProjectRenames(migrateState(version, state));
         
-        if (persistedState) {
-          // Merge persisted state with default state (for new properties)
-          this.state = window.AppUtils.data.deepMerge(this.getDefaultState(), persistedState);
-          this.log('info', '📥 State loaded from storage');
-        } else {
-          this.log('info', '🆕 No persisted state found, using defaults');
+        // Merge persisted state with default state (for new properties), checking every type
+        const issues = { invalid: [], removed: [] };
+        loaded = conformToTemplate(template, migrated, 'state', issues);
+        
+        if (issues.invalid.length > 0) {
+          this.quarantineState(raw, 'invalid-fields', issues.invalid);
+        }
+        if (issues.removed.length > 0) {
+          this.log('info', `🧹 Dropped ${issues.removed.length} obsolete keys:`, issues.removed);
         }
         
+        this.log('info', `📥 State loaded from ${backend.name} (schema v${version}${version < STATE_SCHEMA_VERSION ? ` → v${STATE_SCHEMA_VERSION}` : ''})`);
+        
       } catch (error) {
+        // Unreadable or from a future version: it is set aside untouched and the defaults are used
         this.log('error', '❌ Failed to load persisted state:', error);
-        this.initializeFallbackState();
+        this.quarantineState(raw, 'unreadable', [{ message: error.message }]);
+        return null;
+      }
+      
+      try {
+        this.persistedSubmissionIds = attachSubmissions(loaded, await backend.readSubmissions());
+      } catch (error) {
+        // The app works without the records; the submissions in memory are written again
+        this.log('error', '❌ Failed to load submissions:', error);
+      }
+      
+      return loaded;
+    },
+
+    /*
+      ==========================================
+      STORAGE QUOTA & EVICTION
+      ==========================================
+    */
+
+    async checkStorageQuota() {
+      const estimate = await window.StateStorage.estimate(this.storageBackend);
+      const { quotaThreshold } = window.StateStorage.getConfig();
+      
+      if (estimate && estimate.ratio >= quotaThreshold) {
+        this.log('warn', `📦 Storage at ${Math.round(estimate.ratio * 100)}% of quota`);
+        this.evictOldSubmissions('quota-threshold');
+      }
+      return estimate;
+    },
+
+    /**
+     * Frees space by dropping the older half of the evictable submissions
+     * (each project keeps its latest `keepPerProject` and its best one).
+     * Scores, completion and the rest of the progress are never touched.
+     * Returns how many were evicted; emits storage:full when none can be.
+     */
+    evictOldSubmissions(reason = 'manual') {
+      const { keepPerProject } = window.StateStorage?.getConfig() || { keepPerProject: 3 };
+      const evictable = selectEvictableSubmissions(this.state, keepPerProject);
+      
+      if (evictable.length === 0) {
+        this.log('warn', '📦 Storage is full and no submission can be evicted');
+        this.emit('storage:full', { reason });
+        return 0;
       }
+      
+      const ids = evictable.slice(0, Math.ceil(evictable.length / 2));
+      this.dispatch('EVICT_SUBMISSIONS', { ids, reason });
+      return ids.length;
+    },
+
+    async getStorageInfo() {
+      const backend = this.storageBackend;
+      const estimate = backend ? await window.StateStorage.estimate(backend) : null;
+      const { keepPerProject } = window.StateStorage?.getConfig() || { keepPerProject: 3 };
+      
+      return {
+        backend: backend?.name || null,
+        usage: estimate?.usage ?? null,
+        quota: estimate?.quota ?? null,
+        ratio: estimate?.ratio ?? null,
+        submissions: collectSubmissions(this.state).length,
+        evictable: selectEvictableSubmissions(this.state, keepPerProject).length
+      };
+    },
+
+    // Keeps the original blob aside (mdb_app_state_quarantine) before it is overwritten
+    quarantineState(raw, reason, details = []) {
+      const quarantine = window.AppUtils.storage.get('app_state_quarantine', []);
+      const entry = { reason, details, raw, quarantinedAt: Date.now(), appSchemaVersion: STATE_SCHEMA_VERSION };
+      
+      window.AppUtils.storage.set('app_state_quarantine', [entry, ...quarantine].slice(0, MAX_QUARANTINED_STATES));
+      this.log('warn', `🧪 Persisted state quarantined (${reason})`, details);
+      this.emit('state:quarantined', { reason, details, quarantinedAt: entry.quarantinedAt });
+    },
+
+    getQuarantinedStates() {
+      return window.AppUtils?.storage.get('app_state_quarantine', []) || [];
+    },
+
+    clearQuarantinedStates() {
+      window.AppUtils?.storage.remove('app_state_quarantine');
     },
 
     getPersistedableState() {
-      // Don't persist session state or temporary UI state
+      // Don't persist session state or temporary UI state; submissions are separate records
       const { session, ...persistableState } = this.state;
-      return persistableState;
+      const { isOnline, syncStatus, ...app } = persistableState.app;
+      return { ...persistableState, app, education: withoutSubmissions(persistableState.education) };
+    },
+
+    // Of the session, only each project's code and undo/redo history survive a reload
+    getPersistedEditorHistory() {
+      const editor = this.state.session.editor;
+      return {
+        ...editor.histories,
+        [editor.historyProject]: {
+          code: editor.currentCode,
+          undoStack: editor.undoStack,
+          redoStack: editor.redoStack,
+          updatedAt: Date.now()
+        }
+      };
+    },
+
+    // Typing dispatches on every keystroke: write editor_history once the burst settles
+    scheduleEditorHistoryWrite() {
+      clearTimeout(this.editorHistoryTimer);
+      this.editorHistoryTimer = setTimeout(() => this.flushEditorHistory(), window.CodeEditor?.config?.syncDelay ?? 300);
+    },
+
+    flushEditorHistory() {
+      if (!this.editorHistoryTimer) return;
+      clearTimeout(this.editorHistoryTimer);
+      this.editorHistoryTimer = null;
+      window.AppUtils?.storage?.set('editor_history', this.getPersistedEditorHistory());
+    },
+
+    restoreEditorHistory(persisted) {
+      if (!persisted || typeof persisted !== 'object') return;
+
+      // Only well-formed entries: a corrupt history must not break the editor
+      const histories = {};
+      Object.entries(persisted).forEach(([key, history]) => {
+        if (typeof history?.code !== 'string') return;
+        histories[key] = {
+          code: history.code,
+          undoStack: Array.isArray(history.undoStack) ? history.undoStack.filter(isEdit) : [],
+          redoStack: Array.isArray(history.redoStack) ? history.redoStack.filter(isEdit) : [],
+          updatedAt: Number(history.updatedAt) || 0
+        };
+      });
+
+      const editor = this.state.session.editor;
+      const active = histories[editor.historyProject];
+      delete histories[editor.historyProject];
+
+      editor.histories = histories;
+      if (active) {
+        editor.currentCode = active.code;
+        editor.undoStack = active.undoStack;
+        editor.redoStack = active.redoStack;
+      }
+    },
+
+    /*
+      ==========================================
+      PROGRESS EXPORT & IMPORT - Portable Bundles
+      ==========================================
+    */
+
+    /**
+     * Builds a progress bundle with an integrity checksum (see
+     * ProgressBundle): stages, achievements and analytics counters, plus the
+     * Analytics event log when includeEvents is true. Code submissions are
+     * not included.
+     */
+    async exportProgress({ includeEvents = false } = {}) {
+      const bundle = this.requireProgressBundle();
+      const data = collectProgress(this.state);
+      
+      if (includeEvents) {
+        data.events = [...(window.Analytics?.state.eventsBuffer || [])];
+      }
+      
+      return bundle.seal({
+        exportedAt: new Date().toISOString(),
+        app: { version: this.state.app.version },
+        schemaVersion: STATE_SCHEMA_VERSION,
+        data
+      });
+    },
+
+    // Compact code for a QR code: no events, since they take up the most space
+    async exportProgressCode() {
+      const code = await this.requireProgressBundle().encodeCompact(await this.exportProgress());
+      return { code, length: code.length, fitsInQrCode: window.ProgressBundle.fitsInQrCode(code) };
+    },
+
+    /**
+     * Verifies a bundle (object, JSON text or compact code) and reports
+     * what importing it would change, without changing anything.
+     */
+    async previewProgressImport(input) {
+      const bundle = await this.requireProgressBundle().open(input);
+      const draft = window.AppUtils?.data.deepClone(this.state) || JSON.parse(JSON.stringify(this.state));
+      const { changes, skipped } = mergeProgress(draft, bundle.data);
+      const events = Array.isArray(bundle.data.events) ? bundle.data.events : [];
+      const knownEvents = new Set((window.Analytics?.state.eventsBuffer || []).map(event => event.id));
+      
+      return {
+        bundle,
+        exportedAt: bundle.exportedAt,
+        changes,
+        skipped,
+        summary: {
+          changes: changes.length,
+          projectsCompleted: changes.filter(change => /\.completed$/.test(change.path) && change.path.split('.').length === 3).length,
+          achievements: changes.filter(change => change.path === 'achievements').map(change => change.to),
+          newEvents: events.filter(event => event?.id && !knownEvents.has(event.id)).length
+        }
+      };
+    },
+
+    async importProgress(input, { includeEvents = true } = {}) {
+      const preview = await this.previewProgressImport(input);
+      const { bundle } = preview;
+      
+      if (preview.changes.length > 0) {
+        this.dispatch('IMPORT_PROGRESS', {
+          data: { stages: bundle.data.stages, achievements: bundle.data.achievements, analytics: bundle.data.analytics },
+          source: { exportedAt: bundle.exportedAt, checksum: bundle.checksum.value }
+        });
+      }
+      
+      if (includeEvents && Array.isArray(bundle.data.events)) {
+        window.Analytics?.importEvents(bundle.data.events);
+      }
+      
+      return preview;
+    },
+
+    requireProgressBundle() {
+      if (!window.ProgressBundle) {
+        throw new Error('ProgressBundle is not loaded on this page');
+      }
+      return window.ProgressBundle;
     },
 
     /*
@@ -1003,6 +2341,23 @@
       return this.state.education.stages[stageId] || null;
     },
 
+    // Flat projectId → progress map (shape expected by Router prerequisites)
+    getProgress() {
+      const progress = {};
+      
+      Object.values(this.state.education.stages).forEach(stage => {
+        Object.values(stage.projects).forEach(project => {
+          progress[project.id] = {
+            completed: project.completed,
+            bestScore: project.bestScore,
+            stage: stage.id
+          };
+        });
+      });
+      
+      return progress;
+    },
+
     getOverallStats() {
       return {
         overallProgress: this.state.education.overallProgress,
@@ -1019,6 +2374,17 @@
     },
 
     // Session Queries
+    getEditHistory() {
+      const { undoStack, redoStack, historyProject } = this.state.session.editor;
+      return {
+        project: historyProject,
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoDepth: undoStack.length,
+        redoDepth: redoStack.length
+      };
+    },
+
     getSessionInfo() {
       return {
         sessionStartTime: this.state.session.sessionStartTime,
@@ -1034,14 +2400,37 @@
       ==========================================
     */
 
+    // Called by TabSync when this tab wins or loses the leader election
+    setLeader(isLeader) {
+      if (this.isLeader === isLeader) return;
+      
+      this.isLeader = isLeader;
+      this.log('info', isLeader ? '👑 This tab now persists the shared state' : '👥 Another tab persists the shared state');
+      this.emit('tab:leadership', { isLeader });
+      
+      // What was dispatched while another tab was the leader is saved now
+      if (isLeader) this.persistState();
+    },
+
+    // Only the leader tab adds up time: the others take it from its heartbeats
+    syncTimeSpent(totalTimeSpent) {
+      const analytics = this.state.education.analytics;
+      if (Number.isFinite(totalTimeSpent) && totalTimeSpent > analytics.totalTimeSpent) {
+        analytics.totalTimeSpent = totalTimeSpent;
+      }
+    },
+
     setupAutoSave() {
       // Auto-save every 30 seconds
       setInterval(() => {
-        if (this.state.app.syncStatus !== 'synced') {
+        if (this.isLeader && this.persistFailed) {
           this.persistState();
         }
       }, 30000);
       
+      // A pending editor_history write must not be lost when the tab closes
+      window.addEventListener('pagehide', () => this.flushEditorHistory());
+      
       this.log('info', '💾 Auto-save configured');
     },
 
@@ -1052,8 +2441,10 @@
           const currentSessionTime = Date.now() - this.state.session.sessionStartTime;
           this.state.session.timeSpentInSession = currentSessionTime;
           
-          // Update total time spent
-          this.state.education.analytics.totalTimeSpent += 1000; // Add 1 second
+          // Update total time spent (once, however many tabs are open)
+          if (this.isLeader) {
+            this.state.education.analytics.totalTimeSpent += 1000; // Add 1 second
+          }
         }
       }, 1000);
       
@@ -1061,23 +2452,258 @@
     },
 
     setupPeriodicSync() {
-      // Sync with server every 5 minutes (if online sync is implemented)
+      // Sync with server every 5 minutes
       setInterval(() => {
-        if (this.state.app.isOnline && window.AppConfig?.isFeatureEnabled?.('sync.periodicSync')) {
+        if (this.isLeader && window.AppConfig?.getSyncConfig?.().periodicSync) {
           this.syncWithServer();
         }
       }, 300000);
       
+      // Changes left unsent by the previous session
+      if (window.AppConfig?.getSyncConfig?.().enabled && this.loadSyncState().log.length > 0) {
+        this.state.app.syncStatus = 'pending';
+        this.scheduleSync();
+      }
+      
       this.log('info', '🔄 Periodic sync configured');
     },
 
+    /*
+      ==========================================
+      SERVER SYNC - Incremental Change Sets
+      ==========================================
+    */
+
+    loadSyncState() {
+      const stored = window.AppUtils?.storage?.get('sync_state');
+      if (!isPlainObject(stored) || !Array.isArray(stored.log) || typeof stored.deviceId !== 'string') {
+        // The deviceId must be stable: the server deduplicates by it
+        const created = createSyncState();
+        this.saveSyncState(created);
+        return created;
+      }
+      return { ...createSyncState(), ...stored };
+    },
+
+    saveSyncState(sync) {
+      window.AppUtils?.storage?.set('sync_state', sync);
+    },
+
+    // Read back from storage on every entry: all tabs write to the same log
+    recordSyncChange(action) {
+      const config = window.AppConfig?.getSyncConfig?.();
+      if (!config?.enabled || !SERVER_SYNC_ACTIONS.has(action.type)) return;
+      
+      // Actions dispatched in another tab were logged there; the leader only sends them
+      if (!action.remote) {
+        const sync = this.loadSyncState();
+        const { stageId, projectId } = action.payload || {};
+        
+        sync.seq += 1;
+        sync.log.push({ seq: sync.seq, type: action.type, stageId, projectId, at: action.timestamp });
+        
+        // A log that grows too long collapses into one entry without a project: a full send
+        if (sync.log.length > config.maxLogEntries) {
+          sync.log = [{ seq: sync.seq, type: 'LOG_COLLAPSED', at: action.timestamp }];
+        }
+        this.saveSyncState(sync);
+      }
+      
+      if (this.isLeader) {
+        this.state.app.syncStatus = 'pending';
+        this.scheduleSync(config.debounce);
+      }
+    },
+
+    scheduleSync(delay = window.AppConfig?.getSyncConfig?.().debounce || 0) {
+      clearTimeout(this.syncTimer);
+      this.syncTimer = setTimeout(() => this.syncWithServer(), delay);
+    },
+
+    /**
+     * Sends the logged progress changes to the sync server and merges what
+     * it returns. Only the leader tab syncs; a call while a request is in
+     * flight queues one more round instead of overlapping. Resolves with
+     * { status, sent, received, revision } (status 'synced' | 'pending' |
+     * 'error' | 'disabled' | 'offline' | 'follower') and never rejects:
+     * failures are reported through app.syncStatus and sync:error.
+     */
     syncWithServer() {
-      // Placeholder for server sync implementation
+      const config = window.AppConfig?.getSyncConfig?.();
+      if (!config?.enabled) return Promise.resolve({ status: 'disabled' });
+      if (!this.isLeader) return Promise.resolve({ status: 'follower' });
+      
+      if (this.syncInFlight) {
+        this.syncRequested = true;
+        return this.syncInFlight;
+      }
+      
+      this.state.app.isOnline = navigator.onLine;
+      if (!this.state.app.isOnline) {
+        // App calls again when the connection comes back (syncOfflineData)
+        if (this.loadSyncState().log.length > 0) this.state.app.syncStatus = 'pending';
+        return Promise.resolve({ status: 'offline' });
+      }
+      
+      this.syncInFlight = this.performSync(config).finally(() => {
+        this.syncInFlight = null;
+        if (this.syncRequested) {
+          this.syncRequested = false;
+          this.scheduleSync();
+        }
+      });
+      return this.syncInFlight;
+    },
+
+    async performSync(config) {
       this.log('info', '🌐 Syncing with server...');
       
-      // This would implement actual server synchronization
-      // For now, just update sync status
-      this.state.app.syncStatus = 'synced';
+      const changeSet = buildChangeSet(this.state, this.loadSyncState());
+      const sentTimes = this.getProjectTimes();
+      this.state.app.syncStatus = 'pending';
+      
+      try {
+        const response = await this.requestSync(config, changeSet);
+        this.applyServerSync(response, sentTimes);
+        
+        // Entries logged during the request stay in the log for next time
+        const sync = this.loadSyncState();
+        sync.log = sync.log.filter(entry => entry.seq > changeSet.lastSeq);
+        sync.revision = response.revision;
+        sync.lastSyncedAt = Date.now();
+        response.projects.forEach(project => {
+          if (Number.isFinite(project.timeSpent)) {
+            sync.baselines[projectKey(project.stageId, project.projectId)] = project.timeSpent;
+          }
+        });
+        this.saveSyncState(sync);
+        
+        if (sync.log.length > 0) this.syncRequested = true;
+        this.state.app.syncStatus = sync.log.length > 0 ? 'pending' : 'synced';
+        
+        const result = {
+          status: this.state.app.syncStatus,
+          sent: changeSet.projects.length,
+          received: response.projects.length,
+          revision: response.revision
+        };
+        this.log('info', `🌐 Synced with server (revision ${response.revision})`);
+        this.emit('sync:completed', result);
+        return result;
+        
+      } catch (error) {
+        this.state.app.syncStatus = 'error';
+        this.log('warn', '🌐 Server sync failed:', error.message);
+        this.emit('sync:error', { error: error.message, pending: this.loadSyncState().log.length });
+        return { status: 'error', error: error.message };
+      }
+    },
+
+    // api.retries retries with exponential backoff; client errors (4xx) are not retried
+    async requestSync(config, changeSet) {
+      let lastError = null;
+      
+      for (let attempt = 0; attempt <= config.retries; attempt++) {
+        if (attempt > 0) {
+          await new Promise(resolve => setTimeout(resolve, config.retryDelay * 2 ** (attempt - 1)));
+        }
+        
+        try {
+          return await this.postChangeSet(config, changeSet);
+        } catch (error) {
+          lastError = error;
+          if (error.retryable === false) break;
+          this.log('debug', `🌐 Sync attempt ${attempt + 1} failed: ${error.message}`);
+        }
+      }
+      
+      throw lastError;
+    },
+
+    async postChangeSet({ url, timeout }, changeSet) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(changeSet),
+          signal: controller.signal
+        });
+        
+        if (!response.ok) {
+          const error = new Error(`Sync server answered HTTP ${response.status}`);
+          error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+          throw error;
+        }
+        
+        const body = await response.json();
+        if (!isSyncResponse(body)) {
+          const error = new Error('Sync server sent a malformed response');
+          error.retryable = false;
+          throw error;
+        }
+        return body;
+        
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`Sync request timed out after ${timeout} ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    getProjectTimes() {
+      const times = {};
+      Object.entries(this.state.education.stages).forEach(([stageId, stage]) => {
+        Object.entries(stage.projects).forEach(([projectId, project]) => {
+          times[projectKey(stageId, projectId)] = project.timeSpent;
+        });
+      });
+      return times;
+    },
+
+    // The server returns the time added up across devices; the time gained here since the request is added on top
+    applyServerSync(response, sentTimes) {
+      const stages = {};
+      const currentTimes = this.getProjectTimes();
+      
+      response.projects.forEach(({ stageId, projectId, completed, completedAt, bestScore, attempts, timeSpent }) => {
+        const key = projectKey(stageId, projectId);
+        if (!(key in currentTimes)) return;
+        
+        stages[stageId] = stages[stageId] || { projects: {} };
+        stages[stageId].projects[projectId] = {
+          completed,
+          completedAt,
+          bestScore,
+          attempts,
+          timeSpent: Number.isFinite(timeSpent) ? timeSpent + (currentTimes[key] - sentTimes[key]) : undefined
+        };
+      });
+      
+      const achievements = Array.isArray(response.achievements) ? response.achievements : [];
+      if (Object.keys(stages).length === 0 && achievements.length === 0) return;
+      
+      this.dispatch('APPLY_SERVER_SYNC', { data: { stages, achievements }, revision: response.revision });
+    },
+
+    getSyncInfo() {
+      const config = window.AppConfig?.getSyncConfig?.();
+      const sync = this.loadSyncState();
+      
+      return {
+        enabled: Boolean(config?.enabled),
+        url: config?.url || null,
+        status: this.state.app.syncStatus,
+        pending: sync.log.length,
+        revision: sync.revision,
+        lastSyncedAt: sync.lastSyncedAt,
+        deviceId: sync.deviceId
+      };
     },
 
     /*
@@ -1114,6 +2740,15 @@
     }
   };
 
+  // The store's own actions; modules add theirs with AppState.registerAction()
+  CORE_ACTIONS.forEach(({ reducer, ...definition }) => {
+    window.AppState.registerAction({
+      ...definition,
+      reduce: (state, payload) => window.AppState[reducer](state, payload)
+    });
+    actionRegistry.get(definition.type).core = true;
+  });
+
   // Auto-initialize
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
@@ -1140,15 +2775,22 @@
   
   ✅ Redux-like Architecture:
   - Actions y reducers puros para cambios predecibles
+  - Registro declarativo de acciones con esquema de payload validado
   - Middleware support para extensibilidad
   - Observer pattern para componentes reactivos
   - Immutable updates para debugging y time travel
   
   ✅ Persistence & Sync:
   - Auto-save automático cada 30 segundos
-  - Carga inteligente con merge de estado por defecto
+  - Backends intercambiables (IndexedDB, localStorage) con escritura incremental
+  - Entregas como registros propios; las antiguas se desalojan si falta cuota
+  - Carga con esquema versionado, migraciones ordenadas y validación de tipos
+  - Cuarentena del estado ilegible en lugar de borrarlo
   - Estado de sincronización para conectividad
   - Fallback seguro en caso de errores
+  - Varias pestañas: las acciones se difunden y solo la líder persiste (TabSync)
+  - Exportación/importación de progreso con checksum y vista previa de cambios
+  - Sincronización incremental con el servidor (mejor nota gana, tiempo sumado)
   
   ✅ Session Management:
   - Tracking de tiempo y actividad en sesión
@@ -1182,7 +2824,14 @@
   
   // Observations
   AppState.observe('state:changed', (data) => console.log('State updated'))
+  AppState.observe('state:replaced', ({ reason }) => rerender())  // time travel
   AppState.observe('action:complete_project', handleProjectCompletion)
+  AppState.observe('action:rejected', ({ action, issues }) => report(action, issues))
+  
+  // Action registry
+  AppState.listActions()   // [{ type, description, payload, strict, sync, core }]
+  AppState.registerAction({ type: 'SET_THEME', payload: { theme: 'string' }, reduce })
+  AppState.dispatch('SET_THEME', {})  // TypeError: Invalid SET_THEME payload: theme is required
   
   // User preferences
   AppState.updateUserPreferences({ theme: 'light' })
@@ -1190,6 +2839,23 @@
   
   // Session management
   AppState.updateEditorCode(newCode)
+  AppState.undoEdit() / AppState.redoEdit()
+  AppState.getEditHistory()
+  
+  // Progress files
+  const bundle = await AppState.exportProgress({ includeEvents: true })
+  await AppState.previewProgressImport(fileText)   // { changes, skipped, summary }
+  await AppState.importProgress(fileText)
+  await AppState.exportProgressCode()              // { code, fitsInQrCode }
+  
+  // Storage
+  await AppState.whenInitialized()
+  await AppState.getStorageInfo()   // { backend, usage, quota, ratio, submissions, evictable }
+  
+  // Server sync (features.sync; local mock: node tools/mock-sync-server.js)
+  await AppState.syncWithServer()   // { status, sent, received, revision }
+  AppState.getSyncInfo()            // { enabled, status, pending, revision, lastSyncedAt }
+  AppState.evictOldSubmissions()
   AppState.executeCode(code, results)
   AppState.getSessionInfo()
   
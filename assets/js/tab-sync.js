@@ -0,0 +1,300 @@
+/*
+  ==========================================
+  TAB SYNC - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Keeps every open tab of the academy in step. Each tab has its own
+  AppState and Analytics; without this, whichever tab saved last won and
+  progress earned in another tab was overwritten. Dispatched actions are
+  broadcast and applied by the other tabs, one elected leader tab persists
+  the shared state and runs the periodic timers, and analytics events are
+  merged into every tab's buffer.
+
+  Archivo: assets/js/tab-sync.js
+
+  "A distributed system is one in which the failure of a computer you didn't even know existed can render your own computer unusable" - Leslie Lamport
+
+  Architecture:
+  1. Transport (BroadcastChannel, or storage events where it is missing)
+  2. Action Broadcast (state:changed → other tabs' AppState.applyRemoteAction)
+  3. Leader Election (Web Locks, or a renewed lease in localStorage)
+  4. Heartbeats (the leader shares its time counter)
+  5. Analytics Merge (events reach every tab's buffer)
+
+  Usage: TabSync.getStatus(); TabSync.publish('analytics-event', { event })
+*/
+
+(() => {
+  'use strict';
+
+  // Check dependencies
+  if (typeof window.AppState === 'undefined') {
+    console.warn('🔗 TabSync: AppState no disponible. Sincronización entre pestañas deshabilitada.');
+    return;
+  }
+
+  const CHANNEL_NAME = 'mdb_tab_sync';
+  const STORAGE_MESSAGE_KEY = 'mdb_tab_sync_message';
+  const LEADER_LOCK_NAME = 'mdb_tab_leader';
+  const LEADER_LEASE_KEY = 'mdb_tab_leader';
+
+  /*
+    ==========================================
+    TAB SYNC
+    ==========================================
+  */
+
+  window.TabSync = {
+    config: {
+      heartbeatInterval: 2000,  // ms between heartbeats (and lease renewals)
+      leaseDuration: 6000       // ms without renewal after which another tab takes over
+    },
+
+    tabId: `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    transport: null,            // 'broadcast-channel' | 'storage' | null (isolated tab)
+    channel: null,
+    election: null,             // 'locks' | 'lease'
+    isLeader: false,
+    started: null,
+    heartbeatTimer: null,
+    releaseLock: null,
+    cleanups: [],
+
+    // Waits for AppState to load: remote actions are applied on the state already read
+    init() {
+      if (!this.started) {
+        this.started = window.AppState.whenInitialized().then(() => this.start());
+      }
+      return this.started;
+    },
+
+    start() {
+      this.openTransport();
+
+      // Without a transport there are no other tabs to coordinate: AppState stays the leader
+      if (!this.transport) {
+        console.warn('🔗 TabSync: ni BroadcastChannel ni localStorage disponibles');
+        return this.getStatus();
+      }
+
+      this.cleanups.push(window.AppState.observe('state:changed', ({ action }) => this.broadcastAction(action)));
+      this.electLeader();
+
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+
+      const resign = () => this.stop();
+      window.addEventListener('pagehide', resign);
+      this.cleanups.push(() => window.removeEventListener('pagehide', resign));
+
+      return this.getStatus();
+    },
+
+    stop() {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+
+      if (this.election === 'lease' && this.readLease()?.tabId === this.tabId) {
+        localStorage.removeItem(LEADER_LEASE_KEY);
+      }
+      this.releaseLock?.();
+      this.releaseLock = null;
+
+      this.cleanups.splice(0).forEach(cleanup => cleanup());
+      this.channel?.close();
+      this.channel = null;
+      this.transport = null;
+      this.started = null;
+    },
+
+    getStatus() {
+      return {
+        tabId: this.tabId,
+        transport: this.transport,
+        election: this.election,
+        isLeader: this.isLeader
+      };
+    },
+
+    /*
+      ==========================================
+      TRANSPORT
+      ==========================================
+    */
+
+    openTransport() {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.onmessage = (event) => this.receive(event.data);
+        this.transport = 'broadcast-channel';
+        return;
+      }
+
+      try {
+        if (typeof localStorage === 'undefined' || localStorage === null) return;
+      } catch (error) {
+        return;
+      }
+
+      // storage only reaches the other tabs: the message is written and removed right away
+      const onStorage = (event) => {
+        if (event.key !== STORAGE_MESSAGE_KEY || !event.newValue) return;
+        try {
+          this.receive(JSON.parse(event.newValue));
+        } catch (error) {
+          console.warn('🔗 TabSync: mensaje ilegible', error);
+        }
+      };
+      window.addEventListener('storage', onStorage);
+      this.cleanups.push(() => window.removeEventListener('storage', onStorage));
+      this.transport = 'storage';
+    },
+
+    publish(kind, data = {}) {
+      if (!this.transport) return false;
+
+      const message = { ...data, kind, from: this.tabId, sentAt: Date.now() };
+
+      try {
+        if (this.channel) {
+          this.channel.postMessage(message);
+        } else {
+          localStorage.setItem(STORAGE_MESSAGE_KEY, JSON.stringify(message));
+          localStorage.removeItem(STORAGE_MESSAGE_KEY);
+        }
+        return true;
+      } catch (error) {
+        console.warn(`🔗 TabSync: no se pudo difundir ${kind}`, error);
+        return false;
+      }
+    },
+
+    receive(message) {
+      if (!message || message.from === this.tabId) return;
+
+      switch (message.kind) {
+        case 'action':
+          try {
+            window.AppState.applyRemoteAction(message.action);
+          } catch (error) {
+            // Actions this page does not register (modules of another page)
+            console.warn(`🔗 TabSync: acción remota ${message.action?.type} ignorada`, error.message);
+          }
+          break;
+
+        case 'heartbeat':
+          if (!this.isLeader) window.AppState.syncTimeSpent(message.totalTimeSpent);
+          break;
+
+        case 'analytics-event':
+          window.Analytics?.receiveEvent(message.event);
+          break;
+      }
+    },
+
+    /*
+      ==========================================
+      ACTION BROADCAST
+      ==========================================
+    */
+
+    broadcastAction(action) {
+      // Neither what already comes from another tab nor the StateRecorder's jumps
+      if (action.remote || action.type === 'REPLACE_STATE') return;
+
+      // Editor and UI belong to each tab
+      if (window.AppState.getAction(action.type)?.sync === false) return;
+
+      this.publish('action', {
+        action: {
+          type: action.type,
+          payload: action.payload,
+          timestamp: action.timestamp,
+          sessionId: action.sessionId
+        }
+      });
+    },
+
+    /*
+      ==========================================
+      LEADER ELECTION
+      ==========================================
+    */
+
+    electLeader() {
+      this.setLeader(false);
+
+      // Web Locks: the lock is only released when the tab closes, and passes to the next one in the queue
+      if (navigator.locks?.request) {
+        this.election = 'locks';
+        navigator.locks.request(LEADER_LOCK_NAME, () => {
+          if (!this.transport) return null;
+          this.setLeader(true);
+          return new Promise(resolve => { this.releaseLock = resolve; });
+        }).catch(error => console.warn('🔗 TabSync: bloqueo de líder no disponible', error));
+        return;
+      }
+
+      this.election = 'lease';
+      this.renewLease();
+    },
+
+    // Lease in localStorage: the leader renews it; if it expires, the first tab to see it takes it
+    renewLease() {
+      const lease = this.readLease();
+      const now = Date.now();
+
+      if (!lease || lease.expiresAt < now || lease.tabId === this.tabId) {
+        try {
+          localStorage.setItem(LEADER_LEASE_KEY, JSON.stringify({ tabId: this.tabId, expiresAt: now + this.config.leaseDuration }));
+        } catch (error) {
+          console.warn('🔗 TabSync: no se pudo renovar el lease de líder', error);
+        }
+      }
+
+      // If two tabs took it at once, the last write wins
+      this.setLeader(this.readLease()?.tabId === this.tabId);
+    },
+
+    readLease() {
+      try {
+        return JSON.parse(localStorage.getItem(LEADER_LEASE_KEY) || 'null');
+      } catch (error) {
+        return null;
+      }
+    },
+
+    setLeader(isLeader) {
+      this.isLeader = isLeader;
+      window.AppState.setLeader(isLeader);
+    },
+
+    heartbeat() {
+      if (this.election === 'lease') this.renewLease();
+      if (!this.isLeader) return;
+
+      this.publish('heartbeat', {
+        totalTimeSpent: window.AppState.getState('education.analytics.totalTimeSpent')
+      });
+    }
+  };
+
+  /*
+    ==========================================
+    AUTO-INITIALIZATION
+    ==========================================
+  */
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      window.TabSync.init();
+    });
+  } else {
+    window.TabSync.init();
+  }
+
+  // Back from the bfcache: pagehide closed the channel
+  window.addEventListener('pageshow', (event) => {
+    if (event.persisted) window.TabSync.init();
+  });
+
+})();
@@ -0,0 +1,503 @@
+/*
+  ==========================================
+  TEST RUNNER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Jest-like test framework for the case exercises: describe / it / expect,
+  beforeEach / afterEach, async tests with a per-test timeout, timing and
+  readable failure diffs. It is environment-agnostic: CodeRunner's worker
+  importScripts() it to run a case's tests against student code, and the
+  page loads it to summarize results when the sandbox has to be killed.
+
+  Results follow the testResults shape AppState.submitProjectCode stores:
+  { status, score, total, passed, failed, skipped, duration, tests, error }.
+
+  Archivo: assets/js/test-runner.js
+
+  "Code without tests is bad code" - Michael Feathers
+  "Write tests. Not too many. Mostly integration." - Guillermo Rauch
+
+  Architecture:
+  1. Suite Definition (describe tree, hooks, it.skip, name filter)
+  2. Matchers (expect, .not, .resolves / .rejects)
+  3. Failure Formatting (pretty printer + line diff)
+  4. Execution & Summary (sequential, timed, score 0-100)
+*/
+
+(() => {
+  'use strict';
+
+  const now = () => performance.now();
+  const round = ms => Math.round(ms * 10) / 10;
+  const MAX_DIFF_LINES = 200;
+
+  /*
+    ==========================================
+    FORMATTING
+    ==========================================
+  */
+
+  // One line, console style: "hola" in quotes, -0, NaN, [Function: f]
+  function format(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (value === null || typeof value !== 'object') return Object.is(value, -0) ? '-0' : String(value);
+    if (value instanceof Error) return `[${value.name}: ${value.message}]`;
+    if (value instanceof Date) return `Date(${value.toISOString()})`;
+    if (value instanceof RegExp) return String(value);
+    if (seen.has(value)) return '[Circular]';
+
+    seen.add(value);
+    const text = Array.isArray(value) ?
+      `[${value.map(item => format(item, seen)).join(', ')}]` :
+      `{${Object.keys(value).map(key => `${key}: ${format(value[key], seen)}`).join(', ')}}`;
+    seen.delete(value);
+    return text;
+  }
+
+  // Several indented lines: the basis of toEqual's diff
+  function pretty(value, indent = '', seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object' || value instanceof Error ||
+        value instanceof Date || value instanceof RegExp) {
+      return format(value);
+    }
+    if (seen.has(value)) return '[Circular]';
+
+    const inner = `${indent}  `;
+    const isArray = Array.isArray(value);
+    const keys = isArray ? [...value.keys()] : Object.keys(value);
+    if (keys.length === 0) return isArray ? '[]' : '{}';
+
+    seen.add(value);
+    const lines = keys.map(key =>
+      `${inner}${isArray ? '' : `${key}: `}${pretty(value[key], inner, seen)},`
+    );
+    seen.delete(value);
+
+    return `${isArray ? '[' : '{'}\n${lines.join('\n')}\n${indent}${isArray ? ']' : '}'}`;
+  }
+
+  // Line-based LCS: "-" expected, "+" received, " " common
+  function diffLines(expected, received) {
+    const a = pretty(expected).split('\n').slice(0, MAX_DIFF_LINES);
+    const b = pretty(received).split('\n').slice(0, MAX_DIFF_LINES);
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push({ type: ' ', text: a[i++] });
+        j++;
+      } else if (i < a.length && (j >= b.length || table[i + 1][j] >= table[i][j + 1])) {
+        lines.push({ type: '-', text: a[i++] });
+      } else {
+        lines.push({ type: '+', text: b[j++] });
+      }
+    }
+
+    return lines;
+  }
+
+  /*
+    ==========================================
+    EQUALITY
+    ==========================================
+  */
+
+  // toEqual's recursive equality: ignores undefined properties, like Jest
+  function deepEqual(a, b, seen = []) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+    if (a instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof RegExp) return String(a) === String(b);
+    if (seen.some(([x, y]) => x === a && y === b)) return true;
+
+    const pairs = [...seen, [a, b]];
+
+    if (Array.isArray(a)) {
+      return a.length === b.length && a.every((item, index) => deepEqual(item, b[index], pairs));
+    }
+
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+
+    return keysA.length === keysB.length &&
+           keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key], pairs));
+  }
+
+  /*
+    ==========================================
+    MATCHERS
+    ==========================================
+  */
+
+  class AssertionError extends Error {
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'AssertionError';
+      Object.assign(this, details);
+    }
+  }
+
+  const compare = (label, test) => (received, expected) => ({
+    pass: typeof received === 'number' && test(received, expected),
+    expectation: `${label} ${format(expected)}`
+  });
+
+  // Each matcher returns { pass, expectation } and, where it applies, the expected value for the diff
+  const MATCHERS = {
+    toBe: (received, expected) => ({
+      pass: Object.is(received, expected),
+      expectation: format(expected),
+      hint: !Object.is(received, expected) && deepEqual(received, expected) ?
+        'Mismo contenido pero distinta referencia: usa toEqual para comparar estructura' : null
+    }),
+
+    toEqual: (received, expected) => ({
+      pass: deepEqual(received, expected),
+      expectation: format(expected),
+      diff: typeof expected === 'object' && expected !== null ? diffLines(expected, received) : null
+    }),
+
+    toBeCloseTo: (received, expected, numDigits = 2) => ({
+      // Same criterion as Jest: |expected - received| < 10^-numDigits / 2
+      pass: Math.abs(expected - received) < Math.pow(10, -numDigits) / 2,
+      expectation: `${format(expected)} (±${Math.pow(10, -numDigits) / 2})`
+    }),
+
+    toBeGreaterThan: compare('>', (a, b) => a > b),
+    toBeGreaterThanOrEqual: compare('>=', (a, b) => a >= b),
+    toBeLessThan: compare('<', (a, b) => a < b),
+    toBeLessThanOrEqual: compare('<=', (a, b) => a <= b),
+
+    toBeTruthy: received => ({ pass: Boolean(received), expectation: 'un valor truthy' }),
+    toBeFalsy: received => ({ pass: !received, expectation: 'un valor falsy' }),
+    toBeNull: received => ({ pass: received === null, expectation: 'null' }),
+    toBeUndefined: received => ({ pass: received === undefined, expectation: 'undefined' }),
+    toBeDefined: received => ({ pass: received !== undefined, expectation: 'un valor definido' }),
+    toBeNaN: received => ({ pass: Number.isNaN(received), expectation: 'NaN' }),
+
+    toBeInstanceOf: (received, Class) => ({
+      pass: received instanceof Class,
+      expectation: `una instancia de ${Class?.name || format(Class)}`
+    }),
+
+    toContain: (received, item) => ({
+      pass: (Array.isArray(received) || typeof received === 'string') && received.includes(item),
+      expectation: `algo que contenga ${format(item)}`
+    }),
+
+    toHaveLength: (received, length) => ({
+      pass: received !== null && received !== undefined && received.length === length,
+      expectation: `longitud ${length}`
+    }),
+
+    toMatch: (received, pattern) => ({
+      pass: typeof received === 'string' && (pattern instanceof RegExp ? pattern.test(received) : received.includes(pattern)),
+      expectation: `un texto que coincida con ${format(pattern)}`
+    }),
+
+    toThrow: (received, expected) => {
+      if (typeof received !== 'function') {
+        throw new AssertionError('toThrow necesita una función: expect(() => código()).toThrow()');
+      }
+
+      let thrown = null;
+      try {
+        received();
+      } catch (error) {
+        thrown = { error };
+      }
+
+      const expectation = expected === undefined ? 'que lance un error' : `que lance ${format(expected)}`;
+      if (!thrown) return { pass: false, expectation, received: 'no lanzó nada' };
+
+      const { error } = thrown;
+      const message = error instanceof Error ? error.message : String(error);
+      const pass = expected === undefined ? true :
+                   typeof expected === 'string' ? message.includes(expected) :
+                   expected instanceof RegExp ? expected.test(message) :
+                   typeof expected === 'function' ? error instanceof expected :
+                   false;
+
+      return { pass, expectation, received: format(error) };
+    }
+  };
+
+  function buildMatchers(received, isNot) {
+    const matchers = {};
+
+    Object.entries(MATCHERS).forEach(([name, matcher]) => {
+      matchers[name] = (...args) => {
+        const result = matcher(received, ...args);
+        if (result.pass !== isNot) return;
+
+        const call = `expect(recibido)${isNot ? '.not' : ''}.${name}(${args.map(arg => format(arg)).join(', ')})`;
+        const receivedText = result.received ?? format(received);
+        const lines = [
+          call,
+          '',
+          `Esperado: ${isNot ? 'no ' : ''}${result.expectation}`,
+          `Recibido: ${receivedText}`
+        ];
+        if (result.hint && !isNot) lines.push('', result.hint);
+
+        throw new AssertionError(lines.join('\n'), {
+          matcher: name,
+          expected: result.expectation,
+          received: receivedText,
+          diff: !isNot && result.diff?.some(line => line.type !== ' ') ? result.diff : null
+        });
+      };
+    });
+
+    return matchers;
+  }
+
+  // expect(promise).resolves / .rejects: waits and applies the matcher to the value or the error
+  function buildAsyncMatchers(promise, mode, isNot) {
+    const matchers = {};
+
+    Object.keys(MATCHERS).forEach(name => {
+      matchers[name] = async (...args) => {
+        let outcome;
+        try {
+          outcome = { resolved: true, value: await promise };
+        } catch (error) {
+          outcome = { resolved: false, value: error };
+        }
+
+        if (outcome.resolved !== (mode === 'resolves')) {
+          throw new AssertionError(
+            `expect(promesa).${mode}.${name}()\n\nSe esperaba que la promesa ${mode === 'resolves' ? 'se resolviera' : 'fuera rechazada'}, ` +
+            `pero ${outcome.resolved ? `se resolvió con ${format(outcome.value)}` : `fue rechazada con ${format(outcome.value)}`}`,
+            { matcher: name }
+          );
+        }
+
+        return buildMatchers(outcome.value, isNot)[name](...args);
+      };
+    });
+
+    return matchers;
+  }
+
+  function expect(received) {
+    const matchers = buildMatchers(received, false);
+    matchers.not = buildMatchers(received, true);
+    matchers.resolves = buildAsyncMatchers(received, 'resolves', false);
+    matchers.resolves.not = buildAsyncMatchers(received, 'resolves', true);
+    matchers.rejects = buildAsyncMatchers(received, 'rejects', false);
+    matchers.rejects.not = buildAsyncMatchers(received, 'rejects', true);
+    return matchers;
+  }
+
+  /*
+    ==========================================
+    SUITE DEFINITION & EXECUTION
+    ==========================================
+  */
+
+  function describeFailure(error) {
+    if (error instanceof AssertionError) {
+      return { name: error.name, message: error.message, matcher: error.matcher ?? null, diff: error.diff ?? null };
+    }
+
+    const isError = error instanceof Error;
+    return {
+      name: isError ? error.name : null,
+      message: isError ? error.message : format(error),
+      stack: isError && error.stack ? error.stack.split('\n').slice(0, 5).join('\n') : null,
+      matcher: null,
+      diff: null
+    };
+  }
+
+  function withTimeout(value, ms, label) {
+    if (!value || typeof value.then !== 'function') return value;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timeout: ${label} superó ${ms} ms`)), ms);
+    });
+
+    return Promise.race([value, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function createSuite({ filter = null, testTimeout = self.TestRunner.config.testTimeout } = {}) {
+    const root = { name: '', parent: null, children: [], beforeEach: [], afterEach: [] };
+    let current = root;
+
+    function addTest(name, fn, skip) {
+      current.children.push({ type: 'test', name: String(name), fn, skip, block: current });
+    }
+
+    const it = (name, fn) => addTest(name, fn, false);
+    it.skip = (name, fn) => addTest(name, fn, true);
+
+    const api = {
+      describe(name, fn) {
+        const block = { name: String(name), parent: current, children: [], beforeEach: [], afterEach: [] };
+        current.children.push(block);
+
+        const parent = current;
+        current = block;
+        try {
+          fn();
+        } finally {
+          current = parent;
+        }
+      },
+      it,
+      test: it,
+      expect,
+      beforeEach: fn => current.beforeEach.push(fn),
+      afterEach: fn => current.afterEach.push(fn)
+    };
+
+    // Flat list in definition order, with its describe path and its hooks
+    function collect(block = root, path = []) {
+      return block.children.flatMap(child => {
+        if (child.type !== 'test') return collect(child, [...path, child.name]);
+
+        const chain = [];
+        for (let scope = child.block; scope; scope = scope.parent) chain.unshift(scope);
+
+        const fullName = [...path, child.name].join(' › ');
+        return [{
+          ...child,
+          suite: path.join(' › '),
+          fullName,
+          beforeEach: chain.flatMap(scope => scope.beforeEach),
+          afterEach: [...chain].reverse().flatMap(scope => scope.afterEach),
+          skip: child.skip || (filter !== null && !fullName.toLowerCase().includes(filter.toLowerCase()))
+        }];
+      });
+    }
+
+    return {
+      api,
+
+      plan() {
+        return collect().map(({ name, suite, fullName, skip }) => ({ name, suite, fullName, skip }));
+      },
+
+      async run({ onTestStart, onTestEnd } = {}) {
+        const startedAt = now();
+        const results = [];
+
+        for (const test of collect()) {
+          const base = { name: test.name, suite: test.suite, fullName: test.fullName };
+
+          if (test.skip) {
+            results.push({ ...base, status: 'skipped', duration: 0, error: null });
+            continue;
+          }
+
+          onTestStart?.(test.fullName);
+          const testStart = now();
+          let failure = null;
+
+          try {
+            for (const hook of test.beforeEach) await withTimeout(hook(), testTimeout, 'beforeEach');
+            await withTimeout(test.fn(), testTimeout, 'el test');
+          } catch (error) {
+            failure = describeFailure(error);
+          }
+
+          for (const hook of test.afterEach) {
+            try {
+              await withTimeout(hook(), testTimeout, 'afterEach');
+            } catch (error) {
+              failure = failure || describeFailure(error);
+            }
+          }
+
+          const result = { ...base, status: failure ? 'failed' : 'passed', duration: round(now() - testStart), error: failure };
+          results.push(result);
+          onTestEnd?.(result);
+        }
+
+        return summarize(results, { duration: round(now() - startedAt) });
+      }
+    };
+  }
+
+  /**
+   * Builds the testResults object from individual test results.
+   * `score` is the pass rate over the tests that were not skipped (0-100);
+   * a suite-level `error` (code that does not compile, a killed sandbox)
+   * always makes the status 'error' or the given `status`.
+   */
+  function summarize(tests, { duration = 0, error = null, status = null } = {}) {
+    const count = state => tests.filter(test => test.status === state).length;
+    const passed = count('passed');
+    const failed = count('failed');
+    const skipped = count('skipped');
+    const total = passed + failed;
+
+    return {
+      status: status ?? (error ? 'error' : failed > 0 ? 'failed' : 'passed'),
+      score: total > 0 ? Math.round((passed / total) * 100) : 0,
+      total,
+      passed,
+      failed,
+      skipped,
+      duration,
+      tests,
+      error
+    };
+  }
+
+  /*
+    ==========================================
+    TEST RUNNER API
+    ==========================================
+  */
+
+  self.TestRunner = {
+    config: {
+      testTimeout: 1000 // ms per async test (including its hooks)
+    },
+
+    createSuite,
+    expect,
+    summarize,
+    deepEqual,
+    format,
+    diffLines,
+
+    // What is stored in AppState: no console or diffs, which only matter on screen
+    compact(testResults) {
+      const { status, score, total, passed, failed, skipped, duration, tests = [], error } = testResults;
+      return {
+        status,
+        score,
+        total,
+        passed,
+        failed,
+        skipped,
+        duration,
+        tests: tests.map(({ fullName, status: testStatus, duration: testDuration }) => ({
+          fullName,
+          status: testStatus,
+          duration: testDuration
+        })),
+        error: error ? { name: error.name, message: error.message } : null
+      };
+    }
+  };
+
+})();
@@ -754,17 +754,14 @@
       },
 
       // Code formatting for educational content
-      highlightSyntax(code, language = 'javascript') {
-        // Simplified syntax highlighting for educational purposes
-        const keywords = ['function', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'return', 'class', 'extends'];
-        let highlighted = code;
-        
-        keywords.forEach(keyword => {
-          const regex = new RegExp(`\\b${keyword}\\b`, 'g');
-          highlighted = highlighted.replace(regex, `<span class="syntax-keyword">${keyword}</span>`);
-        });
-        
-        return highlighted;
+      highlightSyntax(code, language = 'javascript', options = {}) {
+        // El resaltado real vive en Highlighter (tokenizador: respeta strings y comentarios)
+        if (window.Highlighter) {
+          return window.Highlighter.highlight(code, { ...options, language });
+        }
+
+        // Sin Highlighter: texto escapado, nunca HTML del usuario
+        return window.AppUtils.dom.sanitizeHtml(String(code ?? ''));
       }
     },
 
@@ -812,6 +809,16 @@
         }
       },
 
+      // Stored text as-is (no parsing, no expiry): lets callers keep unreadable data
+      getRaw(key) {
+        try {
+          return localStorage.getItem(`mdb_${key}`);
+        } catch (error) {
+          console.warn('[AppUtils.storage] Failed to read item:', error);
+          return null;
+        }
+      },
+
       remove(key) {
         try {
           localStorage.removeItem(`mdb_${key}`);
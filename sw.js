@@ -0,0 +1,377 @@
+/*
+  ==========================================
+  SERVICE WORKER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  Offline-first service worker for the app shell and every case lab.
+  Precaches the shell, serves same-origin requests stale-while-revalidate
+  and falls back to the offline page when a navigation cannot be served.
+
+  Archivo: sw.js
+
+  "The network is unreliable" - L. Peter Deutsch (Fallacies of Distributed Computing)
+  "Offline is not an error condition" - Jake Archibald
+
+  Architecture:
+  1. Precache (App shell + case pages)
+  2. Stale-While-Revalidate Runtime Caching
+  3. Offline Navigation Fallback
+  4. Cache Versioning & Cleanup
+  5. Update Lifecycle (SKIP_WAITING on user request)
+  6. Share Target (manifest share_target → IndexedDB)
+  7. Protocol Handler (web+bugacademy:// → index.html?protocol=)
+  8. File Handler (/handle-file → laboratory, files via launchQueue)
+*/
+
+'use strict';
+
+importScripts('./assets/js/db.js');
+
+/*
+  ==========================================
+  CONFIGURATION
+  ==========================================
+*/
+
+// Bump on every release: a new version installs as a waiting worker
+const APP_VERSION = '1.0.0';
+const CACHE_PREFIX = 'mdb-academy';
+// Single cache: revalidated copies must replace the precached ones
+const CACHE_NAME = `${CACHE_PREFIX}-v${APP_VERSION}`;
+
+const OFFLINE_URL = './offiline.html';
+
+// manifest.json share_target
+const SHARE_TARGET_PATH = '/share-bug-case';
+const SHARE_ACCEPTED_EXTENSIONS = ['.js', '.json', '.html', '.css'];
+const SHARE_MAX_FILE_SIZE = 512 * 1024; // 512KB per file
+
+// manifest.json protocol_handlers
+const PROTOCOL_HANDLER_PATH = '/handle-protocol';
+
+// manifest.json file_handlers
+const FILE_HANDLER_PATH = '/handle-file';
+
+// App shell + every case page (paths relative to the SW scope)
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  OFFLINE_URL,
+  './manifest.json',
+
+  // Styles
+  './assets/css/buttons.css',
+  './assets/css/cards.css',
+  './assets/css/code.css',
+  './assets/css/design-tokens.css',
+  './assets/css/feedback.js',
+  './assets/css/main.css',
+  './assets/css/navigation.css',
+  './assets/css/pages.css',
+  './assets/css/utilities.css',
+
+  // Scripts
+  './assets/js/analytics-transport.js',
+  './assets/js/analytics.js',
+  './assets/js/app.js',
+  './assets/js/case-bridge.js',
+  './assets/js/case-steps.js',
+  './assets/js/code-editor.js',
+  './assets/js/code-runner.js',
+  './assets/js/code-runner-worker.js',
+  './assets/js/components.js',
+  './assets/js/config.js',
+  './assets/js/db.js',
+  './assets/js/environment-interpreter.js',
+  './assets/js/expression-evaluator.js',
+  './assets/js/file-handler.js',
+  './assets/js/grader.js',
+  './assets/js/highlighter.js',
+  './assets/js/js-parser.js',
+  './assets/js/js-tokenizer.js',
+  './assets/js/linter.js',
+  './assets/js/progress-bundle.js',
+  './assets/js/protocol-handler.js',
+  './assets/js/pwa.js',
+  './assets/js/routes.js',
+  './assets/js/share-target.js',
+  './assets/js/state-recorder.js',
+  './assets/js/state-storage.js',
+  './assets/js/state.js',
+  './assets/js/tab-sync.js',
+  './assets/js/test-runner.js',
+  './assets/js/utils.js',
+
+  // Case labs
+  './proyectos/arquitectura-limpia/index.html',
+  './proyectos/calculadora-interes/index.html',
+  './proyectos/desbordamiento-enteros/index.html',
+  './proyectos/environment/index.html',
+  './proyectos/evaluacion-recursiva/index.html',
+  './proyectos/naming/index.html',
+  './proyectos/operador-coma/index.html',
+  './proyectos/precedencia-operadores/index.html',
+  './proyectos/simulador/index.html',
+  './proyectos/sistema-prevencion/index.html'
+];
+
+// Third-party hosts worth keeping offline (web fonts)
+const CACHEABLE_ORIGINS = [
+  'https://fonts.googleapis.com',
+  'https://fonts.gstatic.com'
+];
+
+/*
+  ==========================================
+  LIFECYCLE
+  ==========================================
+*/
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => log('📦 Precache completo:', PRECACHE_URLS.length, 'recursos'))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    cleanupOldCaches()
+      .then(() => self.clients.claim())
+      .then(() => log('✅ Service worker activo'))
+  );
+});
+
+async function cleanupOldCaches() {
+  const cacheNames = await caches.keys();
+
+  const stale = cacheNames.filter(name =>
+    name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME
+  );
+
+  await Promise.all(stale.map(name => caches.delete(name)));
+
+  if (stale.length > 0) {
+    log('🧹 Caches antiguos eliminados:', stale);
+  }
+}
+
+/*
+  ==========================================
+  FETCH HANDLING
+  ==========================================
+*/
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (isShareTargetRequest(request)) {
+    event.respondWith(handleShareTarget(request));
+    return;
+  }
+
+  if (isProtocolHandlerRequest(request)) {
+    event.respondWith(handleProtocolLaunch(request));
+    return;
+  }
+
+  if (isFileHandlerRequest(request)) {
+    event.respondWith(handleFileLaunch());
+    return;
+  }
+
+  if (request.method !== 'GET' || !isCacheableRequest(request)) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event));
+});
+
+function isCacheableRequest(request) {
+  const url = new URL(request.url);
+  return url.origin === self.location.origin || CACHEABLE_ORIGINS.includes(url.origin);
+}
+
+async function handleNavigation(event) {
+  try {
+    // Case pages are reached with ?step= and other params: one entry per page,
+    // stored under its URL without the search
+    const url = new URL(event.request.url);
+    return await staleWhileRevalidate(event, { cacheKey: new Request(url.origin + url.pathname), ignoreSearch: true });
+  } catch (error) {
+    log('📴 Navegación sin red, sirviendo página offline:', event.request.url);
+    const offline = await caches.match(OFFLINE_URL);
+    return offline || Response.error();
+  }
+}
+
+// Strategy declared in AppConfig.ux.performance.optimizations.cachingStrategy
+async function staleWhileRevalidate(event, { cacheKey = event.request, ...matchOptions } = {}) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey, matchOptions);
+
+  const network = fetch(request)
+    .then(async response => {
+      if (isStorableResponse(response)) {
+        await cache.put(cacheKey, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    // Revalidate in background; a failed refresh keeps the cached copy
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network;
+}
+
+function isStorableResponse(response) {
+  // Opaque responses (status 0) come from font hosts without CORS
+  return response && (response.ok || response.type === 'opaque');
+}
+
+/*
+  ==========================================
+  SHARE TARGET
+  ==========================================
+*/
+
+function isShareTargetRequest(request) {
+  const url = new URL(request.url);
+  return request.method === 'POST' &&
+         url.origin === self.location.origin &&
+         url.pathname.endsWith(SHARE_TARGET_PATH);
+}
+
+async function handleShareTarget(request) {
+  const scope = self.registration.scope;
+
+  try {
+    const formData = await request.formData();
+    const sharedCase = {
+      id: `share_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      title: formData.get('title') || '',
+      text: formData.get('text') || '',
+      url: formData.get('url') || '',
+      files: await readSharedFiles(formData.getAll('code')),
+      receivedAt: Date.now()
+    };
+
+    await self.AppDB.put('sharedCases', sharedCase);
+    log('📥 Caso compartido guardado:', sharedCase.id, `${sharedCase.files.length} archivo(s)`);
+
+    // 303: the browser follows with a GET, so a reload never re-posts the share
+    return Response.redirect(`${scope}index.html?share-id=${sharedCase.id}#nuevo-caso`, 303);
+
+  } catch (error) {
+    log('❌ Error procesando caso compartido:', error);
+    return Response.redirect(`${scope}index.html?share-error=1#nuevo-caso`, 303);
+  }
+}
+
+async function readSharedFiles(files) {
+  const accepted = files.filter(file =>
+    file && typeof file.text === 'function' &&
+    SHARE_ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext)) &&
+    file.size <= SHARE_MAX_FILE_SIZE
+  );
+
+  return Promise.all(accepted.map(async file => ({
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    content: await file.text()
+  })));
+}
+
+/*
+  ==========================================
+  PROTOCOL HANDLER
+  ==========================================
+*/
+
+function isProtocolHandlerRequest(request) {
+  const url = new URL(request.url);
+  return request.method === 'GET' &&
+         request.mode === 'navigate' &&
+         url.origin === self.location.origin &&
+         url.pathname.endsWith(PROTOCOL_HANDLER_PATH);
+}
+
+function handleProtocolLaunch(request) {
+  // No page lives at /handle-protocol: the app shell resolves the link through Router
+  const link = new URL(request.url).searchParams.get('url') || '';
+  log('🔗 Enlace web+bugacademy recibido:', link);
+
+  return Response.redirect(`${self.registration.scope}index.html?protocol=${encodeURIComponent(link)}`, 302);
+}
+
+/*
+  ==========================================
+  FILE HANDLER
+  ==========================================
+*/
+
+function isFileHandlerRequest(request) {
+  const url = new URL(request.url);
+  return request.method === 'GET' &&
+         request.mode === 'navigate' &&
+         url.origin === self.location.origin &&
+         url.pathname.endsWith(FILE_HANDLER_PATH);
+}
+
+function handleFileLaunch() {
+  // Files travel in launchQueue, not in the request: just land on the laboratory
+  log('📂 Archivo abierto desde el sistema operativo');
+  return Response.redirect(`${self.registration.scope}index.html#laboratorio`, 302);
+}
+
+/*
+  ==========================================
+  MESSAGING
+  ==========================================
+*/
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+
+  switch (type) {
+    case 'SKIP_WAITING':
+      // Only on explicit user request: the page reloads once we take control
+      log('⏭️ Activando nueva versión:', APP_VERSION);
+      self.skipWaiting();
+      break;
+
+    case 'GET_VERSION':
+      if (event.ports[0]) {
+        event.ports[0].postMessage({ type: 'VERSION', version: APP_VERSION });
+      }
+      break;
+
+    case 'OFFLINE_PAGE_VIEW':
+      log('📚 Página offline visitada');
+      break;
+  }
+});
+
+/*
+  ==========================================
+  UTILITIES
+  ==========================================
+*/
+
+function log(...args) {
+  const isLocal = ['localhost', '127.0.0.1'].includes(self.location.hostname);
+  if (isLocal) {
+    console.log('[SW]', ...args);
+  }
+}
@@ -0,0 +1,294 @@
+/*
+  ==========================================
+  MOCK SYNC SERVER - MILLION DOLLAR BUGS ACADEMY
+  ==========================================
+
+  A small in-memory stand-in for the sync API so AppState.syncWithServer()
+  can be exercised offline. It speaks the protocol documented in the
+  SERVER SYNC section of assets/js/state.js and resolves conflicts the
+  same way a real backend should: per project the best score wins,
+  completion is kept and time spent is summed across devices. It only
+  knows one learner; every device that talks to it shares one progress.
+  It also takes Analytics event batches (AnalyticsTransport) and drops
+  repeated event ids.
+
+  Archivo: tools/mock-sync-server.js
+
+  "Fake it till you make it" - Kent Beck
+
+  Architecture:
+  1. Options (--port, --latency, --fail-rate, --data)
+  2. Sync Store (records, revisions, lastSeq per device)
+  3. Event Store (ids already received)
+  4. HTTP Layer (POST /sync, POST /events, GET /sync/state, GET /events, GET /health, CORS)
+
+  Usage:
+    node tools/mock-sync-server.js --port 3000 --fail-rate 0.3
+    then open the app in development with ?sync=true (api.baseUrl is
+    http://localhost:3000)
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+
+const DEFAULT_OPTIONS = {
+  port: 3000,
+  latency: 0,        // ms to wait before each response
+  failRate: 0,       // fraction of /sync and /events requests that answer 503 (exercises the retries)
+  data: null         // JSON file where the state is kept between restarts
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  const flags = { '--port': 'port', '--latency': 'latency', '--fail-rate': 'failRate', '--data': 'data' };
+
+  for (let index = 0; index < argv.length; index += 2) {
+    const option = flags[argv[index]];
+    if (!option || argv[index + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option ${argv[index]}`);
+    }
+    options[option] = option === 'data' ? argv[index + 1] : Number(argv[index + 1]);
+  }
+
+  return options;
+}
+
+/*
+  ==========================================
+  SYNC STORE
+  ==========================================
+*/
+
+function createSyncStore({ data = null } = {}) {
+  const store = {
+    revision: 0,
+    projects: {},       // 'stageId/projectId' → { stageId, projectId, completed, completedAt, bestScore, attempts, timeSpent, revision }
+    achievements: [],
+    devices: {}         // deviceId → last lastSeq applied
+  };
+
+  if (data && fs.existsSync(data)) {
+    Object.assign(store, JSON.parse(fs.readFileSync(data, 'utf8')));
+  }
+
+  const save = () => {
+    if (data) fs.writeFileSync(data, JSON.stringify(store, null, 2));
+  };
+
+  function mergeProject(change, countTime) {
+    const key = `${change.stageId}/${change.projectId}`;
+    const current = store.projects[key] || {
+      stageId: change.stageId,
+      projectId: change.projectId,
+      completed: false,
+      completedAt: null,
+      bestScore: 0,
+      attempts: 0,
+      timeSpent: 0
+    };
+    const before = JSON.stringify(current);
+
+    current.completed = current.completed || change.completed === true;
+    if (Number.isFinite(change.completedAt)) {
+      current.completedAt = current.completedAt === null ? change.completedAt : Math.min(current.completedAt, change.completedAt);
+    }
+    if (Number.isFinite(change.bestScore)) current.bestScore = Math.max(current.bestScore, change.bestScore);
+    if (Number.isFinite(change.attempts)) current.attempts = Math.max(current.attempts, change.attempts);
+    if (countTime && Number.isFinite(change.timeSpentDelta) && change.timeSpentDelta > 0) {
+      current.timeSpent += change.timeSpentDelta;
+    }
+
+    if (JSON.stringify(current) !== before || !store.projects[key]) {
+      current.revision = store.revision + 1;
+      store.projects[key] = current;
+      return true;
+    }
+    return false;
+  }
+
+  return {
+    /**
+     * Applies a change set and returns the response body. A change set whose
+     * lastSeq this device already sent (a retry after a lost response) is
+     * merged without adding its time again.
+     */
+    sync(changeSet) {
+      if (!isPlainObject(changeSet) || typeof changeSet.deviceId !== 'string' || !Array.isArray(changeSet.projects)) {
+        const error = new Error('Malformed change set');
+        error.status = 400;
+        throw error;
+      }
+
+      const since = Number.isInteger(changeSet.since) ? changeSet.since : 0;
+      const applied = store.devices[changeSet.deviceId] ?? -1;
+      const isNew = Number.isInteger(changeSet.lastSeq) && changeSet.lastSeq > applied;
+
+      const sentKeys = new Set();
+      let changed = false;
+
+      changeSet.projects
+        .filter(change => isPlainObject(change) && typeof change.stageId === 'string' && typeof change.projectId === 'string')
+        .forEach(change => {
+          sentKeys.add(`${change.stageId}/${change.projectId}`);
+          changed = mergeProject(change, isNew) || changed;
+        });
+
+      (Array.isArray(changeSet.achievements) ? changeSet.achievements : [])
+        .filter(id => typeof id === 'string' && !store.achievements.includes(id))
+        .forEach(id => {
+          store.achievements.push(id);
+          changed = true;
+        });
+
+      if (changed) store.revision += 1;
+      if (isNew) store.devices[changeSet.deviceId] = changeSet.lastSeq;
+      save();
+
+      const projects = Object.entries(store.projects)
+        .filter(([key, project]) => project.revision > since || sentKeys.has(key))
+        .map(([, { revision, ...project }]) => project);
+
+      return { revision: store.revision, projects, achievements: [...store.achievements] };
+    },
+
+    snapshot() {
+      return JSON.parse(JSON.stringify(store));
+    }
+  };
+}
+
+/*
+  ==========================================
+  EVENT STORE
+  ==========================================
+*/
+
+function createEventStore() {
+  const events = new Map();
+
+  return {
+    // Repeated batches (retries, beacon after fetch) only count once per id
+    receive(batch) {
+      if (!isPlainObject(batch) || !Array.isArray(batch.events)) {
+        const error = new Error('Malformed event batch');
+        error.status = 400;
+        throw error;
+      }
+
+      let accepted = 0;
+      batch.events
+        .filter(event => isPlainObject(event) && typeof event.id === 'string')
+        .forEach(event => {
+          if (events.has(event.id)) return;
+          events.set(event.id, { ...event, receivedAt: Date.now(), reason: batch.reason || null });
+          accepted += 1;
+        });
+
+      return { accepted, duplicates: batch.events.length - accepted, total: events.size };
+    },
+
+    list() {
+      return [...events.values()];
+    }
+  };
+}
+
+/*
+  ==========================================
+  HTTP LAYER
+  ==========================================
+*/
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Change set too large');
+        error.status = 413;
+        reject(error);
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+      } catch (error) {
+        error.status = 400;
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function createSyncServer(options = {}) {
+  const { latency, failRate, data } = { ...DEFAULT_OPTIONS, ...options };
+  const store = createSyncStore({ data });
+  const eventStore = createEventStore();
+
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+
+    try {
+      if (request.method === 'OPTIONS') {
+        send(response, 204);
+      } else if (request.method === 'GET' && pathname === '/health') {
+        send(response, 200, { ok: true });
+      } else if (request.method === 'GET' && pathname === '/sync/state') {
+        send(response, 200, store.snapshot());
+      } else if (request.method === 'GET' && pathname === '/events') {
+        send(response, 200, eventStore.list());
+      } else if (request.method === 'POST' && (pathname === '/sync' || pathname === '/events')) {
+        // Simulated failure before applying anything: the client must retry
+        if (Math.random() < failRate) {
+          send(response, 503, { error: 'Simulated outage' });
+          return;
+        }
+        const body = await readJson(request);
+        send(response, 200, pathname === '/sync' ? store.sync(body) : eventStore.receive(body));
+      } else {
+        send(response, 404, { error: `No route for ${request.method} ${pathname}` });
+      }
+    } catch (error) {
+      send(response, error.status || 500, { error: error.message });
+    }
+  });
+
+  server.store = store;
+  server.eventStore = eventStore;
+  return server;
+}
+
+module.exports = { createSyncServer, createSyncStore, createEventStore };
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  createSyncServer(options).listen(options.port, () => {
+    console.log(`🌐 Mock sync server on http://localhost:${options.port}/sync`);
+  });
+}